@@ -0,0 +1,232 @@
+// APRS Weather Module for SignalK Plugin
+// Sends each observation to the Citizen Weather Observer Program (CWOP) as an APRS positioned weather packet over APRS-IS
+
+const net = require('net');
+const { createDeliveryResult } = require('./noaaDelivery');
+const { isMissing, humidityToPercent } = require('./weatherReport');
+const { version } = require('../package.json');
+
+const DEFAULT_APRS_SERVER = 'cwop.aprs.net';
+const DEFAULT_APRS_PORT = 14580;
+
+// CWOP asks stations not to send more often than every 5 minutes
+const MIN_PACKET_INTERVAL_MS = 5 * 60 * 1000;
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+function pad(value, length) {
+    return String(value).padStart(length, '0');
+}
+
+function formatAprsLatitude(lat) {
+    /**
+     * APRS latitude: DDMM.hhN
+     */
+    const abs = Math.abs(lat);
+    let degrees = Math.floor(abs);
+    let minutes = Math.round((abs - degrees) * 60 * 100) / 100;
+    if (minutes >= 60) {
+        degrees++;
+        minutes = 0;
+    }
+    return `${pad(degrees, 2)}${minutes.toFixed(2).padStart(5, '0')}${lat >= 0 ? 'N' : 'S'}`;
+}
+
+function formatAprsLongitude(lon) {
+    /**
+     * APRS longitude: DDDMM.hhE
+     */
+    const abs = Math.abs(lon);
+    let degrees = Math.floor(abs);
+    let minutes = Math.round((abs - degrees) * 60 * 100) / 100;
+    if (minutes >= 60) {
+        degrees++;
+        minutes = 0;
+    }
+    return `${pad(degrees, 3)}${minutes.toFixed(2).padStart(5, '0')}${lon >= 0 ? 'E' : 'W'}`;
+}
+
+function formatTemperature(celsius) {
+    // Degrees Fahrenheit in three characters, e.g. 077 or -05
+    const fahrenheit = Math.round(celsius * 9 / 5 + 32);
+    return fahrenheit < 0 ? `-${pad(Math.abs(fahrenheit), 2)}` : pad(fahrenheit, 3);
+}
+
+function formatWeatherPacket(data, callsign) {
+    /**
+     * Format an observation as an APRS positioned weather report with a timestamp.
+     * Args:
+     *   data (object): Report data (wind in knots, temperatures in °C, MSL pressure in hPa)
+     *   callsign (string): Station callsign or CWOP ID, with SSID if any
+     * Returns:
+     *   string: Packet, e.g. CALL>APRS,TCPIP*:@151400z2808.64N/11244.52W_270/017g026t078h67b10132
+     *           (wind in mph, temperature in °F, pressure in tenths of hPa, missing values as dots)
+     */
+    const knotsToMph = (knots) => knots * 1.15078;
+    const time = data.utc_time;
+    const timestamp = `${pad(time.getUTCDate(), 2)}${pad(time.getUTCHours(), 2)}${pad(time.getUTCMinutes(), 2)}z`;
+
+    const direction = isMissing(data.true_wind_dir) ? '...' : pad(Math.round(data.true_wind_dir) % 360, 3);
+    const speed = isMissing(data.true_wind_speed) ? '...' : pad(Math.min(999, Math.round(knotsToMph(data.true_wind_speed))), 3);
+    const gust = data.gust && !isMissing(data.gust.speed) ? pad(Math.min(999, Math.round(knotsToMph(data.gust.speed))), 3) : '...';
+    const temperature = isMissing(data.air_temp) ? '...' : formatTemperature(data.air_temp);
+    let humidity = '..';
+    if (!isMissing(data.humidity)) {
+        const percent = Math.max(1, Math.min(100, Math.round(humidityToPercent(data.humidity))));
+        humidity = percent === 100 ? '00' : pad(percent, 2);
+    }
+    const pressure = isMissing(data.pressure_hpa) ? '.....' : pad(Math.round(data.pressure_hpa * 10), 5);
+
+    return `${callsign}>APRS,TCPIP*:@${timestamp}${formatAprsLatitude(data.lat)}/${formatAprsLongitude(data.lon)}` +
+        `_${direction}/${speed}g${gust}t${temperature}h${humidity}b${pressure}`;
+}
+
+function sendToAprsIs(packet, settings, options = {}) {
+    /**
+     * Log in to an APRS-IS server, send one packet and disconnect.
+     * Args:
+     *   packet (string): APRS packet
+     *   settings (object): callsign, passcode, server, port
+     *   options (object): timeout (ms)
+     * Returns:
+     *   Promise<object>: Delivery result - accepted once the server has answered the login and taken the packet
+     */
+    const callsign = settings.callsign.toUpperCase();
+    const passcode = isMissing(settings.passcode) ? -1 : settings.passcode;
+    const host = settings.server || DEFAULT_APRS_SERVER;
+    const port = settings.port || DEFAULT_APRS_PORT;
+
+    return new Promise((resolve) => {
+        let buffer = '';
+        let loggedIn = false;
+        let settled = false;
+        const socket = net.createConnection({ host, port });
+
+        const finish = (result) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            socket.destroy();
+            resolve(result);
+        };
+
+        socket.setTimeout(options.timeout || DEFAULT_TIMEOUT_MS, () => {
+            finish(createDeliveryResult('transport_error', { reason: 'timeout', message: `No answer from APRS-IS server ${host}:${port}` }));
+        });
+        socket.on('error', (error) => {
+            finish(createDeliveryResult('transport_error', { reason: error.code || 'network_error', message: error.message }));
+        });
+        socket.on('close', () => {
+            finish(createDeliveryResult('transport_error', { reason: 'closed', message: `APRS-IS server ${host}:${port} closed the connection` }));
+        });
+
+        socket.on('data', (chunk) => {
+            buffer += chunk.toString('latin1');
+            let newline;
+            while ((newline = buffer.indexOf('\n')) >= 0) {
+                const line = buffer.slice(0, newline).trim();
+                buffer = buffer.slice(newline + 1);
+
+                // The server greets with a comment line, then answers the login with logresp
+                if (!loggedIn && line.startsWith('#') && !/logresp/i.test(line)) {
+                    loggedIn = true;
+                    socket.write(`user ${callsign} pass ${passcode} vers signalk-noaa-weather-report ${version}\r\n`);
+                    continue;
+                }
+                const logresp = line.match(/^#\s*logresp\s+\S+\s+(verified|unverified)/i);
+                if (!logresp) {
+                    continue;
+                }
+                // Unverified logins are fine for CWOP IDs without a passcode, but mean a wrong passcode otherwise
+                if (logresp[1].toLowerCase() === 'unverified' && Number(passcode) !== -1) {
+                    finish(createDeliveryResult('rejected', { reason: 'invalid_passcode', message: `APRS-IS login for ${callsign} not verified - check the passcode` }));
+                    return;
+                }
+                socket.end(`${packet}\r\n`, () => {
+                    finish(createDeliveryResult('accepted', {
+                        reason: logresp[1].toLowerCase(),
+                        message: `Sent to APRS-IS server ${host}:${port} (${logresp[1].toLowerCase()} login)`
+                    }));
+                });
+                return;
+            }
+        });
+    });
+}
+
+function createAprsSender(settings = {}, options = {}) {
+    /**
+     * Create a CWOP / APRS-IS sender for one station.
+     * Args:
+     *   settings (object): callsign, passcode (-1 for CWOP IDs), server, port, testMode (default true)
+     *   options (object): timeout (ms)
+     * Returns:
+     *   object: { send, getStatus }
+     */
+    const testMode = settings.testMode !== false;
+    let lastSent = null;
+    let lastDelivery = null;
+
+    async function send(data, now = Date.now()) {
+        /**
+         * Send one observation, unless the last packet went out less than 5 minutes ago.
+         * Returns:
+         *   Promise<object>: Delivery result with status 'accepted', 'rejected', 'transport_error', 'skipped' or 'test', plus packet
+         */
+        let result;
+        let packet = null;
+        if (!settings.callsign) {
+            result = createDeliveryResult('rejected', { reason: 'not_configured', message: 'APRS callsign is required' });
+        } else if (isMissing(data.lat) || isMissing(data.lon)) {
+            result = createDeliveryResult('rejected', { reason: 'no_position', message: 'No position for the APRS packet' });
+        } else if (lastSent !== null && now - lastSent < MIN_PACKET_INTERVAL_MS) {
+            result = createDeliveryResult('skipped', {
+                reason: 'rate_limited',
+                message: `Not sent - CWOP allows one packet every ${MIN_PACKET_INTERVAL_MS / 60000} minutes`
+            });
+        } else {
+            packet = formatWeatherPacket(data, settings.callsign.toUpperCase());
+            if (testMode) {
+                console.log(`\nAPRS packet (test mode, not sent): ${packet}`);
+                result = createDeliveryResult('test', { message: 'Test mode - not sent to APRS-IS' });
+            } else {
+                result = await sendToAprsIs(packet, settings, options);
+                console.log(`APRS-IS: ${result.status} (${result.reason})`);
+                if (result.delivered) {
+                    lastSent = now;
+                }
+            }
+        }
+
+        result.packet = packet;
+        lastDelivery = result;
+        return result;
+    }
+
+    function getStatus() {
+        return {
+            callsign: settings.callsign || null,
+            server: `${settings.server || DEFAULT_APRS_SERVER}:${settings.port || DEFAULT_APRS_PORT}`,
+            testMode,
+            lastSent: lastSent !== null ? new Date(lastSent).toISOString() : null,
+            lastDelivery
+        };
+    }
+
+    return {
+        send,
+        getStatus
+    };
+}
+
+module.exports = {
+    DEFAULT_APRS_SERVER,
+    DEFAULT_APRS_PORT,
+    MIN_PACKET_INTERVAL_MS,
+    formatAprsLatitude,
+    formatAprsLongitude,
+    formatWeatherPacket,
+    sendToAprsIs,
+    createAprsSender
+};
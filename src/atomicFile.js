@@ -0,0 +1,23 @@
+// Atomic File Module for SignalK Plugin
+// Saves files through a temporary file, so nothing ever reads a half-written one
+
+const fs = require('fs');
+
+function writeFileAtomic(filePath, content, encoding = 'utf8') {
+    /**
+     * Write a file by writing filePath.tmp and renaming it over filePath.
+     * A power cut or a reader polling the directory sees the old file or the new one, never part of it.
+     * Args:
+     *   filePath (string): File to write
+     *   content (string|Buffer): File contents
+     *   encoding (string): Encoding for string contents (default: utf8)
+     * Throws the error from writing or renaming.
+     */
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, content, encoding);
+    fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = {
+    writeFileAtomic
+};
@@ -0,0 +1,442 @@
+// BBXX Parser Module for SignalK Plugin
+// Decodes and validates BBXX (FM 13 SHIP) reports group by group
+
+const WIND_INDICATORS = {
+    0: { description: 'estimated, m/s', units: 'm/s' },
+    1: { description: 'anemometer, m/s', units: 'm/s' },
+    3: { description: 'estimated, knots', units: 'knots' },
+    4: { description: 'anemometer, knots', units: 'knots' }
+};
+
+const QUADRANTS = {
+    1: { description: 'NE', latSign: 1, lonSign: 1 },
+    3: { description: 'SE', latSign: -1, lonSign: 1 },
+    5: { description: 'SW', latSign: -1, lonSign: -1 },
+    7: { description: 'NW', latSign: 1, lonSign: -1 }
+};
+
+const SHIP_COURSES = ['stationary', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW', 'N', 'unknown'];
+
+const SHIP_SPEEDS = ['0 knots', '1-5 knots', '6-10 knots', '11-15 knots', '16-20 knots',
+    '21-25 knots', '26-30 knots', '31-35 knots', '36-40 knots', 'over 40 knots'];
+
+const SST_METHODS = ['intake', 'bucket', 'hull contact sensor', 'other'];
+
+const SECTION_2_INDICATOR = /^222[0-9/]{2}$/;
+
+function isOmitted(code) {
+    return /^\/+$/.test(code);
+}
+
+function decodeWaveCode(code) {
+    // Period in seconds and height in units of 0.5 m
+    return {
+        period: isOmitted(code.substring(0, 2)) ? null : parseInt(code.substring(0, 2)),
+        height: isOmitted(code.substring(2, 4)) ? null : parseInt(code.substring(2, 4)) * 0.5
+    };
+}
+
+function parseBbxx(message) {
+    /**
+     * Parse and validate a BBXX weather report.
+     * Args:
+     *   message (string): BBXX report, groups separated by spaces and terminated with =
+     * Returns:
+     *   object: {
+     *     valid (boolean): True when no errors were found
+     *     decoded (object): Decoded values (station, time, position, wind, temperatures, ...)
+     *     groups (Array): Every group as { section, group, name, value }
+     *     errors (Array): Problems that make the report unusable
+     *     warnings (Array): Suspicious but well-formed content
+     *   }
+     */
+    const result = {
+        valid: false,
+        message,
+        decoded: {},
+        groups: [],
+        errors: [],
+        warnings: []
+    };
+    const decoded = result.decoded;
+    const error = (text) => result.errors.push(text);
+    const warning = (text) => result.warnings.push(text);
+    const addGroup = (section, group, name, value = null) => result.groups.push({ section, group, name, value });
+
+    if (typeof message !== 'string' || message.trim() === '') {
+        error('Message is empty');
+        return result;
+    }
+
+    const text = message.trim();
+    if (!text.endsWith('=')) {
+        warning('Message should end with =');
+    }
+    const parts = text.replace(/=$/, '').split(/\s+/);
+
+    if (parts.length < 7) {
+        error('Invalid BBXX format - insufficient groups');
+        return result;
+    }
+
+    // Message type and station identifier
+    if (parts[0] !== 'BBXX') {
+        error(`Invalid message type: ${parts[0]} (should be BBXX)`);
+    }
+    addGroup(0, parts[0], 'messageType', parts[0]);
+
+    decoded.stationId = parts[1];
+    if (!/^[A-Za-z0-9]{3,10}$/.test(decoded.stationId)) {
+        error(`Invalid station identifier: ${decoded.stationId}`);
+    } else if (decoded.stationId !== decoded.stationId.toUpperCase()) {
+        warning(`Station identifier should be upper case: ${decoded.stationId}`);
+    }
+    addGroup(0, parts[1], 'stationId', decoded.stationId);
+
+    // Day, hour and wind indicator (YYGGiw)
+    const dayHourWind = parts[2];
+    if (/^[0-9]{5}$/.test(dayHourWind)) {
+        decoded.day = parseInt(dayHourWind.substring(0, 2));
+        decoded.hour = parseInt(dayHourWind.substring(2, 4));
+        decoded.windIndicator = parseInt(dayHourWind.substring(4, 5));
+
+        if (decoded.day < 1 || decoded.day > 31) {
+            error(`Day out of valid range (1-31): ${decoded.day}`);
+        }
+        if (decoded.hour > 23) {
+            error(`Hour out of valid range (0-23): ${decoded.hour}`);
+        }
+        if (!WIND_INDICATORS[decoded.windIndicator]) {
+            error(`Invalid wind indicator: ${decoded.windIndicator}`);
+        }
+        decoded.windUnits = WIND_INDICATORS[decoded.windIndicator] ? WIND_INDICATORS[decoded.windIndicator].units : 'knots';
+    } else {
+        error(`Invalid day/hour/wind group: ${dayHourWind}`);
+        decoded.windUnits = 'knots';
+    }
+    addGroup(0, dayHourWind, 'dayHourWind', { day: decoded.day, hour: decoded.hour, windIndicator: decoded.windIndicator });
+
+    // Latitude (99LaLaLa) and quadrant/longitude (QcLoLoLoLo)
+    let latitude = null;
+    if (/^99[0-9]{3}$/.test(parts[3])) {
+        latitude = parseInt(parts[3].substring(2)) / 10.0;
+        if (latitude > 90) {
+            error(`Latitude out of valid range (0-90°): ${latitude}`);
+        }
+    } else {
+        error(`Invalid latitude group: ${parts[3]}`);
+    }
+
+    let longitude = null;
+    let quadrant = null;
+    if (/^[0-9]{5}$/.test(parts[4])) {
+        quadrant = parseInt(parts[4].substring(0, 1));
+        longitude = parseInt(parts[4].substring(1)) / 10.0;
+        if (!QUADRANTS[quadrant]) {
+            error(`Invalid quadrant: ${quadrant}`);
+        }
+        if (longitude > 180) {
+            error(`Longitude out of valid range (0-180°): ${longitude}`);
+        }
+    } else {
+        error(`Invalid longitude group: ${parts[4]}`);
+    }
+
+    if (QUADRANTS[quadrant]) {
+        decoded.quadrant = quadrant;
+        decoded.latitude = latitude !== null ? latitude * QUADRANTS[quadrant].latSign : null;
+        decoded.longitude = longitude !== null ? longitude * QUADRANTS[quadrant].lonSign : null;
+    }
+    addGroup(0, parts[3], 'latitude', decoded.latitude !== undefined ? decoded.latitude : latitude);
+    addGroup(0, parts[4], 'longitude', decoded.longitude !== undefined ? decoded.longitude : longitude);
+
+    // Precipitation indicator, weather indicator, cloud base and visibility (iRiXhVV)
+    const precipitationGroup = parts[5];
+    if (/^[0-4][1-7][0-9/][0-9/]{2}$/.test(precipitationGroup)) {
+        decoded.weatherIncluded = precipitationGroup.substring(1, 2) === '1';
+        const cloudBase = precipitationGroup.substring(2, 3);
+        const visibility = precipitationGroup.substring(3, 5);
+        if (!isOmitted(cloudBase)) {
+            decoded.cloudBaseHeight = cloudBase;
+        }
+        if (!isOmitted(visibility)) {
+            decoded.visibility = visibility;
+            if (visibility < '90') {
+                warning(`Visibility code ${visibility} is not in the ship range (90-99)`);
+            }
+        }
+        addGroup(1, precipitationGroup, 'precipitationVisibility', {
+            weatherIncluded: decoded.weatherIncluded,
+            cloudBaseHeight: decoded.cloudBaseHeight || null,
+            visibility: decoded.visibility || null
+        });
+    } else {
+        error(`Invalid precipitation/visibility group: ${precipitationGroup}`);
+        addGroup(1, precipitationGroup, 'precipitationVisibility');
+    }
+
+    // Total cloud and wind (Nddff), followed by 00fff for speeds of 99 units or more
+    let index = 6;
+    const windGroup = parts[index++];
+    if (/^[0-9/][0-9/]{4}$/.test(windGroup)) {
+        const cloud = windGroup.substring(0, 1);
+        const direction = windGroup.substring(1, 3);
+        const speed = windGroup.substring(3, 5);
+
+        if (!isOmitted(cloud)) {
+            decoded.totalCloud = parseInt(cloud);
+        }
+        if (!isOmitted(direction) && !isOmitted(speed)) {
+            decoded.windDirection = parseInt(direction) * 10;
+            decoded.windSpeed = parseInt(speed);
+
+            if (decoded.windDirection > 360 && decoded.windDirection !== 990) {
+                error(`Wind direction out of valid range (0-360°): ${decoded.windDirection}`);
+            }
+        } else if (isOmitted(direction) !== isOmitted(speed)) {
+            error(`Wind group must report both direction and speed: ${windGroup}`);
+        }
+        addGroup(1, windGroup, 'cloudWind', {
+            totalCloud: decoded.totalCloud !== undefined ? decoded.totalCloud : null,
+            direction: decoded.windDirection !== undefined ? decoded.windDirection : null,
+            speed: decoded.windSpeed !== undefined ? decoded.windSpeed : null
+        });
+
+        if (decoded.windSpeed === 99) {
+            if (/^00[0-9]{3}$/.test(parts[index] || '')) {
+                decoded.windSpeed = parseInt(parts[index].substring(2));
+                addGroup(1, parts[index], 'windSpeedExtension', decoded.windSpeed);
+                index++;
+            } else {
+                warning('Wind speed 99 should be followed by a 00fff group');
+            }
+        }
+        if (decoded.windSpeed !== undefined && decoded.windSpeed > (decoded.windUnits === 'm/s' ? 75 : 150)) {
+            warning(`Wind speed unusual: ${decoded.windSpeed} ${decoded.windUnits}`);
+        }
+    } else {
+        error(`Invalid cloud/wind group: ${windGroup}`);
+        addGroup(1, windGroup, 'cloudWind');
+    }
+
+    // Section 1 groups identified by their leading digit (1snTTT 2snTdTdTd 4PPPP 5appp 7wwW1W2 8NhCLCMCH)
+    let lastIndicator = 0;
+    while (index < parts.length && !SECTION_2_INDICATOR.test(parts[index]) && parts[index] !== '333') {
+        const group = parts[index++];
+        const indicator = parseInt(group.substring(0, 1));
+
+        if (!/^[1-9][0-9/]{4}$/.test(group)) {
+            error(`Invalid section 1 group: ${group}`);
+            addGroup(1, group, 'unknown');
+            continue;
+        }
+        if (indicator <= lastIndicator) {
+            warning(`Section 1 group out of order: ${group}`);
+        }
+        lastIndicator = indicator;
+
+        if (isOmitted(group.substring(1))) {
+            addGroup(1, group, `group${indicator}`);
+            continue;
+        }
+
+        if (indicator === 1 || indicator === 2) {
+            const name = indicator === 1 ? 'airTemperature' : 'dewPoint';
+            const sign = group.substring(1, 2);
+            const tenths = parseInt(group.substring(2, 5));
+            if ((sign !== '0' && sign !== '1') || !/^[0-9]{3}$/.test(group.substring(2, 5))) {
+                error(`Invalid ${indicator === 1 ? 'air temperature' : 'dew point'} group: ${group}`);
+                addGroup(1, group, name);
+                continue;
+            }
+            decoded[name] = (sign === '1' ? -tenths : tenths) / 10.0;
+            if (decoded[name] < -40 || decoded[name] > 50) {
+                warning(`${indicator === 1 ? 'Air temperature' : 'Dew point'} outside typical range (-40 to 50°C): ${decoded[name]}`);
+            }
+            addGroup(1, group, name, decoded[name]);
+        } else if (indicator === 4) {
+            if (!/^4[0-9]{4}$/.test(group)) {
+                error(`Invalid pressure group: ${group}`);
+                addGroup(1, group, 'pressure');
+                continue;
+            }
+            // Thousands digit is omitted: 0000-4999 means 1000.0-1049.9 hPa
+            const tenths = parseInt(group.substring(1));
+            decoded.pressure = (tenths < 5000 ? tenths + 10000 : tenths) / 10.0;
+            if (decoded.pressure < 900 || decoded.pressure > 1070) {
+                warning(`Pressure outside typical range (900 to 1070 hPa): ${decoded.pressure}`);
+            }
+            addGroup(1, group, 'pressure', decoded.pressure);
+        } else if (indicator === 5) {
+            if (!/^5[0-8][0-9]{3}$/.test(group)) {
+                error(`Invalid pressure tendency group: ${group}`);
+                addGroup(1, group, 'pressureTendency');
+                continue;
+            }
+            // Characteristics 0-3 end higher, 5-8 end lower, 4 is steady
+            const characteristic = parseInt(group.substring(1, 2));
+            const amount = parseInt(group.substring(2, 5)) / 10.0;
+            decoded.pressureTendency = { characteristic, change: characteristic >= 5 ? -amount : amount };
+            if (characteristic === 4 && amount !== 0) {
+                warning('Steady pressure tendency (4) should have zero change');
+            }
+            addGroup(1, group, 'pressureTendency', decoded.pressureTendency);
+        } else if (indicator === 7) {
+            if (!/^7[0-9]{2}[0-9/]{2}$/.test(group)) {
+                error(`Invalid present weather group: ${group}`);
+                addGroup(1, group, 'weather');
+                continue;
+            }
+            decoded.presentWeather = group.substring(1, 3);
+            decoded.pastWeather = [group.substring(3, 4), group.substring(4, 5)];
+            if (!decoded.weatherIncluded) {
+                warning('Weather group present but the iX indicator does not say weather is included');
+            }
+            addGroup(1, group, 'weather', { presentWeather: decoded.presentWeather, pastWeather: decoded.pastWeather });
+        } else if (indicator === 8) {
+            decoded.clouds = {
+                lowAmount: group.substring(1, 2),
+                low: group.substring(2, 3),
+                middle: group.substring(3, 4),
+                high: group.substring(4, 5)
+            };
+            if (decoded.totalCloud !== undefined && decoded.totalCloud !== 9 && !isOmitted(decoded.clouds.lowAmount) &&
+                parseInt(decoded.clouds.lowAmount) > decoded.totalCloud) {
+                warning('Low cloud amount exceeds total cloud cover');
+            }
+            addGroup(1, group, 'clouds', decoded.clouds);
+        } else {
+            addGroup(1, group, `group${indicator}`);
+        }
+    }
+
+    if (decoded.airTemperature !== undefined && decoded.dewPoint !== undefined && decoded.dewPoint > decoded.airTemperature) {
+        warning('Dew point is higher than air temperature');
+    }
+
+    // Section 2: ship movement (222Dsvs) and sea surface groups
+    if (index < parts.length && SECTION_2_INDICATOR.test(parts[index])) {
+        const movementGroup = parts[index++];
+        const course = movementGroup.substring(3, 4);
+        const speed = movementGroup.substring(4, 5);
+        if (!isOmitted(course)) {
+            decoded.shipCourse = SHIP_COURSES[parseInt(course)];
+        }
+        if (!isOmitted(speed)) {
+            decoded.shipSpeed = SHIP_SPEEDS[parseInt(speed)];
+        }
+        if (course === '0' && !isOmitted(speed) && speed !== '0') {
+            warning('Ship reported stationary with non-zero speed');
+        }
+        addGroup(2, movementGroup, 'shipMovement', { course: decoded.shipCourse || null, speed: decoded.shipSpeed || null });
+
+        let waterTemperatureSeen = false;
+        while (index < parts.length && parts[index] !== '333') {
+            const group = parts[index++];
+
+            if (group === 'ICE') {
+                // Ice accretion is given in plain language or as a group after ICE
+                const iceGroup = index < parts.length && parts[index] !== '333' ? parts[index++] : null;
+                addGroup(2, iceGroup ? `ICE ${iceGroup}` : 'ICE', 'ice');
+                continue;
+            }
+
+            if (!/^[0-9][0-9/]{4}$/.test(group)) {
+                error(`Invalid section 2 group: ${group}`);
+                addGroup(2, group, 'unknown');
+                continue;
+            }
+
+            const indicator = group.substring(0, 1);
+            if (indicator === '0' && !waterTemperatureSeen) {
+                waterTemperatureSeen = true;
+                if (isOmitted(group.substring(1))) {
+                    addGroup(2, group, 'waterTemperature');
+                } else if (/^0[0-7][0-9]{3}$/.test(group)) {
+                    const methodSign = parseInt(group.substring(1, 2));
+                    const tenths = parseInt(group.substring(2, 5));
+                    decoded.waterTemperature = (methodSign % 2 === 0 ? tenths : -tenths) / 10.0;
+                    decoded.waterTemperatureMethod = SST_METHODS[Math.floor(methodSign / 2)];
+                    if (decoded.waterTemperature < -5 || decoded.waterTemperature > 40) {
+                        warning(`Water temperature outside typical range (-5 to 40°C): ${decoded.waterTemperature}`);
+                    }
+                    addGroup(2, group, 'waterTemperature', {
+                        temperature: decoded.waterTemperature,
+                        method: decoded.waterTemperatureMethod
+                    });
+                } else {
+                    error(`Invalid water temperature group: ${group}`);
+                    addGroup(2, group, 'waterTemperature');
+                }
+                continue;
+            }
+
+            if (isOmitted(group.substring(1))) {
+                addGroup(2, group, `group${indicator}`);
+                continue;
+            }
+
+            if (indicator === '2' || indicator === '4') {
+                const name = indicator === '2' ? 'windWaves' : 'swell';
+                decoded[name] = decodeWaveCode(group.substring(1));
+                if (decoded[name].height !== null && decoded[name].height > 20) {
+                    warning(`${indicator === '2' ? 'Wind wave' : 'Swell'} height unusual (over 20 m): ${decoded[name].height}`);
+                }
+                addGroup(2, group, name, decoded[name]);
+            } else if (indicator === '3') {
+                const decodeDirection = (code) => isOmitted(code) ? null : parseInt(code) * 10;
+                decoded.swellDirection = decodeDirection(group.substring(1, 3));
+                decoded.secondarySwellDirection = decodeDirection(group.substring(3, 5));
+                for (const direction of [decoded.swellDirection, decoded.secondarySwellDirection]) {
+                    if (direction !== null && (direction < 10 || direction > 360) && direction !== 990) {
+                        error(`Swell direction out of valid range (01-36 or 99): ${group}`);
+                    }
+                }
+                addGroup(2, group, 'swellDirection', {
+                    primary: decoded.swellDirection,
+                    secondary: decoded.secondarySwellDirection
+                });
+            } else {
+                addGroup(2, group, `group${indicator}`);
+            }
+        }
+    } else {
+        error('Missing section 2 identifier (222Dsvs)');
+    }
+
+    // Section 3: regional groups, of which the 911ff/912ff gusts are decoded
+    if (index < parts.length && parts[index] === '333') {
+        addGroup(3, parts[index++], 'section3');
+        while (index < parts.length) {
+            const group = parts[index++];
+            if (/^91[12][0-9/]{2}$/.test(group)) {
+                const name = group.substring(2, 3) === '1' ? 'gust' : 'pastGust';
+                let gust = isOmitted(group.substring(3, 5)) ? null : parseInt(group.substring(3, 5));
+                addGroup(3, group, name, gust);
+
+                // ff = 99 means the gust follows in a 00fff group
+                if (gust === 99 && /^00[0-9]{3}$/.test(parts[index] || '')) {
+                    gust = parseInt(parts[index].substring(2));
+                    addGroup(3, parts[index++], `${name}Extension`, gust);
+                }
+                decoded[name] = gust;
+
+                if (gust !== null && decoded.windSpeed !== undefined && gust < decoded.windSpeed) {
+                    warning(`Gust is lower than the mean wind speed: ${group}`);
+                }
+            } else if (/^[0-9][0-9/]{4}$/.test(group)) {
+                addGroup(3, group, 'regional');
+            } else {
+                error(`Invalid section 3 group: ${group}`);
+                addGroup(3, group, 'unknown');
+            }
+        }
+    }
+
+    result.valid = result.errors.length === 0;
+    return result;
+}
+
+module.exports = {
+    parseBbxx
+};
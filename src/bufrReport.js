@@ -0,0 +1,531 @@
+// BUFR Report Module for SignalK Plugin
+// Encodes ship observations as WMO FM 94 BUFR edition 4 messages and decodes them for checking
+
+const { isMissing, humidityToPercent } = require('./weatherReport');
+
+// Table B elements of ship template TM 308009
+const BUFR_TABLE_B = {
+    '001011': { units: 'CCITT IA5', scale: 0, reference: 0, width: 72 }, // Ship or mobile land station identifier
+    '001012': { units: 'degree true', scale: 0, reference: 0, width: 9 }, // Direction of motion of moving observing platform
+    '001013': { units: 'm/s', scale: 0, reference: 0, width: 10 }, // Speed of motion of moving observing platform
+    '002001': { units: 'code table', scale: 0, reference: 0, width: 2 }, // Type of station
+    '002002': { units: 'flag table', scale: 0, reference: 0, width: 4 }, // Type of instrumentation for wind measurement
+    '002038': { units: 'code table', scale: 0, reference: 0, width: 4 }, // Method of sea/water temperature measurement
+    '004001': { units: 'a', scale: 0, reference: 0, width: 12 }, // Year
+    '004002': { units: 'mon', scale: 0, reference: 0, width: 4 }, // Month
+    '004003': { units: 'd', scale: 0, reference: 0, width: 6 }, // Day
+    '004004': { units: 'h', scale: 0, reference: 0, width: 5 }, // Hour
+    '004005': { units: 'min', scale: 0, reference: 0, width: 6 }, // Minute
+    '004024': { units: 'h', scale: 0, reference: -2048, width: 12 }, // Time period or displacement
+    '004025': { units: 'min', scale: 0, reference: -2048, width: 12 }, // Time period or displacement
+    '005001': { units: 'degree', scale: 5, reference: -9000000, width: 25 }, // Latitude (high accuracy)
+    '006001': { units: 'degree', scale: 5, reference: -18000000, width: 26 }, // Longitude (high accuracy)
+    '007030': { units: 'm', scale: 1, reference: -4000, width: 17 }, // Height of station ground surface above mean sea level
+    '007031': { units: 'm', scale: 1, reference: -4000, width: 17 }, // Height of barometer above mean sea level
+    '007032': { units: 'm', scale: 2, reference: 0, width: 16 }, // Height of sensor above marine deck platform
+    '007033': { units: 'm', scale: 1, reference: 0, width: 12 }, // Height of sensor above water surface
+    '007063': { units: 'm', scale: 2, reference: 0, width: 20 }, // Depth below sea/water surface
+    '008002': { units: 'code table', scale: 0, reference: 0, width: 6 }, // Vertical significance
+    '008021': { units: 'code table', scale: 0, reference: 0, width: 5 }, // Time significance
+    '010004': { units: 'Pa', scale: -1, reference: 0, width: 14 }, // Station pressure
+    '010051': { units: 'Pa', scale: -1, reference: 0, width: 14 }, // Pressure reduced to mean sea level
+    '010061': { units: 'Pa', scale: -1, reference: -500, width: 10 }, // 3-hour pressure change
+    '010063': { units: 'code table', scale: 0, reference: 0, width: 4 }, // Characteristic of pressure tendency
+    '011001': { units: 'degree true', scale: 0, reference: 0, width: 9 }, // Wind direction
+    '011002': { units: 'm/s', scale: 1, reference: 0, width: 12 }, // Wind speed
+    '011041': { units: 'm/s', scale: 1, reference: 0, width: 12 }, // Maximum wind gust speed
+    '011043': { units: 'degree true', scale: 0, reference: 0, width: 9 }, // Maximum wind gust direction
+    '012101': { units: 'K', scale: 2, reference: 0, width: 16 }, // Air temperature
+    '012103': { units: 'K', scale: 2, reference: 0, width: 16 }, // Dew point temperature
+    '012111': { units: 'K', scale: 2, reference: 0, width: 16 }, // Maximum temperature
+    '012112': { units: 'K', scale: 2, reference: 0, width: 16 }, // Minimum temperature
+    '013003': { units: '%', scale: 0, reference: 0, width: 7 }, // Relative humidity
+    '013011': { units: 'kg m-2', scale: 1, reference: -1, width: 14 }, // Total precipitation
+    '013023': { units: 'kg m-2', scale: 1, reference: -1, width: 14 }, // Total precipitation past 24 hours
+    '020001': { units: 'm', scale: -1, reference: 0, width: 13 }, // Horizontal visibility
+    '020003': { units: 'code table', scale: 0, reference: 0, width: 9 }, // Present weather
+    '020004': { units: 'code table', scale: 0, reference: 0, width: 5 }, // Past weather (1)
+    '020005': { units: 'code table', scale: 0, reference: 0, width: 5 }, // Past weather (2)
+    '020010': { units: '%', scale: 0, reference: 0, width: 7 }, // Cloud cover (total)
+    '020011': { units: 'code table', scale: 0, reference: 0, width: 4 }, // Cloud amount
+    '020012': { units: 'code table', scale: 0, reference: 0, width: 6 }, // Cloud type
+    '020013': { units: 'm', scale: -1, reference: -40, width: 11 }, // Height of base of cloud
+    '020031': { units: 'm', scale: 2, reference: 0, width: 7 }, // Ice deposit (thickness)
+    '020032': { units: 'code table', scale: 0, reference: 0, width: 3 }, // Rate of ice accretion
+    '020033': { units: 'flag table', scale: 0, reference: 0, width: 4 }, // Cause of ice accretion
+    '020034': { units: 'code table', scale: 0, reference: 0, width: 5 }, // Sea ice concentration
+    '020035': { units: 'code table', scale: 0, reference: 0, width: 4 }, // Amount and type of ice
+    '020036': { units: 'code table', scale: 0, reference: 0, width: 5 }, // Ice situation
+    '020037': { units: 'code table', scale: 0, reference: 0, width: 5 }, // Ice development
+    '020038': { units: 'degree true', scale: 0, reference: 0, width: 12 }, // Bearing of ice edge
+    '022001': { units: 'degree true', scale: 0, reference: 0, width: 9 }, // Direction of waves
+    '022002': { units: 'degree true', scale: 0, reference: 0, width: 9 }, // Direction of wind waves
+    '022003': { units: 'degree true', scale: 0, reference: 0, width: 9 }, // Direction of swell waves
+    '022011': { units: 's', scale: 0, reference: 0, width: 6 }, // Period of waves
+    '022012': { units: 's', scale: 0, reference: 0, width: 6 }, // Period of wind waves
+    '022013': { units: 's', scale: 0, reference: 0, width: 6 }, // Period of swell waves
+    '022021': { units: 'm', scale: 1, reference: 0, width: 10 }, // Height of waves
+    '022022': { units: 'm', scale: 1, reference: 0, width: 10 }, // Height of wind waves
+    '022023': { units: 'm', scale: 1, reference: 0, width: 10 }, // Height of swell waves
+    '022043': { units: 'K', scale: 2, reference: 0, width: 15 }, // Sea/water temperature
+    '031001': { units: 'numeric', scale: 0, reference: 0, width: 8 } // Delayed descriptor replication factor
+};
+
+// Table D sequences expanded by 3 08 009. Elements the plugin observes are named after the
+// values of bufrValuesFromObservation; every other element is written as missing. Names inside
+// a replication apply to its first repetition only.
+const SHIP_TEMPLATE = '308009';
+const BUFR_TABLE_D = {
+    '308009': ['301093', '301011', '301012', '301021', '007030', '007031', '302001', '302054', '302055', '302057', '302060'],
+    '301093': [
+        { descriptor: '001011', name: 'stationId' },
+        { descriptor: '001012', name: 'shipDirection' },
+        { descriptor: '001013', name: 'shipSpeed' },
+        { descriptor: '002001', name: 'stationType' }
+    ],
+    '301011': [{ descriptor: '004001', name: 'year' }, { descriptor: '004002', name: 'month' }, { descriptor: '004003', name: 'day' }],
+    '301012': [{ descriptor: '004004', name: 'hour' }, { descriptor: '004005', name: 'minute' }],
+    '301021': [{ descriptor: '005001', name: 'latitude' }, { descriptor: '006001', name: 'longitude' }],
+    '302001': [
+        '010004',
+        { descriptor: '010051', name: 'pressureMsl' },
+        { descriptor: '010061', name: 'pressureChange' },
+        { descriptor: '010063', name: 'pressureTendency' }
+    ],
+    // Instantaneous data: temperature and humidity, visibility, precipitation and cloud
+    '302054': ['302052', '302053', '007033', '302034', '007032', '302004', '101000', { descriptor: '031001', name: 'cloudLayers' }, '302005'],
+    '302052': [
+        '007032',
+        '007033',
+        { descriptor: '012101', name: 'airTemperature' },
+        { descriptor: '012103', name: 'dewPoint' },
+        { descriptor: '013003', name: 'relativeHumidity' }
+    ],
+    '302053': ['007032', '007033', { descriptor: '020001', name: 'visibility' }],
+    '302034': ['007032', '013023'],
+    '302004': [
+        { descriptor: '020010', name: 'totalCloud' },
+        { descriptor: '008002', name: 'verticalSignificance' },
+        { descriptor: '020011', name: 'lowCloudAmount' },
+        { descriptor: '020013', name: 'cloudBaseHeight' },
+        { descriptor: '020012', name: 'lowCloud' },
+        { descriptor: '020012', name: 'middleCloud' },
+        { descriptor: '020012', name: 'highCloud' }
+    ],
+    '302005': ['008002', '020011', '020012', '020013'],
+    // Icing and ice
+    '302055': ['020031', '020032', '020033', '020034', '020035', '020036', '020037', '020038'],
+    // Marine data: sea temperature, waves, wind waves and two swell systems
+    '302057': ['302056', '302021', '302024'],
+    '302056': [
+        { descriptor: '002038', name: 'sstMethod' },
+        '007063',
+        { descriptor: '022043', name: 'waterTemperature' },
+        '007063'
+    ],
+    '302021': ['022001', '022011', '022021'],
+    '302024': ['302022', '101002', '302023'],
+    '302022': ['022002', { descriptor: '022012', name: 'windWavePeriod' }, { descriptor: '022022', name: 'windWaveHeight' }],
+    '302023': [
+        { descriptor: '022003', name: 'swellDirection' },
+        { descriptor: '022013', name: 'swellPeriod' },
+        { descriptor: '022023', name: 'swellHeight' }
+    ],
+    // Period data: weather, precipitation, extreme temperatures and wind
+    '302060': ['302038', '101002', '302040', '302058', '302059', '007032', '007033'],
+    '302038': [
+        { descriptor: '020003', name: 'presentWeather' },
+        '004024',
+        { descriptor: '020004', name: 'pastWeather1' },
+        { descriptor: '020005', name: 'pastWeather2' }
+    ],
+    '302040': ['007032', '102002', '004024', '013011'],
+    '302058': ['007032', '007033', '004024', '004024', '012111', '004024', '004024', '012112'],
+    '302059': [
+        '007032',
+        '007033',
+        '002002',
+        '008021',
+        '004025',
+        { descriptor: '011001', name: 'windDirection' },
+        { descriptor: '011002', name: 'windSpeed' },
+        '008021',
+        '103002',
+        { descriptor: '004025', name: 'gustPeriod' },
+        { descriptor: '011043', name: 'gustDirection' },
+        { descriptor: '011041', name: 'gust' }
+    ]
+};
+
+const BUFR_MASTER_TABLE_VERSION = 29;
+const DATA_CATEGORY_SURFACE_SEA = 1;
+
+// Code table 0 02 038 (method of sea surface temperature measurement)
+const SST_METHOD_BUFR_CODES = { intake: 0, bucket: 1, hull: 2, other: 14 };
+
+// Lower limits of the ship visibility codes (VV 90-99) in metres
+const VISIBILITY_METRES = { 90: 0, 91: 50, 92: 200, 93: 500, 94: 1000, 95: 2000, 96: 4000, 97: 10000, 98: 20000, 99: 50000 };
+
+// Lower limits of the cloud base height codes (h 0-9) in metres
+const CLOUD_BASE_METRES = [0, 50, 100, 200, 300, 600, 1000, 1500, 2000, 2500];
+
+const KNOTS_TO_MPS = 1 / 1.94384;
+
+function codeToNumber(code) {
+    // Observer codes left blank arrive as empty strings
+    return isMissing(code) || code === '' ? null : parseInt(code, 10);
+}
+
+function createBitWriter() {
+    const bytes = [];
+    let current = 0;
+    let used = 0;
+
+    function writeBits(value, width) {
+        for (let bit = width - 1; bit >= 0; bit--) {
+            current = current * 2 + (Math.floor(value / Math.pow(2, bit)) % 2);
+            used++;
+            if (used === 8) {
+                bytes.push(current);
+                current = 0;
+                used = 0;
+            }
+        }
+    }
+
+    function toBuffer() {
+        // Pad the final octet with zero bits
+        const padded = bytes.slice();
+        if (used > 0) {
+            padded.push(current * Math.pow(2, 8 - used));
+        }
+        return Buffer.from(padded);
+    }
+
+    return { writeBits, toBuffer };
+}
+
+function createBitReader(buffer) {
+    let position = 0;
+
+    function readBits(width) {
+        let value = 0;
+        for (let i = 0; i < width; i++) {
+            const byte = buffer[Math.floor(position / 8)];
+            const bit = (byte >> (7 - (position % 8))) & 1;
+            value = value * 2 + bit;
+            position++;
+        }
+        return value;
+    }
+
+    function bitsRead() {
+        return position;
+    }
+
+    return { readBits, bitsRead };
+}
+
+function walkDescriptors(descriptors, visit, named = true) {
+    /**
+     * Expand descriptors through Table D and replications, calling visit for each element in data order.
+     * Args:
+     *   descriptors (array): Descriptor strings, or { descriptor, name } for named elements
+     *   visit (function): (descriptor, element, name) => value written or read; the value of a
+     *                     delayed replication factor is its number of repetitions
+     *   named (boolean): False inside second and later repetitions, whose elements are not named
+     */
+    for (let i = 0; i < descriptors.length; i++) {
+        const descriptor = descriptors[i].descriptor || descriptors[i];
+        const name = named ? descriptors[i].name : undefined;
+        const f = descriptor[0];
+        if (f === '0' && BUFR_TABLE_B[descriptor]) {
+            visit(descriptor, BUFR_TABLE_B[descriptor], name);
+        } else if (f === '3' && BUFR_TABLE_D[descriptor]) {
+            walkDescriptors(BUFR_TABLE_D[descriptor], visit, named);
+        } else if (f === '1') {
+            const count = parseInt(descriptor.substring(1, 3), 10);
+            let repetitions = parseInt(descriptor.substring(3, 6), 10);
+            if (repetitions === 0) {
+                // Delayed replication: the factor follows the replication descriptor
+                i++;
+                const factor = descriptors[i].descriptor || descriptors[i];
+                repetitions = visit(factor, BUFR_TABLE_B[factor], named ? descriptors[i].name : undefined) || 0;
+            }
+            const replicated = descriptors.slice(i + 1, i + 1 + count);
+            for (let repetition = 0; repetition < repetitions; repetition++) {
+                walkDescriptors(replicated, visit, named && repetition === 0);
+            }
+            i += count;
+        } else {
+            throw new Error(`Unknown descriptor: ${descriptor}`);
+        }
+    }
+}
+
+function encodeElement(writer, element, value) {
+    if (element.units === 'CCITT IA5') {
+        const chars = element.width / 8;
+        const text = (isMissing(value) ? '' : value.toString()).slice(0, chars).padEnd(chars, ' ');
+        for (const char of text) {
+            writer.writeBits(char.charCodeAt(0) & 0x7f, 8);
+        }
+        return;
+    }
+
+    // All bits set marks a missing value
+    const missing = Math.pow(2, element.width) - 1;
+    if (isMissing(value)) {
+        writer.writeBits(missing, element.width);
+        return;
+    }
+    const encoded = Math.round(value * Math.pow(10, element.scale)) - element.reference;
+    writer.writeBits(encoded >= 0 && encoded < missing ? encoded : missing, element.width);
+}
+
+function decodeElement(reader, element) {
+    if (element.units === 'CCITT IA5') {
+        let text = '';
+        for (let i = 0; i < element.width / 8; i++) {
+            text += String.fromCharCode(reader.readBits(8));
+        }
+        return text.trim();
+    }
+
+    const raw = reader.readBits(element.width);
+    if (raw === Math.pow(2, element.width) - 1) {
+        return null;
+    }
+    const value = (raw + element.reference) / Math.pow(10, element.scale);
+    return element.scale > 0 ? parseFloat(value.toFixed(element.scale)) : value;
+}
+
+function bufrValuesFromObservation(data, stationId, options = {}) {
+    /**
+     * Map an averaged observation (as returned by collectSignalkData) onto BUFR element values in SI units.
+     */
+    const toKelvin = (celsius) => isMissing(celsius) ? null : celsius + 273.15;
+    const toMps = (knots) => isMissing(knots) ? null : knots * KNOTS_TO_MPS;
+    const observer = data.observer || {};
+    const utc = data.synoptic_time || data.utc_time;
+    const tendency = data.pressure_tendency;
+    const totalCloud = codeToNumber(observer.totalCloud);
+    const cloudBase = codeToNumber(observer.cloudBaseHeight);
+    const gust = data.gust && !isMissing(data.gust.speed) ? data.gust : null;
+    const sstMethod = SST_METHOD_BUFR_CODES[options.sstMethod || 'hull'];
+    const cloudType = (code, offset) => codeToNumber(code) === null ? null : codeToNumber(code) + offset;
+
+    return {
+        stationId,
+        shipDirection: isMissing(data.cog_deg) ? null : Math.round(data.cog_deg) % 360,
+        shipSpeed: toMps(data.sog_knots),
+        stationType: 1, // Manned
+        year: utc.getUTCFullYear(),
+        month: utc.getUTCMonth() + 1,
+        day: utc.getUTCDate(),
+        hour: utc.getUTCHours(),
+        minute: utc.getUTCMinutes(),
+        latitude: data.lat,
+        longitude: data.lon,
+        pressureMsl: isMissing(data.pressure_hpa) ? null : data.pressure_hpa * 100,
+        pressureChange: tendency ? tendency.change * 100 : null,
+        pressureTendency: tendency ? tendency.characteristic : null,
+        airTemperature: toKelvin(data.air_temp),
+        dewPoint: toKelvin(data.dew_point),
+        relativeHumidity: humidityToPercent(data.humidity),
+        visibility: isMissing(observer.visibility) ? null : VISIBILITY_METRES[observer.visibility],
+        totalCloud: totalCloud === null ? null : (totalCloud === 9 ? 113 : Math.round(totalCloud * 12.5)),
+        presentWeather: codeToNumber(observer.presentWeather),
+        pastWeather1: codeToNumber(observer.pastWeather1),
+        pastWeather2: codeToNumber(observer.pastWeather2),
+        verticalSignificance: codeToNumber(observer.lowCloudAmount) === null ? null : 7, // Low cloud
+        lowCloudAmount: codeToNumber(observer.lowCloudAmount),
+        cloudLayers: 0, // No individual cloud layers (8NsChshs groups) are observed
+        cloudBaseHeight: cloudBase === null ? null : CLOUD_BASE_METRES[cloudBase],
+        lowCloud: cloudType(observer.lowCloud, 30),
+        middleCloud: cloudType(observer.middleCloud, 20),
+        highCloud: cloudType(observer.highCloud, 10),
+        windDirection: isMissing(data.true_wind_dir) ? null : (Math.round(data.true_wind_dir) % 360 || 360),
+        windSpeed: toMps(data.true_wind_speed),
+        gustPeriod: gust ? -(gust.windowMinutes || 10) : null,
+        gustDirection: gust && !isMissing(gust.direction) ? (Math.round(gust.direction) % 360 || 360) : null,
+        gust: gust ? toMps(gust.speed) : null,
+        sstMethod: isMissing(data.water_temp) || sstMethod === undefined ? null : sstMethod,
+        waterTemperature: toKelvin(data.water_temp),
+        windWavePeriod: isMissing(data.wave_period) ? null : Math.round(data.wave_period),
+        windWaveHeight: data.wave_height,
+        swellDirection: isMissing(data.swell_dir) ? null : (Math.round(data.swell_dir) % 360 || 360),
+        swellPeriod: isMissing(data.swell_period) ? null : Math.round(data.swell_period),
+        swellHeight: data.swell_height
+    };
+}
+
+function writeUint(bytes, value, length) {
+    for (let i = length - 1; i >= 0; i--) {
+        bytes.push(Math.floor(value / Math.pow(256, i)) % 256);
+    }
+}
+
+function generateBufrReport(data, stationId, options = {}) {
+    /**
+     * Generate a BUFR edition 4 ship observation message.
+     * Args:
+     *   data (object): Averaged observation as returned by collectSignalkData
+     *   stationId (string): Ship's callsign
+     *   options (object): { sstMethod, originatingCentre, subCentre } (optional)
+     * Returns:
+     *   Buffer: Complete BUFR message from "BUFR" to "7777"
+     */
+    const values = bufrValuesFromObservation(data, stationId, options);
+    const utc = data.utc_time;
+
+    // Section 1: identification
+    const section1 = [];
+    writeUint(section1, 22, 3);
+    section1.push(0); // BUFR master table
+    writeUint(section1, options.originatingCentre !== undefined ? options.originatingCentre : 65535, 2);
+    writeUint(section1, options.subCentre || 0, 2);
+    section1.push(0); // Update sequence number
+    section1.push(0); // No optional section 2
+    section1.push(DATA_CATEGORY_SURFACE_SEA);
+    section1.push(0); // International sub-category: synoptic observations
+    section1.push(0); // Local sub-category
+    section1.push(BUFR_MASTER_TABLE_VERSION);
+    section1.push(0); // Local tables not used
+    writeUint(section1, utc.getUTCFullYear(), 2);
+    section1.push(utc.getUTCMonth() + 1, utc.getUTCDate(), utc.getUTCHours(), utc.getUTCMinutes(), utc.getUTCSeconds());
+
+    // Section 3: data description (one subset, observed and uncompressed) as the ship template
+    const section3 = [];
+    writeUint(section3, 9, 3);
+    section3.push(0);
+    writeUint(section3, 1, 2);
+    section3.push(0x80);
+    const x = parseInt(SHIP_TEMPLATE.substring(1, 3), 10);
+    const y = parseInt(SHIP_TEMPLATE.substring(3, 6), 10);
+    section3.push(0xc0 | x, y); // F = 3 (sequence descriptor)
+
+    // Section 4: data in the order of the expanded template
+    const writer = createBitWriter();
+    walkDescriptors([SHIP_TEMPLATE], (descriptor, element, name) => {
+        const value = name ? values[name] : null;
+        encodeElement(writer, element, value);
+        return value;
+    });
+    const dataBits = writer.toBuffer();
+    const section4 = [];
+    writeUint(section4, 4 + dataBits.length, 3);
+    section4.push(0);
+
+    const totalLength = 8 + section1.length + section3.length + section4.length + dataBits.length + 4;
+    const section0 = [...Buffer.from('BUFR', 'ascii')];
+    writeUint(section0, totalLength, 3);
+    section0.push(4); // Edition 4
+
+    return Buffer.concat([
+        Buffer.from(section0),
+        Buffer.from(section1),
+        Buffer.from(section3),
+        Buffer.from(section4),
+        dataBits,
+        Buffer.from('7777', 'ascii')
+    ]);
+}
+
+function readUint(buffer, offset, length) {
+    let value = 0;
+    for (let i = 0; i < length; i++) {
+        value = value * 256 + buffer[offset + i];
+    }
+    return value;
+}
+
+function decodeBufr(buffer) {
+    /**
+     * Decode a BUFR edition 4 message produced by generateBufrReport.
+     * Only the descriptors in BUFR_TABLE_B and BUFR_TABLE_D are understood.
+     * Returns:
+     *   object: { edition, category, subCategory, masterTableVersion, subsets, descriptors, elements, values } -
+     *           descriptors as listed in section 3, elements ({ descriptor, name, value }) in the order of
+     *           their expansion and values of the named elements
+     * Throws an Error for messages that are not well formed.
+     */
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'BUFR') {
+        throw new Error('Not a BUFR message');
+    }
+    const totalLength = readUint(buffer, 4, 3);
+    const edition = buffer[7];
+    if (edition !== 4) {
+        throw new Error(`Unsupported BUFR edition: ${edition}`);
+    }
+    if (totalLength !== buffer.length || buffer.toString('ascii', totalLength - 4, totalLength) !== '7777') {
+        throw new Error('BUFR message length or end section is invalid');
+    }
+
+    // Section 1
+    let offset = 8;
+    const section1Length = readUint(buffer, offset, 3);
+    const hasSection2 = (buffer[offset + 9] & 0x80) !== 0;
+    const category = buffer[offset + 10];
+    const subCategory = buffer[offset + 11];
+    const masterTableVersion = buffer[offset + 13];
+    offset += section1Length;
+
+    if (hasSection2) {
+        offset += readUint(buffer, offset, 3);
+    }
+
+    // Section 3
+    const section3Length = readUint(buffer, offset, 3);
+    const subsets = readUint(buffer, offset + 4, 2);
+    const compressed = (buffer[offset + 6] & 0x40) !== 0;
+    if (compressed || subsets !== 1) {
+        throw new Error('Only uncompressed single-subset messages are supported');
+    }
+    const descriptors = [];
+    for (let i = offset + 7; i + 1 < offset + section3Length; i += 2) {
+        const f = buffer[i] >> 6;
+        const x = buffer[i] & 0x3f;
+        const y = buffer[i + 1];
+        descriptors.push(`${f}${x.toString().padStart(2, '0')}${y.toString().padStart(3, '0')}`);
+    }
+    offset += section3Length;
+
+    // Section 4, read in the order of the expanded descriptors
+    const section4Length = readUint(buffer, offset, 3);
+    const reader = createBitReader(buffer.subarray(offset + 4, offset + section4Length));
+    const elements = [];
+    const values = {};
+    walkDescriptors(descriptors, (descriptor, element, name) => {
+        const value = decodeElement(reader, element);
+        elements.push({ descriptor, name: name || null, value });
+        if (name) {
+            values[name] = value;
+        }
+        return value;
+    });
+    // Only the padding of the final octet may be left over
+    const dataBits = (section4Length - 4) * 8;
+    if (reader.bitsRead() > dataBits || dataBits - reader.bitsRead() >= 8) {
+        throw new Error('BUFR data section does not match its descriptors');
+    }
+
+    return {
+        edition,
+        category,
+        subCategory,
+        masterTableVersion,
+        subsets,
+        descriptors,
+        elements,
+        values
+    };
+}
+
+module.exports = {
+    BUFR_TABLE_B,
+    BUFR_TABLE_D,
+    SHIP_TEMPLATE,
+    generateBufrReport,
+    decodeBufr
+};
@@ -0,0 +1,209 @@
+// Calibration Module for SignalK Plugin
+// Per-sensor calibration applied to raw Signal K values, and a log of comparisons with reference readings
+
+const fs = require('fs');
+const { writeFileAtomic } = require('./atomicFile');
+const { isMissing } = require('./weatherReport');
+
+// How each kind of quantity is calibrated; display units are those used for reference readings
+const CALIBRATION_KINDS = {
+    angle: { setting: 'offset', units: '°', identity: 0 },
+    speed: { setting: 'multiplier', units: 'knots', identity: 1 },
+    temperature: { setting: 'offset', units: '°C', identity: 0 },
+    pressure: { setting: 'offset', units: 'hPa', identity: 0 }
+};
+
+// Quantities (see SIGNALK_QUANTITIES) that can be calibrated, and their kind.
+// Pressure is calibrated with the Barometer Calibration Offset setting.
+const CALIBRATED_QUANTITIES = {
+    headingMagnetic: 'angle',
+    headingTrue: 'angle',
+    headingCompass: 'angle',
+    windAngleApparent: 'angle',
+    windDirectionTrue: 'angle',
+    speedThroughWater: 'speed',
+    windSpeedApparent: 'speed',
+    windSpeedTrue: 'speed',
+    windSpeedOverGround: 'speed',
+    waterTemperature: 'temperature',
+    airTemperature: 'temperature',
+    dewPoint: 'temperature',
+    pressure: 'pressure'
+};
+
+const MAX_COMPARISONS_PER_QUANTITY = 50;
+
+function normalizeDifference(degrees) {
+    return ((((degrees + 180) % 360) + 360) % 360) - 180;
+}
+
+function resolveCalibration(calibration = {}, pressureOffset = 0) {
+    /**
+     * Combine configured calibration settings with the identity calibration.
+     * Returns:
+     *   object: Quantity -> offset (angle °, temperature °C, pressure hPa) or multiplier (speed)
+     */
+    const resolved = {};
+    for (const [quantity, kind] of Object.entries(CALIBRATED_QUANTITIES)) {
+        const configured = kind === 'pressure' ? pressureOffset : calibration && calibration[quantity];
+        resolved[quantity] = typeof configured === 'number' && !isNaN(configured) ? configured : CALIBRATION_KINDS[kind].identity;
+    }
+    return resolved;
+}
+
+function applyCalibration(quantity, value, calibration) {
+    /**
+     * Apply a resolved calibration to a raw Signal K value (SI units).
+     */
+    const kind = CALIBRATED_QUANTITIES[quantity];
+    if (!kind || typeof value !== 'number' || isNaN(value) || !calibration) {
+        return value;
+    }
+    const setting = calibration[quantity];
+    switch (kind) {
+        case 'angle':
+            return value + (setting * Math.PI) / 180;
+        case 'speed':
+            return value * setting;
+        case 'temperature':
+            return value + setting; // Same step in Kelvin and Celsius
+        case 'pressure':
+            return value + setting * 100;
+        default:
+            return value;
+    }
+}
+
+function toDisplayUnits(quantity, value) {
+    /**
+     * Convert a raw Signal K value to the units reference readings are entered in.
+     */
+    const kind = CALIBRATED_QUANTITIES[quantity];
+    if (typeof value !== 'number' || isNaN(value)) {
+        return null;
+    }
+    switch (kind) {
+        case 'angle':
+            return (value * 180) / Math.PI;
+        case 'speed':
+            return value * 1.94384;
+        case 'temperature':
+            return value > 200 ? value - 273.15 : value;
+        case 'pressure':
+            return value / 100;
+        default:
+            return value;
+    }
+}
+
+function suggestCalibration(quantity, comparisons) {
+    /**
+     * Suggest a calibration setting from comparisons of raw readings with reference readings.
+     * Args:
+     *   quantity (string): Calibrated quantity
+     *   comparisons (array): { reference, measured } pairs in display units, measured being the uncalibrated reading
+     * Returns:
+     *   object: { quantity, setting, suggested, comparisons } or null without usable comparisons
+     */
+    const kind = CALIBRATED_QUANTITIES[quantity];
+    const usable = comparisons.filter(c => !isMissing(c.reference) && !isMissing(c.measured));
+    if (!kind || usable.length === 0) {
+        return null;
+    }
+
+    let suggested;
+    if (kind === 'speed') {
+        // Ratio of sums weights stronger, more reliable readings more heavily
+        const measuredSum = usable.reduce((sum, c) => sum + c.measured, 0);
+        if (measuredSum <= 0) {
+            return null;
+        }
+        suggested = usable.reduce((sum, c) => sum + c.reference, 0) / measuredSum;
+    } else if (kind === 'angle') {
+        suggested = usable.reduce((sum, c) => sum + normalizeDifference(c.reference - c.measured), 0) / usable.length;
+    } else {
+        suggested = usable.reduce((sum, c) => sum + (c.reference - c.measured), 0) / usable.length;
+    }
+
+    return {
+        quantity,
+        setting: kind === 'pressure' ? 'pressureOffset' : `calibration.${quantity}`,
+        kind: CALIBRATION_KINDS[kind].setting,
+        units: kind === 'speed' ? null : CALIBRATION_KINDS[kind].units,
+        suggested: Math.round(suggested * 1000) / 1000,
+        comparisons: usable.length
+    };
+}
+
+function createCalibrationLog(filePath = null) {
+    /**
+     * Create a store of reference comparisons, saved as JSON to filePath when one is given.
+     */
+    let comparisons = [];
+
+    function load() {
+        if (!filePath || !fs.existsSync(filePath)) {
+            return;
+        }
+        try {
+            const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            comparisons = Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            console.error(`Error reading calibration comparisons: ${error.message}`);
+        }
+    }
+
+    function save() {
+        if (!filePath) {
+            return;
+        }
+        try {
+            writeFileAtomic(filePath, JSON.stringify(comparisons, null, 2));
+        } catch (error) {
+            console.error(`Error saving calibration comparisons: ${error.message}`);
+        }
+    }
+
+    function add(comparison) {
+        comparisons.push(comparison);
+        // Keep the most recent comparisons of each quantity
+        const sameQuantity = comparisons.filter(c => c.quantity === comparison.quantity);
+        if (sameQuantity.length > MAX_COMPARISONS_PER_QUANTITY) {
+            comparisons.splice(comparisons.indexOf(sameQuantity[0]), 1);
+        }
+        save();
+        return comparison;
+    }
+
+    function list(quantity = null) {
+        return comparisons.filter(c => !quantity || c.quantity === quantity);
+    }
+
+    function clear(quantity = null) {
+        comparisons = quantity ? comparisons.filter(c => c.quantity !== quantity) : [];
+        save();
+    }
+
+    function suggest(quantity) {
+        return suggestCalibration(quantity, list(quantity));
+    }
+
+    load();
+
+    return {
+        add,
+        list,
+        clear,
+        suggest
+    };
+}
+
+module.exports = {
+    CALIBRATION_KINDS,
+    CALIBRATED_QUANTITIES,
+    resolveCalibration,
+    applyCalibration,
+    toDisplayUnits,
+    suggestCalibration,
+    createCalibrationLog
+};
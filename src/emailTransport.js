@@ -0,0 +1,202 @@
+// Email Transport Module for SignalK Plugin
+// Sends reports as plain text email through an SMTP server (STARTTLS, implicit TLS or plain, with optional AUTH PLAIN)
+
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const { createDeliveryResult } = require('./noaaDelivery');
+
+const DEFAULT_SMTP_PORTS = {
+    starttls: 587,
+    tls: 465,
+    none: 25
+};
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+function formatAddress(address) {
+    return `<${String(address).trim()}>`;
+}
+
+function buildEmailMessage({ from, to, subject, body, date = new Date(), messageId }) {
+    /**
+     * Build an RFC 5322 plain text message.
+     * Args:
+     *   from (string), to (string|array): Addresses
+     *   subject, body (string): Message subject and text
+     *   date (Date): Message date
+     *   messageId (string): Message-ID without angle brackets
+     * Returns:
+     *   string: Message with CRLF line endings
+     */
+    const recipients = Array.isArray(to) ? to : [to];
+    const headers = [
+        `From: ${from}`,
+        `To: ${recipients.join(', ')}`,
+        `Subject: ${subject}`,
+        `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+        `Message-ID: <${messageId || `${date.getTime()}.${process.pid}@${os.hostname()}`}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=us-ascii',
+        'Content-Transfer-Encoding: 7bit'
+    ];
+    return `${headers.join('\r\n')}\r\n\r\n${String(body).replace(/\r?\n/g, '\r\n')}\r\n`;
+}
+
+function createReplyReader() {
+    // Collects SMTP replies, joining multi-line replies (250-...) into one
+    let buffer = '';
+    let lines = [];
+    let failure = null;
+    const replies = [];
+    const waiting = [];
+
+    function push(chunk) {
+        buffer += chunk.toString('latin1');
+        let newline;
+        while ((newline = buffer.indexOf('\n')) >= 0) {
+            const line = buffer.slice(0, newline).replace(/\r$/, '');
+            buffer = buffer.slice(newline + 1);
+            lines.push(line);
+            if (/^\d{3}(?: |$)/.test(line)) {
+                const reply = { code: Number(line.slice(0, 3)), text: lines.map(l => l.slice(4)).join('\n') };
+                lines = [];
+                if (waiting.length > 0) {
+                    waiting.shift().resolve(reply);
+                } else {
+                    replies.push(reply);
+                }
+            }
+        }
+    }
+
+    function fail(error) {
+        failure = failure || error;
+        while (waiting.length > 0) {
+            waiting.shift().reject(failure);
+        }
+    }
+
+    function next() {
+        if (replies.length > 0) {
+            return Promise.resolve(replies.shift());
+        }
+        if (failure) {
+            return Promise.reject(failure);
+        }
+        return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    }
+
+    return { push, fail, next };
+}
+
+async function sendMail(message, envelope, settings, options = {}) {
+    /**
+     * Send one message through an SMTP server.
+     * Args:
+     *   message (string): Message from buildEmailMessage
+     *   envelope (object): { from, to } addresses (to may be an array)
+     *   settings (object): host, port, security ('starttls', 'tls' or 'none'), username, password
+     *   options (object): timeout (ms) and tls (extra TLS options)
+     * Returns:
+     *   Promise<object>: Delivery result - sent once the server has taken the message (a mail server taking it
+     *                    says nothing about NOAA receiving it), rejected on a permanent (5xx) reply,
+     *                    a transport error on a temporary (4xx) reply or connection failure
+     */
+    const security = DEFAULT_SMTP_PORTS[settings.security] ? settings.security : 'starttls';
+    const host = settings.host;
+    const port = settings.port || DEFAULT_SMTP_PORTS[security];
+    const timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+    const tlsOptions = { servername: host, ...options.tls };
+    const recipients = Array.isArray(envelope.to) ? envelope.to : [envelope.to];
+
+    if (!host) {
+        return createDeliveryResult('rejected', { reason: 'not_configured', message: 'SMTP server is not configured' });
+    }
+
+    let reader = createReplyReader();
+    let socket = null;
+
+    const attach = (connection) => {
+        connection.on('data', chunk => reader.push(chunk));
+        connection.on('error', error => reader.fail(error));
+        connection.on('close', () => reader.fail(new Error(`SMTP server ${host}:${port} closed the connection`)));
+        connection.setTimeout(timeout, () => {
+            reader.fail(Object.assign(new Error(`No answer from SMTP server ${host}:${port}`), { code: 'ETIMEDOUT' }));
+            connection.destroy();
+        });
+        return connection;
+    };
+
+    const command = async (line, expected, label = null) => {
+        if (line !== null) {
+            socket.write(`${line}\r\n`);
+        }
+        const reply = await reader.next();
+        if (!expected.includes(reply.code)) {
+            // Never echo the AUTH line, it carries the credentials
+            const verb = label || (line === null ? 'greeting' : line.split(' ')[0]);
+            throw Object.assign(new Error(`SMTP ${verb} failed: ${reply.code} ${reply.text}`), { smtpCode: reply.code });
+        }
+        return reply;
+    };
+
+    try {
+        socket = attach(security === 'tls' ? tls.connect({ host, port, ...tlsOptions }) : net.createConnection({ host, port }));
+        await command(null, [220]);
+        const hostname = os.hostname() || 'localhost';
+        let ehlo = await command(`EHLO ${hostname}`, [250]);
+
+        if (security === 'starttls') {
+            if (!/^STARTTLS\b/mi.test(ehlo.text)) {
+                socket.destroy();
+                return createDeliveryResult('rejected', { reason: 'starttls_unavailable', message: `SMTP server ${host}:${port} does not offer STARTTLS` });
+            }
+            await command('STARTTLS', [220]);
+            const plain = socket;
+            plain.removeAllListeners('data');
+            plain.removeAllListeners('close');
+            plain.setTimeout(0);
+            reader = createReplyReader();
+            socket = attach(tls.connect({ socket: plain, ...tlsOptions }));
+            ehlo = await command(`EHLO ${hostname}`, [250]);
+        }
+
+        if (settings.username) {
+            const credentials = Buffer.from(`\u0000${settings.username}\u0000${settings.password || ''}`).toString('base64');
+            await command(`AUTH PLAIN ${credentials}`, [235]);
+        }
+
+        await command(`MAIL FROM:${formatAddress(envelope.from)}`, [250]);
+        for (const recipient of recipients) {
+            await command(`RCPT TO:${formatAddress(recipient)}`, [250, 251]);
+        }
+        await command('DATA', [354]);
+        // Dot-stuffing keeps a line starting with "." from ending the message early
+        const data = message.replace(/\r\n\./g, '\r\n..').replace(/^\./, '..');
+        const accepted = await command(`${data}${data.endsWith('\r\n') ? '' : '\r\n'}.`, [250], 'message');
+        socket.end('QUIT\r\n');
+
+        return createDeliveryResult('sent', {
+            reason: 'smtp_accepted',
+            message: `Handed to SMTP server ${host} for ${recipients.join(', ')} (${accepted.text})`
+        });
+    } catch (error) {
+        if (socket) {
+            socket.destroy();
+        }
+        if (error.smtpCode) {
+            if (error.smtpCode >= 500) {
+                return createDeliveryResult('rejected', { reason: error.smtpCode === 535 ? 'auth_failed' : `smtp_${error.smtpCode}`, message: error.message });
+            }
+            return createDeliveryResult('transport_error', { reason: `smtp_${error.smtpCode}`, message: error.message });
+        }
+        return createDeliveryResult('transport_error', { reason: error.code || 'network_error', message: error.message });
+    }
+}
+
+module.exports = {
+    DEFAULT_SMTP_PORTS,
+    buildEmailMessage,
+    sendMail
+};
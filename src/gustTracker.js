@@ -0,0 +1,62 @@
+// Gust Tracker Module for SignalK Plugin
+// Finds the highest gust before an observation in the true wind buffered from Signal K subscriptions
+
+const GUST_AVERAGING_SECONDS = 3; // WMO gusts are the highest 3-second mean wind speed
+const DEFAULT_GUST_WINDOW_MINUTES = 10;
+
+function findGust(readings, now, windowMinutes = DEFAULT_GUST_WINDOW_MINUTES) {
+    /**
+     * Highest 3-second running mean of true wind speed within the window before now.
+     * Args:
+     *   readings (array): { time (ms), speed (knots), direction (degrees) }, oldest first, about a second apart
+     *   now (number): End of the window in milliseconds
+     *   windowMinutes (number): Length of the window
+     * Returns:
+     *   object: { speed, direction, time, windowMinutes } - direction and time of the last reading in the
+     *           highest mean - or null until readings cover 3 seconds
+     */
+    const start = now - windowMinutes * 60 * 1000;
+    const inWindow = readings.filter(r => r.time > start && r.time <= now && typeof r.speed === 'number' && !isNaN(r.speed));
+    let gust = null;
+    let first = 0;
+    let sum = 0;
+    for (let i = 0; i < inWindow.length; i++) {
+        sum += inWindow[i].speed;
+        while (inWindow[first].time <= inWindow[i].time - GUST_AVERAGING_SECONDS * 1000) {
+            sum -= inWindow[first].speed;
+            first++;
+        }
+        // A single reading is an instantaneous value, not a 3-second mean
+        if (inWindow[i].time - inWindow[first].time < (GUST_AVERAGING_SECONDS - 1) * 1000) {
+            continue;
+        }
+        const mean = sum / (i - first + 1);
+        if (gust === null || mean > gust.speed) {
+            gust = { speed: mean, direction: inWindow[i].direction, time: inWindow[i].time };
+        }
+    }
+    return gust ? { speed: gust.speed, direction: gust.direction, time: new Date(gust.time), windowMinutes } : null;
+}
+
+function createGustTracker(buffer, windowMinutes = DEFAULT_GUST_WINDOW_MINUTES) {
+    /**
+     * Create a gust tracker reading the 1-second true wind samples of a Signal K buffer.
+     * The buffer must keep at least windowMinutes of values (see retainMinutes in createSignalkBuffer).
+     */
+    function getGust(now = Date.now()) {
+        const readings = buffer.getSamples(now, windowMinutes)
+            .map(sample => ({ time: sample.time, speed: sample.true_wind_speed, direction: sample.true_wind_dir }));
+        return findGust(readings, now, windowMinutes);
+    }
+
+    return {
+        getGust,
+        windowMinutes
+    };
+}
+
+module.exports = {
+    GUST_AVERAGING_SECONDS,
+    findGust,
+    createGustTracker
+};
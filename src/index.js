@@ -1,16 +1,87 @@
+const os = require('os');
+const path = require('path');
 const axios = require('axios');
 const winston = require('winston');
 const DailyRotateFile = require('winston-daily-rotate-file');
-const { collectSignalkData, displaySignalkSummary, sendSignalkData } = require('./signalkReader');
+const {
+    SIGNALK_QUANTITIES,
+    resolvePaths,
+    resolveMaxAges,
+    testSignalkPaths,
+    readRawQuantity,
+    collectSignalkData,
+    createSignalkBuffer,
+    collectBufferedData,
+    displaySignalkSummary,
+    NOAA_TRANSPORTS,
+    sendSignalkData
+} = require('./signalkReader');
 const { humanReadableReport } = require('./weatherReport');
+const { createPressureRecorder } = require('./pressureHistory');
+const { createGustTracker } = require('./gustTracker');
+const { OBSERVER_CODE_TABLES, validateObserverEntry } = require('./observerCodes');
+const { parseBbxx } = require('./bbxxParser');
+const { generateBufrReport } = require('./bufrReport');
+const { getSamplingLeadTime, createReportScheduler } = require('./reportScheduler');
+const { DEFAULT_MAX_AGE_HOURS, createOutbox } = require('./outbox');
+const { createDeliveryResult } = require('./noaaDelivery');
+const { createWindyUploader } = require('./windyUpload');
+const { DEFAULT_APRS_SERVER, DEFAULT_APRS_PORT, createAprsSender } = require('./aprsWeather');
+const { DEFAULT_SMTP_PORTS } = require('./emailTransport');
+const { RADIO_MAIL_FORMATS } = require('./radioMail');
+const { COMBINATION_METHODS, DEFAULT_DISAGREEMENT_THRESHOLDS } = require('./sensorFusion');
+const {
+    CALIBRATION_KINDS,
+    CALIBRATED_QUANTITIES,
+    resolveCalibration,
+    toDisplayUnits,
+    createCalibrationLog
+} = require('./calibration');
+
+// Observer entries older than this are not folded into a report
+const OBSERVER_ENTRY_MAX_AGE_MS = 3 * 60 * 60 * 1000;
+
+// Hardcoded beta key for production access
+const VALID_BETA_KEY = 'NOAA-WINDY-BETA-2025-WXR7K9';
+
+// One path mapping setting per observed quantity, defaulting to the standard Signal K path
+const PATH_MAPPING_PROPERTIES = {};
+const MAX_AGE_PROPERTIES = {};
+for (const [quantity, { title, path, maxAge }] of Object.entries(SIGNALK_QUANTITIES)) {
+    PATH_MAPPING_PROPERTIES[quantity] = { type: 'string', title, default: path };
+    MAX_AGE_PROPERTIES[quantity] = { type: 'number', title, minimum: 0, default: maxAge };
+}
+
+// One calibration setting per calibrated quantity (pressure has its own offset setting)
+const CALIBRATION_PROPERTIES = {};
+for (const [quantity, kind] of Object.entries(CALIBRATED_QUANTITIES)) {
+    if (kind === 'pressure') {
+        continue;
+    }
+    const { setting, units, identity } = CALIBRATION_KINDS[kind];
+    CALIBRATION_PROPERTIES[quantity] = {
+        type: 'number',
+        title: `${SIGNALK_QUANTITIES[quantity].title} ${setting === 'multiplier' ? 'multiplier' : `offset (${units})`}`,
+        default: identity
+    };
+}
 
 module.exports = function(app) {
     let logger;
-    let intervalId = null;
+    let reportScheduler = null;
+    let signalkBuffer = null;
     let lastReport = null;
     let pluginStarted = false;
     let lastError = null;
     let lastErrorTime = null;
+    let pressureRecorder = null;
+    let gustTracker = null;
+    let calibrationLog = null;
+    let outbox = null;
+    let windyUploader = null;
+    let aprsSender = null;
+    let pluginOptions = {};
+    let observerEntry = null;
 
     const plugin = {
         id: 'signalk-noaa-weather-report',
@@ -40,10 +111,351 @@ module.exports = function(app) {
                     title: 'Test Mode',
                     default: true
                 },
+                transport: {
+                    type: 'string',
+                    title: 'NOAA Submission',
+                    description: 'How reports reach NOAA: the Google Form over the internet, email through an SMTP server (e.g. satellite email), or a message file in a Winlink / Airmail / Pat outbox sent at the next HF radio session.',
+                    enum: Object.keys(NOAA_TRANSPORTS),
+                    enumNames: Object.values(NOAA_TRANSPORTS),
+                    default: 'form'
+                },
+                email: {
+                    type: 'object',
+                    title: 'Email (SMTP)',
+                    description: 'Used when NOAA Submission is Email. The BBXX report is sent as the plain text body.',
+                    properties: {
+                        to: {
+                            type: 'string',
+                            title: 'NOAA Address',
+                            description: 'Address NOAA receives BBXX reports at, as given by your Port Meteorological Officer'
+                        },
+                        from: {
+                            type: 'string',
+                            title: 'From Address'
+                        },
+                        host: {
+                            type: 'string',
+                            title: 'SMTP Server'
+                        },
+                        security: {
+                            type: 'string',
+                            title: 'Connection Security',
+                            enum: Object.keys(DEFAULT_SMTP_PORTS),
+                            enumNames: ['STARTTLS (port 587)', 'TLS (port 465)', 'None (port 25)'],
+                            default: 'starttls'
+                        },
+                        port: {
+                            type: 'number',
+                            title: 'SMTP Port',
+                            description: 'Leave empty for the default port of the connection security'
+                        },
+                        username: {
+                            type: 'string',
+                            title: 'Username'
+                        },
+                        password: {
+                            type: 'string',
+                            title: 'Password'
+                        }
+                    }
+                },
+                radioMail: {
+                    type: 'object',
+                    title: 'Radio Email Outbox',
+                    description: 'Used when NOAA Submission is Radio email outbox. Each report is written as a message file for the radio mail client to send.',
+                    properties: {
+                        directory: {
+                            type: 'string',
+                            title: 'Outbox Directory',
+                            description: 'e.g. ~/.local/share/pat/mailbox/N0CALL/out for Pat'
+                        },
+                        format: {
+                            type: 'string',
+                            title: 'Message Format',
+                            enum: Object.keys(RADIO_MAIL_FORMATS),
+                            enumNames: Object.values(RADIO_MAIL_FORMATS).map(f => f.title),
+                            default: 'b2f'
+                        },
+                        from: {
+                            type: 'string',
+                            title: 'Winlink / SailMail Callsign',
+                            description: 'Sending account (defaults to the Ship Station Callsign)'
+                        },
+                        to: {
+                            type: 'string',
+                            title: 'NOAA Address',
+                            description: 'Address NOAA receives BBXX reports at, as given by your Port Meteorological Officer'
+                        }
+                    }
+                },
+                windReference: {
+                    type: 'string',
+                    title: 'True Wind Reference',
+                    description: 'Motion used to turn apparent wind into true wind. WMO reports wind relative to the ground.',
+                    enum: ['ground', 'water'],
+                    enumNames: ['Ground (COG/SOG)', 'Water (heading/speed through water)'],
+                    default: 'ground'
+                },
+                anemometerHeight: {
+                    type: 'number',
+                    title: 'Anemometer Height (m)',
+                    description: 'Height of the anemometer above the sea surface. True wind speed is reduced to the 10 m reference height with a logarithmic wind profile.',
+                    minimum: 1,
+                    maximum: 100,
+                    default: 10
+                },
+                motionCorrection: {
+                    type: 'boolean',
+                    title: 'Correct Wind for Vessel Motion',
+                    description: 'Correct apparent wind for heel and pitch from navigation.attitude, and for mast motion when attitude updates often enough to give roll and pitch rates.',
+                    default: true
+                },
+                barometerHeight: {
+                    type: 'number',
+                    title: 'Barometer Height (m)',
+                    description: 'Height of the barometer above the sea surface (negative if below it). Pressure is reduced to mean sea level for the report.',
+                    minimum: -20,
+                    maximum: 100,
+                    default: 0
+                },
+                pressureOffset: {
+                    type: 'number',
+                    title: 'Barometer Calibration Offset (hPa)',
+                    description: 'Correction added to every barometer reading, e.g. from comparison with a reference barometer or a port meteorological officer check.',
+                    minimum: -20,
+                    maximum: 20,
+                    default: 0
+                },
+                sourcePriority: {
+                    type: 'object',
+                    title: 'Source Priority',
+                    description: 'Use values published on Signal K (e.g. by a wind processor) when present, or always calculate them in the plugin.',
+                    properties: {
+                        trueWind: {
+                            type: 'string',
+                            title: 'True wind',
+                            enum: ['signalk', 'calculated'],
+                            enumNames: ['Signal K true wind if present, otherwise calculate from apparent', 'Always calculate from apparent wind'],
+                            default: 'signalk'
+                        },
+                        heading: {
+                            type: 'string',
+                            title: 'True heading',
+                            enum: ['signalk', 'calculated'],
+                            enumNames: ['headingTrue if present, otherwise magnetic heading plus variation', 'Always magnetic heading plus variation'],
+                            default: 'signalk'
+                        },
+                        dewPoint: {
+                            type: 'string',
+                            title: 'Dew point',
+                            enum: ['signalk', 'calculated'],
+                            enumNames: ['Signal K dew point if present, otherwise calculate from humidity', 'Always calculate from humidity'],
+                            default: 'signalk'
+                        }
+                    }
+                },
+                sources: {
+                    type: 'array',
+                    title: 'Pinned Sources',
+                    description: 'Only use one $source for a path when several devices publish it (e.g. the masthead unit rather than a backup instrument).',
+                    items: {
+                        type: 'object',
+                        required: ['path', 'source'],
+                        properties: {
+                            path: {
+                                type: 'string',
+                                title: 'Signal K path (as mapped under Signal K Paths)'
+                            },
+                            source: {
+                                type: 'string',
+                                title: '$source (e.g. nmea0183.WI or can0.115)'
+                            }
+                        }
+                    },
+                    default: []
+                },
+                sensors: {
+                    type: 'object',
+                    title: 'Redundant Sensors',
+                    description: 'How headings, wind, speed through water, temperatures and pressure are read when several devices ($sources) publish the same path. Pinned sources always win.',
+                    properties: {
+                        method: {
+                            type: 'string',
+                            title: 'Combination',
+                            enum: Object.keys(COMBINATION_METHODS),
+                            enumNames: Object.values(COMBINATION_METHODS),
+                            default: 'latest'
+                        },
+                        weights: {
+                            type: 'array',
+                            title: 'Source Weights',
+                            description: 'Weight of a $source in the mean (default 1, 0 = ignore). Also breaks ties between equally good sources.',
+                            items: {
+                                type: 'object',
+                                required: ['source', 'weight'],
+                                properties: {
+                                    source: { type: 'string', title: '$source' },
+                                    weight: { type: 'number', title: 'Weight', minimum: 0, default: 1 }
+                                }
+                            },
+                            default: []
+                        },
+                        thresholds: {
+                            type: 'object',
+                            title: 'Disagreement Thresholds',
+                            description: 'Spread between sources above which they are flagged in the report details.',
+                            properties: {
+                                angle: { type: 'number', title: 'Angles (°)', minimum: 0, default: DEFAULT_DISAGREEMENT_THRESHOLDS.angle },
+                                speed: { type: 'number', title: 'Speeds (knots)', minimum: 0, default: DEFAULT_DISAGREEMENT_THRESHOLDS.speed },
+                                temperature: { type: 'number', title: 'Temperatures (°C)', minimum: 0, default: DEFAULT_DISAGREEMENT_THRESHOLDS.temperature },
+                                pressure: { type: 'number', title: 'Pressure (hPa)', minimum: 0, default: DEFAULT_DISAGREEMENT_THRESHOLDS.pressure }
+                            }
+                        }
+                    }
+                },
+                paths: {
+                    type: 'object',
+                    title: 'Signal K Paths',
+                    description: 'Path read for each observed quantity. Change these for installations that publish variants such as environment.outside.airTemperature or environment.water.temperature.surface.',
+                    properties: PATH_MAPPING_PROPERTIES
+                },
+                calibration: {
+                    type: 'object',
+                    title: 'Sensor Calibration',
+                    description: 'Corrections applied to raw Signal K values before any calculation: offsets are added (e.g. a wind vane a few degrees off the centreline), multipliers scale speeds. Use /calibration/compare to work them out from reference readings.',
+                    properties: CALIBRATION_PROPERTIES
+                },
+                maxAge: {
+                    type: 'object',
+                    title: 'Maximum Data Age (seconds)',
+                    description: 'Values older than this (by their Signal K timestamp) are treated as missing and reported as slashes. 0 = no limit.',
+                    properties: MAX_AGE_PROPERTIES
+                },
+                qualityControl: {
+                    type: 'object',
+                    title: 'Quality Control',
+                    description: 'Checks applied to the samples in each averaging window. Values outside plausible ranges and spikes are rejected before averaging.',
+                    properties: {
+                        action: {
+                            type: 'string',
+                            title: 'When a quantity fails QC',
+                            enum: ['blank', 'refuse'],
+                            enumNames: ['Report its group as slashes', 'Do not submit the report'],
+                            default: 'blank'
+                        },
+                        minValidRatio: {
+                            type: 'number',
+                            title: 'Minimum share of valid samples (0-1)',
+                            minimum: 0,
+                            maximum: 1,
+                            default: 0.5
+                        },
+                        spikeThreshold: {
+                            type: 'number',
+                            title: 'Spike threshold (median absolute deviations)',
+                            minimum: 1,
+                            default: 3.5
+                        },
+                        maxDirectionVariance: {
+                            type: 'number',
+                            title: 'Maximum circular variance of true wind direction (0-1)',
+                            minimum: 0,
+                            maximum: 1,
+                            default: 0.5
+                        }
+                    }
+                },
+                outboxMaxAge: {
+                    type: 'number',
+                    title: 'Outbox Maximum Age (hours)',
+                    description: 'Reports that could not be sent (e.g. offshore without a link) are retried with increasing intervals, and dropped once the observation is older than this.',
+                    minimum: 1,
+                    maximum: 72,
+                    default: DEFAULT_MAX_AGE_HOURS
+                },
+                windy: {
+                    type: 'object',
+                    title: 'Windy Stations Upload',
+                    description: 'Also upload each observation directly to your weather station on stations.windy.com. The station\'s position follows the vessel.',
+                    properties: {
+                        enabled: {
+                            type: 'boolean',
+                            title: 'Upload to Windy',
+                            default: false
+                        },
+                        stationId: {
+                            type: 'string',
+                            title: 'Windy Station ID',
+                            description: 'Station ID shown for your station on stations.windy.com'
+                        },
+                        apiKey: {
+                            type: 'string',
+                            title: 'Windy API Key'
+                        },
+                        stationName: {
+                            type: 'string',
+                            title: 'Station Name',
+                            description: 'Name shown on the Windy map (optional)'
+                        },
+                        testMode: {
+                            type: 'boolean',
+                            title: 'Windy Test Mode',
+                            description: 'Log Windy uploads without sending them. Independent of the NOAA test mode.',
+                            default: true
+                        }
+                    }
+                },
+                aprs: {
+                    type: 'object',
+                    title: 'CWOP / APRS-IS',
+                    description: 'Also send each observation to the Citizen Weather Observer Program as an APRS weather packet. At most one packet every 5 minutes is sent.',
+                    properties: {
+                        enabled: {
+                            type: 'boolean',
+                            title: 'Send to CWOP / APRS-IS',
+                            default: false
+                        },
+                        callsign: {
+                            type: 'string',
+                            title: 'Callsign or CWOP ID',
+                            description: 'Amateur radio callsign (with SSID, e.g. N0CALL-13) or CWOP ID (e.g. EW1234)'
+                        },
+                        passcode: {
+                            type: 'number',
+                            title: 'APRS-IS Passcode',
+                            description: 'Passcode for your callsign, or -1 for a CWOP ID',
+                            default: -1
+                        },
+                        server: {
+                            type: 'string',
+                            title: 'APRS-IS Server',
+                            default: DEFAULT_APRS_SERVER
+                        },
+                        port: {
+                            type: 'number',
+                            title: 'APRS-IS Port',
+                            default: DEFAULT_APRS_PORT
+                        },
+                        testMode: {
+                            type: 'boolean',
+                            title: 'APRS Test Mode',
+                            description: 'Log APRS packets without sending them. Independent of the NOAA test mode.',
+                            default: true
+                        }
+                    }
+                },
+                averagingWindow: {
+                    type: 'number',
+                    title: 'Averaging Window (minutes)',
+                    description: 'Period before each observation over which Signal K data is averaged (1-60). WMO practice is a 10-minute mean.',
+                    minimum: 1,
+                    maximum: 60,
+                    default: 10
+                },
                 samples: {
                     type: 'number',
                     title: 'Number of Samples',
-                    description: 'Number of data samples to average for each report (1-10).',
+                    description: 'Number of data samples to average for each report (1-10). Only used if the server does not support subscriptions.',
                     minimum: 1,
                     maximum: 10,
                     default: 3
@@ -51,18 +463,42 @@ module.exports = function(app) {
                 interval: {
                     type: 'number',
                     title: 'Sampling Interval (seconds)',
-                    description: 'Time between data samples in seconds (1-60).',
+                    description: 'Time between data samples in seconds (1-60). Only used if the server does not support subscriptions.',
                     minimum: 1,
                     maximum: 60,
                     default: 5
                 },
-                reportInterval: {
+                reportSchedule: {
+                    type: 'string',
+                    title: 'Automatic Reports',
+                    description: 'Synoptic hours at which reports are sent automatically. Sampling starts just before each hour.',
+                    enum: ['manual', 'main', 'intermediate', 'hourly'],
+                    enumNames: ['Manual only', 'Main synoptic hours (00, 06, 12, 18 UTC)', 'Main and intermediate hours (every 3 hours)', 'Every hour'],
+                    default: 'manual'
+                },
+                windUnits: {
+                    type: 'string',
+                    title: 'Wind Speed Units',
+                    description: 'Units for wind speeds in the BBXX report. Sets the wind indicator (iw) in the report header.',
+                    enum: ['knots', 'mps'],
+                    enumNames: ['Knots', 'Metres per second'],
+                    default: 'knots'
+                },
+                gustWindow: {
                     type: 'number',
-                    title: 'Automatic Report Interval (hours)',
-                    description: 'Hours between automatic reports (0 = manual only, 1-24).',
-                    minimum: 0,
-                    maximum: 24,
-                    default: 0
+                    title: 'Gust Window (minutes)',
+                    description: 'Period before each observation in which the highest true wind gust is reported (1-60).',
+                    minimum: 1,
+                    maximum: 60,
+                    default: 10
+                },
+                sstMethod: {
+                    type: 'string',
+                    title: 'Sea Surface Temperature Method',
+                    description: 'How the water temperature sensor measures sea surface temperature.',
+                    enum: ['intake', 'bucket', 'hull', 'other'],
+                    enumNames: ['Engine/seawater intake', 'Bucket', 'Hull contact sensor', 'Other'],
+                    default: 'hull'
                 },
                 logLevel: {
                     type: 'string',
@@ -87,15 +523,53 @@ module.exports = function(app) {
                 'ui:widget': 'checkbox',
                 'ui:help': 'Reports are logged locally in test mode and not sent to NOAA.'
             },
+            transport: {
+                'ui:widget': 'select'
+            },
+            email: {
+                password: {
+                    'ui:widget': 'password'
+                }
+            },
+            windReference: {
+                'ui:widget': 'select'
+            },
+            anemometerHeight: {
+                'ui:widget': 'updown'
+            },
+            barometerHeight: {
+                'ui:widget': 'updown'
+            },
+            averagingWindow: {
+                'ui:widget': 'updown'
+            },
+            outboxMaxAge: {
+                'ui:widget': 'updown'
+            },
+            windy: {
+                apiKey: {
+                    'ui:widget': 'password'
+                }
+            },
+
             samples: {
                 'ui:widget': 'updown'
             },
             interval: {
                 'ui:widget': 'updown'
             },
-            reportInterval: {
+            reportSchedule: {
+                'ui:widget': 'select'
+            },
+            windUnits: {
+                'ui:widget': 'select'
+            },
+            gustWindow: {
                 'ui:widget': 'updown'
             },
+            sstMethod: {
+                'ui:widget': 'select'
+            },
             logLevel: {
                 'ui:widget': 'select'
             }
@@ -110,7 +584,10 @@ module.exports = function(app) {
                 const timestamp = lastReport.utc_time.toISOString().slice(11, 19); // Just HH:MM:SS
                 const tws = lastReport.true_wind_speed ? `${lastReport.true_wind_speed.toFixed(1)}` : 'N/A';
                 const twd = lastReport.true_wind_dir ? `${lastReport.true_wind_dir.toFixed(0)}°` : 'N/A';
-                return `${timestamp} ${tws}kts ${twd}`;
+                const gust = lastReport.gust ? ` G${lastReport.gust.speed.toFixed(0)}` : '';
+                const windy = lastReport.windy_delivery ? `, Windy ${describeDelivery(lastReport.windy_delivery, 'Windy')}` : '';
+                const aprs = lastReport.aprs_delivery ? `, CWOP ${describeDelivery(lastReport.aprs_delivery, 'APRS-IS')}` : '';
+                return `${timestamp} ${tws}kts${gust} ${twd} - ${describeDelivery(lastReport.delivery)}${windy}${aprs}`;
             }
             
             // Show recent error if within last 5 minutes
@@ -182,62 +659,115 @@ module.exports = function(app) {
 
             logger.info('NOAA / Windy Ship Reporting Plugin starting...');
             logger.info(`Test Mode: ${options.testMode ? 'ON (reports logged only)' : 'OFF (reports sent to NOAA)'}`);
+            logger.info(`NOAA submission: ${NOAA_TRANSPORTS[options.transport] || NOAA_TRANSPORTS.form}`);
 
             pluginStarted = true;
+            pluginOptions = options;
             app.setPluginStatus('Plugin started - waiting for data...');
 
-            // Handle automatic reporting if interval is set
-            if (options.reportInterval && options.reportInterval > 0) {
-                logger.info(`Automatic reporting enabled - interval: ${options.reportInterval} hours`);
-                
-                // Send initial report after 2 minutes
-                logger.info('Setting up initial report timer (2 minutes)...');
-                setTimeout(async () => {
-                    logger.info('Initial report timer fired - checking plugin state...');
-                    if (pluginStarted) {
-                        logger.info('Plugin is still running - sending initial weather report...');
-                        try {
-                            await generateReport(options);
-                            logger.info('Initial weather report sent successfully');
-                            // Clear any previous errors on success
-                            lastError = null;
-                            lastErrorTime = null;
-                            app.setPluginStatus('Initial weather report sent successfully');
-                        } catch (error) {
-                            const errorMsg = `Failed to send initial weather report: ${error.message}`;
-                            logger.error(errorMsg);
-                            lastError = errorMsg;
-                            lastErrorTime = Date.now();
-                            app.setPluginError(errorMsg);
-                        }
-                    } else {
-                        logger.warn('Plugin is no longer running - skipping initial report');
+            // Buffer Signal K data continuously so observations are averaged over the window
+            // and the highest gust can be found in the gust window
+            const averagingWindow = options.averagingWindow || 10;
+            const gustWindow = options.gustWindow || 10;
+            const sampleOptions = getSampleOptions(options);
+            for (const { path, source } of sampleOptions.sources) {
+                if (path && source) {
+                    logger.info(`Using only ${source} for ${path}`);
+                }
+            }
+            signalkBuffer = createSignalkBuffer(app, averagingWindow, { ...sampleOptions, retainMinutes: gustWindow });
+            if (signalkBuffer.start()) {
+                logger.info(`Signal K subscriptions started - averaging window: ${averagingWindow} minutes`);
+            } else {
+                signalkBuffer = null;
+                logger.warn('Signal K subscriptions not available - falling back to sampling at report time');
+            }
+
+            // Record barometer history for the 3-hour pressure tendency
+            const mappedPaths = resolvePaths(options.paths);
+            pressureRecorder = createPressureRecorder(app, undefined, mappedPaths.pressure, {
+                barometerHeight: options.barometerHeight || 0,
+                pressureOffset: options.pressureOffset || 0,
+                airTemperaturePath: mappedPaths.airTemperature,
+                maxAge: resolveMaxAges(options.maxAge)
+            });
+            pressureRecorder.start();
+            logger.info('Pressure history recording started');
+
+            // Reference comparisons and unsent reports are kept across restarts when the server provides a data directory
+            const dataDir = typeof app.getDataDirPath === 'function' ? app.getDataDirPath() : null;
+            calibrationLog = createCalibrationLog(dataDir ? path.join(dataDir, 'calibration-comparisons.json') : null);
+
+            // Reports that could not be submitted are retried until they are too old to be useful
+            outbox = createOutbox(dataDir ? path.join(dataDir, 'outbox.json') : null, async (entry) => {
+                if (isTestMode(pluginOptions || {})) {
+                    return createDeliveryResult('transport_error', { reason: 'test_mode', message: 'Test mode - queued report not submitted' });
+                }
+                return sendSignalkData(entry.report, false, entry.report.stationId, getTransportOptions(pluginOptions || {}));
+            }, { maxAgeHours: options.outboxMaxAge || DEFAULT_MAX_AGE_HOURS });
+            outbox.start();
+            if (outbox.list().length > 0) {
+                logger.info(`${outbox.list().length} unsent reports waiting in the outbox`);
+            }
+
+            if (options.windy && options.windy.enabled) {
+                windyUploader = createWindyUploader({ ...options.windy, anemometerHeight: options.anemometerHeight });
+                logger.info(`Windy upload enabled - station ${options.windy.stationId}${options.windy.testMode !== false ? ' (test mode)' : ''}`);
+            }
+
+            if (options.aprs && options.aprs.enabled) {
+                aprsSender = createAprsSender(options.aprs);
+                logger.info(`CWOP / APRS-IS enabled - ${options.aprs.callsign} via ${options.aprs.server || DEFAULT_APRS_SERVER}${options.aprs.testMode !== false ? ' (test mode)' : ''}`);
+            }
+
+            // The section 3 gust group comes from the buffered true wind
+            if (signalkBuffer) {
+                gustTracker = createGustTracker(signalkBuffer, gustWindow);
+                logger.info(`Gust tracking started - window: ${gustWindow} minutes`);
+            } else {
+                logger.warn('Gust tracking needs Signal K subscriptions - section 3 gust group omitted');
+            }
+
+            // Schedule automatic reports at the synoptic hours
+            const schedule = getReportSchedule(options);
+            if (schedule !== 'manual') {
+                // Buffered observations need no sampling time, only the margin before the hour
+                const leadTimeMs = signalkBuffer
+                    ? getSamplingLeadTime(0, 0)
+                    : getSamplingLeadTime(options.samples || 3, options.interval || 5);
+                reportScheduler = createReportScheduler(schedule, leadTimeMs, async (synopticTime) => {
+                    if (!pluginStarted) {
+                        return;
                     }
-                }, 2 * 60 * 1000); // 2 minutes
-
-                // Set up recurring reports
-                const intervalMs = options.reportInterval * 60 * 60 * 1000; // Convert hours to milliseconds
-                intervalId = setInterval(async () => {
-                    if (pluginStarted) {
-                        logger.info(`Sending scheduled weather report (every ${options.reportInterval} hours)...`);
-                        try {
-                            await generateReport(options);
-                            logger.info('Scheduled weather report sent successfully');
-                            // Clear any previous errors on success
-                            lastError = null;
-                            lastErrorTime = null;
-                            app.setPluginStatus('Scheduled weather report sent successfully');
-                        } catch (error) {
-                            const errorMsg = `Failed to send scheduled weather report: ${error.message}`;
-                            logger.error(errorMsg);
-                            lastError = errorMsg;
+                    const hour = synopticTime.toISOString().slice(11, 16);
+                    logger.info(`Generating the ${hour} UTC synoptic report...`);
+                    try {
+                        const report = await generateReport({ ...options, synopticTime });
+                        const outcome = describeDelivery(report.delivery);
+                        logger.info(`Scheduled ${hour} UTC weather report ${outcome}`);
+                        // Clear any previous errors on success
+                        lastError = null;
+                        lastErrorTime = null;
+                        if (report.delivery.status === 'rejected') {
+                            lastError = `Scheduled ${hour} UTC weather report ${outcome}: ${report.delivery.message}`;
                             lastErrorTime = Date.now();
-                            app.setPluginError(errorMsg);
+                            app.setPluginError(lastError);
+                        } else {
+                            app.setPluginStatus(`Scheduled ${hour} UTC weather report ${outcome}`);
                         }
+                    } catch (error) {
+                        const errorMsg = `Failed to send scheduled weather report: ${error.message}`;
+                        logger.error(errorMsg);
+                        lastError = errorMsg;
+                        lastErrorTime = Date.now();
+                        app.setPluginError(errorMsg);
                     }
-                }, intervalMs);
-                
-                logger.info(`Next scheduled report in ${options.reportInterval} hours`);
+                });
+                reportScheduler.start();
+
+                const next = reportScheduler.getNextReport();
+                logger.info(`Automatic reporting enabled - schedule: ${schedule}`);
+                logger.info(`Next report: ${next.synopticTime.toISOString().slice(0, 16).replace('T', ' ')} UTC (sampling starts ${next.samplingStart.toISOString().slice(11, 19)} UTC)`);
             } else {
                 logger.info('Automatic reporting disabled - manual reports only');
             }
@@ -254,12 +784,34 @@ module.exports = function(app) {
                 logger.info('NOAA / Windy Ship Reporting Plugin stopping...');
             }
 
-            if (intervalId) {
-                clearInterval(intervalId);
-                intervalId = null;
+            if (reportScheduler) {
+                reportScheduler.stop();
+                reportScheduler = null;
+            }
+
+            if (signalkBuffer) {
+                signalkBuffer.stop();
+                signalkBuffer = null;
             }
 
+            if (pressureRecorder) {
+                pressureRecorder.stop();
+                pressureRecorder = null;
+            }
+
+            gustTracker = null;
+
+            if (outbox) {
+                outbox.stop();
+                outbox = null;
+            }
+
+            calibrationLog = null;
+            windyUploader = null;
+            aprsSender = null;
             pluginStarted = false;
+            pluginOptions = {};
+            observerEntry = null;
             lastReport = null;
 
             if (logger) {
@@ -272,13 +824,14 @@ module.exports = function(app) {
         registerWithRouter: function(router) {
             // Status endpoint
             router.get('/status', (req, res) => {
-                const status = pluginStatus;
+                const status = plugin.status;
                 let detailedStatus = status;
                 
                 if (lastReport) {
                     const timestamp = lastReport.utc_time.toISOString().slice(0, 19).replace('T', ' ');
                     const tws = lastReport.true_wind_speed ? `${lastReport.true_wind_speed.toFixed(1)} knots` : 'N/A';
-                    detailedStatus = `${status} - Last report sent: ${timestamp}, TWS average: ${tws}`;
+                    const gust = lastReport.gust ? `, gust: ${lastReport.gust.speed.toFixed(1)} knots` : '';
+                    detailedStatus = `${status} - Last report sent: ${timestamp}, TWS average: ${tws}${gust}`;
                 }
                 
                 res.json({
@@ -286,18 +839,208 @@ module.exports = function(app) {
                     status: detailedStatus,
                     lastReport: lastReport ? {
                         timestamp: lastReport.utc_time,
+                        synopticTime: lastReport.synoptic_time,
+                        window: lastReport.window || null,
                         position: {
                             lat: lastReport.lat,
                             lon: lastReport.lon
                         },
                         trueWind: {
                             direction: lastReport.true_wind_dir,
-                            speed: lastReport.true_wind_speed
+                            speed: lastReport.true_wind_speed,
+                            gust: lastReport.gust ? lastReport.gust.speed : null,
+                            reference: lastReport.wind_reference,
+                            source: lastReport.true_wind_source,
+                            corrections: lastReport.wind_corrections || null
+                        },
+                        pressure: {
+                            station: lastReport.station_pressure_hpa,
+                            seaLevel: lastReport.pressure_hpa,
+                            barometerHeight: lastReport.pressure_reduction ? lastReport.pressure_reduction.barometerHeight : 0,
+                            offset: lastReport.pressure_reduction ? lastReport.pressure_reduction.offset : 0
                         },
                         bbxx: lastReport.bbxx,
-                        humanReadable: lastReport.humanReadable
-                    } : null
+                        humanReadable: lastReport.humanReadable,
+                        observer: lastReport.observer,
+                        staleData: lastReport.stale || [],
+                        qc: lastReport.qc || null,
+                        sensors: lastReport.sensors || [],
+                        delivery: lastReport.delivery || null,
+                        windyDelivery: lastReport.windy_delivery || null,
+                        aprsDelivery: lastReport.aprs_delivery || null
+                    } : null,
+                    outbox: outbox ? { waiting: outbox.list().length } : null,
+                    windy: windyUploader ? windyUploader.getStatus() : null,
+                    aprs: aprsSender ? aprsSender.getStatus() : null,
+                    nextReport: reportScheduler ? reportScheduler.getNextReport() : null,
+                    observerEntry
+                });
+            });
+
+            // Recorded barometer history (station and sea level pressure, hPa)
+            router.get('/pressure-history', (req, res) => {
+                res.json({
+                    readings: pressureRecorder ? pressureRecorder.getReadings() : [],
+                    tendency: pressureRecorder ? pressureRecorder.getTendency() : null
+                });
+            });
+
+            // Current value and age of each mapped Signal K path
+            router.get('/test-paths', (req, res) => {
+                const options = pluginOptions || {};
+                res.json({
+                    checkedAt: new Date(),
+                    paths: testSignalkPaths(app, options.paths, Date.now(), options.maxAge)
+                });
+            });
+
+            // BBXX validation endpoint for hand-edited messages
+            router.post('/validate', (req, res) => {
+                const message = typeof req.body === 'string' ? req.body : req.body && req.body.message;
+                if (!message || typeof message !== 'string') {
+                    return res.status(400).json({ error: 'BBXX message is required' });
+                }
+
+                res.json(parseBbxx(message));
+            });
+
+            // Observer entry endpoints (visibility, weather and cloud codes for the next report)
+            router.get('/observer-entry', (req, res) => {
+                res.json({
+                    tables: OBSERVER_CODE_TABLES,
+                    observerEntry
+                });
+            });
+
+            router.post('/observer-entry', (req, res) => {
+                if (!pluginStarted) {
+                    return res.status(400).json({ error: 'Plugin not started' });
+                }
+
+                const { codes, errors } = validateObserverEntry(req.body);
+                if (errors.length > 0) {
+                    return res.status(400).json({ error: errors.join('; '), errors });
+                }
+
+                observerEntry = {
+                    codes,
+                    enteredAt: new Date()
+                };
+                logger.info(`Observer entry saved for next report: ${JSON.stringify(codes)}`);
+                res.json({ success: true, observerEntry });
+            });
+
+            router.delete('/observer-entry', (req, res) => {
+                observerEntry = null;
+                res.json({ success: true });
+            });
+
+            // Outbox of reports waiting to be submitted
+            router.get('/outbox', (req, res) => {
+                res.json({
+                    maxAgeHours: (pluginOptions && pluginOptions.outboxMaxAge) || DEFAULT_MAX_AGE_HOURS,
+                    entries: outbox ? outbox.list() : []
+                });
+            });
+
+            router.post('/outbox/retry', async (req, res) => {
+                if (!outbox) {
+                    return res.status(400).json({ error: 'Plugin not started' });
+                }
+
+                try {
+                    const id = req.body && req.body.id ? req.body.id : null;
+                    const result = await outbox.retry(id);
+                    res.json({
+                        success: true,
+                        sent: result.sent.length,
+                        failed: result.failed.map(e => ({ id: e.id, error: e.lastError, nextAttempt: e.nextAttempt })),
+                        rejected: result.rejected.map(e => ({ id: e.id, error: e.lastError })),
+                        dropped: result.dropped.length,
+                        remaining: result.remaining
+                    });
+                } catch (error) {
+                    res.status(500).json({ error: error.message });
+                }
+            });
+
+            router.delete('/outbox', (req, res) => {
+                const id = req.query && req.query.id ? req.query.id : null;
+                const purged = outbox ? outbox.purge(id) : 0;
+                if (logger && purged > 0) {
+                    logger.info(`Purged ${purged} reports from the outbox`);
+                }
+                res.json({ success: true, purged });
+            });
+
+            // Sensor calibration: current settings, stored reference comparisons and suggested settings
+            router.get('/calibration', (req, res) => {
+                const options = pluginOptions || {};
+                const comparisons = calibrationLog ? calibrationLog.list() : [];
+                const suggestions = [...new Set(comparisons.map(c => c.quantity))]
+                    .map(quantity => calibrationLog.suggest(quantity))
+                    .filter(suggestion => suggestion !== null);
+                res.json({
+                    settings: resolveCalibration(options.calibration, options.pressureOffset),
+                    comparisons,
+                    suggestions
+                });
+            });
+
+            router.post('/calibration/compare', (req, res) => {
+                if (!pluginStarted || !calibrationLog) {
+                    return res.status(400).json({ error: 'Plugin not started' });
+                }
+
+                const { quantity, reference, measured, note } = req.body || {};
+                const kind = CALIBRATED_QUANTITIES[quantity];
+                if (!kind) {
+                    return res.status(400).json({ error: `Unknown quantity: ${quantity}. Expected one of ${Object.keys(CALIBRATED_QUANTITIES).join(', ')}` });
+                }
+                if (typeof reference !== 'number' || isNaN(reference)) {
+                    return res.status(400).json({ error: `Reference reading in ${CALIBRATION_KINDS[kind].units} is required` });
+                }
+
+                // Compare with the uncalibrated reading: entered (e.g. logged at the time of a buoy report) or current
+                const options = pluginOptions || {};
+                const reading = typeof measured === 'number' && !isNaN(measured)
+                    ? measured
+                    : toDisplayUnits(quantity, readRawQuantity(app, quantity, getSampleOptions(options)));
+                if (reading === null) {
+                    return res.status(400).json({ error: `No current reading for ${SIGNALK_QUANTITIES[quantity].title}` });
+                }
+
+                const comparison = calibrationLog.add({
+                    quantity,
+                    time: new Date(),
+                    reference,
+                    measured: reading,
+                    units: CALIBRATION_KINDS[kind].units,
+                    currentSetting: resolveCalibration(options.calibration, options.pressureOffset)[quantity],
+                    note: typeof note === 'string' ? note : null
                 });
+                const suggestion = calibrationLog.suggest(quantity);
+                logger.info(`Calibration comparison for ${quantity}: reference ${reference}, measured ${reading.toFixed(2)} ${CALIBRATION_KINDS[kind].units} - suggested ${suggestion.setting} ${suggestion.suggested}`);
+                res.json({ success: true, comparison, suggestion });
+            });
+
+            router.delete('/calibration/comparisons', (req, res) => {
+                if (calibrationLog) {
+                    calibrationLog.clear(req.query && req.query.quantity ? req.query.quantity : null);
+                }
+                res.json({ success: true });
+            });
+
+            // BUFR edition of the last report
+            router.get('/last-report.bufr', (req, res) => {
+                if (!lastReport || !lastReport.bufr) {
+                    return res.status(404).json({ error: 'No BUFR report available' });
+                }
+
+                const stamp = lastReport.utc_time.toISOString().slice(0, 16).replace(/[-:T]/g, '');
+                res.set('Content-Type', 'application/octet-stream');
+                res.set('Content-Disposition', `attachment; filename="${pluginOptions && pluginOptions.stationId || 'report'}_${stamp}.bufr"`);
+                res.send(lastReport.bufr);
             });
 
             // Manual report generation endpoint
@@ -307,8 +1050,8 @@ module.exports = function(app) {
                 }
 
                 try {
-                    const result = await generateReport();
-                    app.setPluginStatus('Manual weather report generated successfully');
+                    const result = await generateReport(pluginOptions);
+                    app.setPluginStatus(`Manual weather report generated - ${describeDelivery(result.delivery)}`);
                     res.json({
                         success: true,
                         report: {
@@ -319,10 +1062,22 @@ module.exports = function(app) {
                             },
                             trueWind: {
                                 direction: result.true_wind_dir,
-                                speed: result.true_wind_speed
+                                speed: result.true_wind_speed,
+                                gust: result.gust ? result.gust.speed : null,
+                                corrections: result.wind_corrections || null
+                            },
+                            pressure: {
+                                station: result.station_pressure_hpa,
+                                seaLevel: result.pressure_hpa
                             },
                             bbxx: result.bbxx,
-                            humanReadable: result.humanReadable
+                            humanReadable: result.humanReadable,
+                            staleData: result.stale || [],
+                            qc: result.qc || null,
+                            sensors: result.sensors || [],
+                            delivery: result.delivery || null,
+                            windyDelivery: result.windy_delivery || null,
+                            aprsDelivery: result.aprs_delivery || null
                         }
                     });
                 } catch (error) {
@@ -335,6 +1090,89 @@ module.exports = function(app) {
         }
     };
 
+    function getSampleOptions(options) {
+        return {
+            windReference: options.windReference || 'ground',
+            paths: options.paths || {},
+            maxAge: options.maxAge || {},
+            sourcePriority: options.sourcePriority || {},
+            sources: options.sources || [],
+            qc: options.qualityControl || {},
+            anemometerHeight: options.anemometerHeight,
+            motionCorrection: options.motionCorrection !== false,
+            barometerHeight: options.barometerHeight || 0,
+            pressureOffset: options.pressureOffset || 0,
+            calibration: options.calibration || {},
+            sensors: options.sensors || {}
+        };
+    }
+
+    function getTransportOptions(options) {
+        const radioMail = options.radioMail || {};
+        return {
+            transport: options.transport || 'form',
+            email: options.email || {},
+            radioMail: {
+                ...radioMail,
+                directory: radioMail.directory ? radioMail.directory.replace(/^~(?=\/|$)/, os.homedir()) : radioMail.directory,
+                from: radioMail.from || options.stationId
+            }
+        };
+    }
+
+    function isTestMode(options) {
+        return options.betaKey !== VALID_BETA_KEY || options.testMode !== false;
+    }
+
+    function logChannelDelivery(service, delivery) {
+        if (delivery.delivered) {
+            logger.info(`Observation sent to ${service}${delivery.positionUpdated ? ' (station position updated)' : ''}`);
+        } else if (delivery.status === 'test') {
+            logger.info(`${service} upload logged (test mode - not sent)`);
+        } else if (delivery.status === 'skipped') {
+            logger.info(`${service}: ${delivery.message}`);
+        } else {
+            logger.warn(`Observation not sent to ${service} (${delivery.reason}): ${delivery.message}`);
+        }
+    }
+
+    function describeDelivery(delivery, service = 'NOAA') {
+        // "delivered" only once the receiving service has confirmed the entry
+        if (!delivery) {
+            return 'not sent';
+        }
+        if (delivery.delivered) {
+            return 'delivered';
+        }
+        if (delivery.status === 'test') {
+            return 'logged (test mode)';
+        }
+        if (delivery.status === 'skipped') {
+            return `not sent (${delivery.reason})`;
+        }
+        if (delivery.status === 'sent') {
+            return 'sent by email (not confirmed by NOAA)';
+        }
+        if (delivery.status === 'pending') {
+            return 'waiting for the next radio session';
+        }
+        if (delivery.status === 'rejected') {
+            return `rejected by ${service} (${delivery.reason})`;
+        }
+        return delivery.outboxId ? 'not delivered - queued for retry' : 'not delivered';
+    }
+
+    function getReportSchedule(options) {
+        if (options.reportSchedule) {
+            return options.reportSchedule;
+        }
+        // Configurations saved before synoptic scheduling used a fixed interval in hours
+        if (options.reportInterval > 0) {
+            return options.reportInterval >= 6 ? 'main' : options.reportInterval >= 3 ? 'intermediate' : 'hourly';
+        }
+        return 'manual';
+    }
+
     async function generateReport(options = {}) {
         if (!logger) {
             console.error('Logger not initialized');
@@ -349,13 +1187,12 @@ module.exports = function(app) {
         const stationId = options.stationId;
         const betaKey = options.betaKey;
         const logLevel = options.logLevel || 'info';
-        
-        // Hardcoded beta key for production access
-        const VALID_BETA_KEY = 'NOAA-WINDY-BETA-2025-WXR7K9';
+        const sstMethod = options.sstMethod || 'hull';
+        const windUnits = options.windUnits || 'knots';
         
         // Validate beta key and determine test mode
         const validBetaKey = betaKey === VALID_BETA_KEY;
-        const testMode = !validBetaKey || options.testMode !== false;
+        const testMode = isTestMode(options);
         
         if (!betaKey) {
             logger.warn('Beta key not provided - forcing test mode (reports will not be sent to NOAA)');
@@ -372,30 +1209,153 @@ module.exports = function(app) {
         }
 
         // Collect data
-        const data = await collectSignalkData(app, samples, interval, stationId);
+        const pressureTendency = pressureRecorder ? pressureRecorder.getTendency() : null;
+        if (!pressureTendency) {
+            logger.info('Pressure history does not cover 3 hours yet - tendency group omitted');
+        }
+        const gust = gustTracker ? gustTracker.getGust() : null;
+        if (!gust) {
+            logger.info('No true wind gust tracked yet - section 3 gust group omitted');
+        }
+
+        // Fold in the crew's visual observations if they are recent enough
+        const entry = observerEntry;
+        let observerCodes = {};
+        if (entry && Date.now() - entry.enteredAt.getTime() <= OBSERVER_ENTRY_MAX_AGE_MS) {
+            observerCodes = entry.codes;
+        } else if (entry) {
+            logger.warn('Observer entry is more than 3 hours old - not included in report');
+        }
+        const reportObservation = {
+            ...observerCodes,
+            pressureTendency,
+            sstMethod,
+            windUnits,
+            gust: gust ? gust.speed : null,
+            synopticTime: options.synopticTime || null
+        };
+        const data = signalkBuffer
+            ? collectBufferedData(signalkBuffer, stationId, reportObservation)
+            : await collectSignalkData(app, samples, interval, stationId, reportObservation, getSampleOptions(options));
         
         if (!data) {
-            const errorMsg = 'Failed to collect weather data';
+            // Name stale sensors, the usual reason for required data to be missing
+            const stalePaths = testSignalkPaths(app, options.paths, Date.now(), options.maxAge).filter(p => p.stale);
+            const errorMsg = stalePaths.length > 0
+                ? `Failed to collect weather data - stale: ${stalePaths.map(p => `${p.title} (${p.ageSeconds} s old)`).join(', ')}`
+                : 'Failed to collect weather data';
             logger.error(errorMsg);
             throw new Error(errorMsg);
         }
 
+        data.gust = gust;
+        data.pressure_reduction = {
+            barometerHeight: options.barometerHeight || 0,
+            offset: options.pressureOffset || 0
+        };
+        for (const { reason } of data.stale || []) {
+            logger.warn(`Stale data treated as missing: ${reason}`);
+        }
+        for (const sensor of (data.sensors || []).filter(s => s.disagreement)) {
+            logger.warn(`Sensors disagree on ${SIGNALK_QUANTITIES[sensor.quantity].title} by ${sensor.spread.toFixed(1)} (threshold ${sensor.threshold}): ` +
+                sensor.sources.map(s => `${s.source} ${s.value.toFixed(1)}`).join(', '));
+        }
+        data.observer = Object.keys(observerCodes).length > 0 ? observerCodes : null;
+
+        // Blanked groups are already slashes; in refuse mode nothing is sent while any quantity fails QC
+        const qcAction = (options.qualityControl && options.qualityControl.action) || 'blank';
+        if (data.qc && !data.qc.passed) {
+            const failures = data.qc.flags.filter(f => data.qc.failed.includes(f.field)).map(f => f.message);
+            if (qcAction === 'refuse') {
+                const errorMsg = `Report not submitted - failed quality control: ${failures.join('; ')}`;
+                logger.error(errorMsg);
+                throw new Error(errorMsg);
+            }
+            logger.warn(`Groups blanked after failed quality control: ${failures.join('; ')}`);
+        }
+
         // Add human readable format
         data.humanReadable = humanReadableReport(
             data.lat,
             data.lon,
             data.true_wind_dir,
             data.true_wind_speed,
-            data.utc_time
+            data.utc_time,
+            gust ? gust.speed : null
         );
 
         // Log the summary
         displaySignalkSummary(data);
         logger.info(`Generated BBXX report: ${data.bbxx}`);
 
+        // Never submit a report that does not decode cleanly
+        data.validation = parseBbxx(data.bbxx);
+        for (const warning of data.validation.warnings) {
+            logger.warn(`BBXX validation warning: ${warning}`);
+        }
+        if (!data.validation.valid) {
+            const errorMsg = `Generated BBXX report failed validation: ${data.validation.errors.join('; ')}`;
+            logger.error(errorMsg);
+            throw new Error(errorMsg);
+        }
+
+        // BUFR edition of the same observation, offered for download
+        try {
+            data.bufr = generateBufrReport(data, stationId, { sstMethod });
+            logger.debug(`Generated BUFR report: ${data.bufr.length} bytes`);
+        } catch (error) {
+            data.bufr = null;
+            logger.warn(`BUFR encoding failed: ${error.message}`);
+        }
+
         // Send to NOAA (always attempt, testMode controls actual sending)
-        await sendSignalkData(data, testMode, stationId);
-        logger.info(testMode ? 'Report logged (test mode - not sent to NOAA)' : 'Report sent to NOAA');
+        const delivery = await sendSignalkData(data, testMode, stationId, getTransportOptions(options));
+        data.delivery = delivery;
+        if (delivery.status === 'test') {
+            logger.info('Report logged (test mode - not sent to NOAA)');
+        } else if (delivery.delivered || delivery.status === 'sent') {
+            // Only the form confirms an entry; a mail server taking the message is all email can show
+            logger.info(delivery.delivered
+                ? 'Report delivered to NOAA (form confirmed the entry)'
+                : `Report handed to the mail server - not confirmed by NOAA: ${delivery.message}`);
+
+            // The link is up again - send anything still waiting
+            if (outbox && outbox.list().length > 0) {
+                outbox.retry().catch(error => logger.error(`Outbox error: ${error.message}`));
+            }
+        } else if (delivery.status === 'pending') {
+            logger.info(`Report handed to the radio mail client: ${delivery.message}`);
+        } else if (delivery.status === 'rejected') {
+            // Retrying would only be rejected again, so the report is not queued
+            logger.error(`Report rejected by NOAA (${delivery.reason}): ${delivery.message}`);
+        } else if (outbox) {
+            const queued = outbox.enqueue({
+                stationId,
+                observationTime: data.utc_time,
+                lat: data.lat,
+                lon: data.lon,
+                bbxx: data.bbxx
+            }, delivery.message);
+            data.delivery = { ...delivery, outboxId: queued.id };
+            logger.warn(`Report not delivered to NOAA (${delivery.message}) - queued in outbox for retry`);
+        } else {
+            logger.error(`Report not delivered to NOAA: ${delivery.message}`);
+        }
+
+        // Windy and CWOP have their own switches and test modes, independent of the NOAA beta key
+        if (windyUploader) {
+            data.windy_delivery = await windyUploader.upload(data);
+            logChannelDelivery('Windy', data.windy_delivery);
+        }
+        if (aprsSender) {
+            data.aprs_delivery = await aprsSender.send(data);
+            logChannelDelivery('CWOP / APRS-IS', data.aprs_delivery);
+        }
+
+        // Observer entry is used by one report only
+        if (entry && observerEntry === entry) {
+            observerEntry = null;
+        }
 
         // Store last report
         lastReport = data;
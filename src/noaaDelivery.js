@@ -0,0 +1,155 @@
+// NOAA Delivery Module for SignalK Plugin
+// Checks the Google Form response to a report submission and classifies it as accepted, rejected or a transport error
+
+const NOAA_FORM_URL = 'https://docs.google.com/forms/d/e/1FAIpQLSfox4aMFCWmDmAaBYOhqlQoRpCyXuaUSTB7JB93qIaqVqreQg/formResponse';
+
+// Form fields the report is entered in; the form page lists them by number
+const FORM_FIELD_IDS = {
+    bbxx: '354542700',
+    confirm: '1226456580'
+};
+
+const DELIVERY_STATUS = {
+    accepted: 'Accepted by the NOAA form',
+    rejected: 'Rejected by the NOAA form',
+    transport_error: 'Not delivered (network or server error)',
+    skipped: 'Not sent (rate limit)',
+    sent: 'Handed to the mail server - not confirmed by NOAA',
+    pending: 'Waiting for the next radio session',
+    test: 'Test mode - not submitted'
+};
+
+// Page shown once the form has recorded a response
+const CONFIRMATION_PATTERN = /freebirdFormviewerViewResponseConfirmationMessage|Your response has been recorded/i;
+const CLOSED_PATTERN = /no longer accepting responses|closedform/i;
+const VALIDATION_PATTERN = /This is a required question|freebirdFormviewerViewItemsItemErrorMessage|Must be a valid/i;
+
+function createDeliveryResult(status, fields = {}) {
+    /**
+     * Build a delivery result.
+     * Args:
+     *   status (string): Key of DELIVERY_STATUS
+     *   fields (object): httpStatus, reason (short code) and message (details)
+     * Returns:
+     *   object: { status, delivered, httpStatus, reason, message, checkedAt } - delivered only when accepted
+     */
+    return {
+        status,
+        delivered: status === 'accepted',
+        httpStatus: fields.httpStatus !== undefined ? fields.httpStatus : null,
+        reason: fields.reason || null,
+        message: fields.message || DELIVERY_STATUS[status],
+        checkedAt: new Date().toISOString()
+    };
+}
+
+function getHeader(headers, name) {
+    if (!headers) {
+        return null;
+    }
+    const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+    return key ? String(headers[key]) : null;
+}
+
+function classifyFormResponse(httpStatus, body = '', headers = {}) {
+    /**
+     * Classify the response to a form submission.
+     * Args:
+     *   httpStatus (number): HTTP status of the POST (redirects are not followed)
+     *   body (string): Response body
+     *   headers (object): Response headers
+     * Returns:
+     *   object: Delivery result (see createDeliveryResult)
+     */
+    const page = typeof body === 'string' ? body : '';
+
+    // Server trouble is worth retrying; anything else the form said no to will not change on retry
+    if (httpStatus >= 500 || httpStatus === 429) {
+        return createDeliveryResult('transport_error', {
+            httpStatus,
+            reason: 'server_error',
+            message: `NOAA form server returned HTTP ${httpStatus}`
+        });
+    }
+
+    if (httpStatus >= 300 && httpStatus < 400) {
+        const location = getHeader(headers, 'location') || '';
+        if (/accounts\.google\.com/i.test(location)) {
+            return createDeliveryResult('rejected', {
+                httpStatus,
+                reason: 'sign_in_required',
+                message: 'NOAA form now requires a Google sign-in'
+            });
+        }
+        if (CLOSED_PATTERN.test(location)) {
+            return createDeliveryResult('rejected', {
+                httpStatus,
+                reason: 'form_closed',
+                message: 'NOAA form is no longer accepting responses'
+            });
+        }
+        return createDeliveryResult('rejected', {
+            httpStatus,
+            reason: 'redirected',
+            message: `NOAA form redirected the submission${location ? ` to ${location}` : ''}`
+        });
+    }
+
+    if (httpStatus === 404) {
+        return createDeliveryResult('rejected', {
+            httpStatus,
+            reason: 'form_not_found',
+            message: 'NOAA form not found - the form address may have changed'
+        });
+    }
+
+    if (httpStatus >= 400) {
+        return createDeliveryResult('rejected', {
+            httpStatus,
+            reason: 'bad_request',
+            message: `NOAA form rejected the submission with HTTP ${httpStatus}`
+        });
+    }
+
+    if (CONFIRMATION_PATTERN.test(page)) {
+        return createDeliveryResult('accepted', { httpStatus, reason: 'confirmed' });
+    }
+
+    if (CLOSED_PATTERN.test(page)) {
+        return createDeliveryResult('rejected', {
+            httpStatus,
+            reason: 'form_closed',
+            message: 'NOAA form is no longer accepting responses'
+        });
+    }
+
+    // The form came back instead of the confirmation page
+    const missingFields = Object.values(FORM_FIELD_IDS).filter(id => page.length > 0 && !page.includes(id));
+    if (missingFields.length > 0) {
+        return createDeliveryResult('rejected', {
+            httpStatus,
+            reason: 'fields_changed',
+            message: `NOAA form no longer has the expected fields (entry.${missingFields.join(', entry.')})`
+        });
+    }
+    if (VALIDATION_PATTERN.test(page)) {
+        return createDeliveryResult('rejected', {
+            httpStatus,
+            reason: 'validation_error',
+            message: 'NOAA form returned the submission with a validation error'
+        });
+    }
+    return createDeliveryResult('rejected', {
+        httpStatus,
+        reason: 'not_confirmed',
+        message: 'NOAA form did not confirm the submission'
+    });
+}
+
+module.exports = {
+    NOAA_FORM_URL,
+    FORM_FIELD_IDS,
+    DELIVERY_STATUS,
+    createDeliveryResult,
+    classifyFormResponse
+};
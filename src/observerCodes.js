@@ -0,0 +1,202 @@
+// Observer Code Tables for SignalK Plugin
+// WMO code tables for the visual elements of a BBXX report, entered by the crew on deck
+
+const OBSERVER_CODE_TABLES = {
+    visibility: {
+        title: 'Visibility (VV)',
+        codes: {
+            '90': 'Less than 50 m',
+            '91': '50-200 m',
+            '92': '200-500 m',
+            '93': '500 m - 1 km',
+            '94': '1-2 km',
+            '95': '2-4 km',
+            '96': '4-10 km',
+            '97': '10-20 km',
+            '98': '20-50 km',
+            '99': '50 km or more'
+        }
+    },
+    cloudBaseHeight: {
+        title: 'Height of lowest cloud base (h)',
+        codes: {
+            '0': '0-50 m',
+            '1': '50-100 m',
+            '2': '100-200 m',
+            '3': '200-300 m',
+            '4': '300-600 m',
+            '5': '600-1000 m',
+            '6': '1000-1500 m',
+            '7': '1500-2000 m',
+            '8': '2000-2500 m',
+            '9': '2500 m or more, or no clouds'
+        }
+    },
+    totalCloud: {
+        title: 'Total cloud cover (N)',
+        codes: {
+            '0': 'Clear sky (0 oktas)',
+            '1': '1 okta or less',
+            '2': '2 oktas',
+            '3': '3 oktas',
+            '4': '4 oktas (half covered)',
+            '5': '5 oktas',
+            '6': '6 oktas',
+            '7': '7 oktas or more, with gaps',
+            '8': 'Overcast (8 oktas)',
+            '9': 'Sky obscured (fog, heavy rain or snow)'
+        }
+    },
+    presentWeather: {
+        title: 'Present weather (ww)',
+        codes: {
+            '00': 'No significant weather, cloud development not observed',
+            '01': 'Clouds dissolving',
+            '02': 'State of sky unchanged',
+            '03': 'Clouds forming or developing',
+            '04': 'Visibility reduced by smoke',
+            '05': 'Haze',
+            '10': 'Mist',
+            '17': 'Thunder heard, no precipitation',
+            '18': 'Squalls',
+            '20': 'Drizzle ended in the past hour',
+            '21': 'Rain ended in the past hour',
+            '25': 'Rain showers ended in the past hour',
+            '28': 'Fog ended in the past hour',
+            '29': 'Thunderstorm ended in the past hour',
+            '40': 'Fog at a distance',
+            '41': 'Fog in patches',
+            '45': 'Fog, sky invisible',
+            '51': 'Slight drizzle',
+            '53': 'Moderate drizzle',
+            '55': 'Heavy drizzle',
+            '61': 'Slight rain',
+            '63': 'Moderate rain',
+            '65': 'Heavy rain',
+            '68': 'Slight rain and snow',
+            '71': 'Slight snow',
+            '73': 'Moderate snow',
+            '75': 'Heavy snow',
+            '80': 'Slight rain showers',
+            '81': 'Moderate or heavy rain showers',
+            '82': 'Violent rain showers',
+            '85': 'Slight snow showers',
+            '89': 'Hail showers',
+            '95': 'Thunderstorm with rain or snow',
+            '96': 'Thunderstorm with hail',
+            '97': 'Heavy thunderstorm with rain or snow',
+            '99': 'Heavy thunderstorm with hail'
+        }
+    },
+    pastWeather1: {
+        title: 'Past weather, primary (W1)',
+        codes: {
+            '0': 'Cloud covering half the sky or less',
+            '1': 'Cloud cover variable',
+            '2': 'Cloud covering more than half the sky',
+            '3': 'Sandstorm or blowing snow',
+            '4': 'Fog or thick haze',
+            '5': 'Drizzle',
+            '6': 'Rain',
+            '7': 'Snow, or rain and snow',
+            '8': 'Showers',
+            '9': 'Thunderstorms'
+        }
+    },
+    pastWeather2: {
+        title: 'Past weather, secondary (W2)',
+        codes: null // Same table as W1
+    },
+    lowCloudAmount: {
+        title: 'Amount of low cloud (Nh)',
+        codes: null // Same table as N
+    },
+    lowCloud: {
+        title: 'Low cloud type (CL)',
+        codes: {
+            '0': 'No low clouds',
+            '1': 'Cumulus, little vertical extent (fair weather)',
+            '2': 'Cumulus, moderate or strong vertical extent',
+            '3': 'Cumulonimbus without anvil',
+            '4': 'Stratocumulus formed by spreading cumulus',
+            '5': 'Stratocumulus',
+            '6': 'Stratus',
+            '7': 'Ragged low cloud of bad weather',
+            '8': 'Cumulus and stratocumulus at different levels',
+            '9': 'Cumulonimbus with anvil'
+        }
+    },
+    middleCloud: {
+        title: 'Middle cloud type (CM)',
+        codes: {
+            '0': 'No middle clouds',
+            '1': 'Thin altostratus',
+            '2': 'Thick altostratus or nimbostratus',
+            '3': 'Thin altocumulus at a single level',
+            '4': 'Patches of altocumulus, changing',
+            '5': 'Altocumulus in bands, thickening',
+            '6': 'Altocumulus formed by spreading cumulus',
+            '7': 'Altocumulus in layers, or with altostratus',
+            '8': 'Altocumulus with turrets or tufts',
+            '9': 'Altocumulus of a chaotic sky'
+        }
+    },
+    highCloud: {
+        title: 'High cloud type (CH)',
+        codes: {
+            '0': 'No high clouds',
+            '1': 'Cirrus filaments (mares\' tails)',
+            '2': 'Dense cirrus in patches',
+            '3': 'Dense cirrus from a cumulonimbus anvil',
+            '4': 'Cirrus spreading and thickening',
+            '5': 'Cirrus and cirrostratus, below 45° and thickening',
+            '6': 'Cirrus and cirrostratus, above 45° and thickening',
+            '7': 'Cirrostratus covering the whole sky',
+            '8': 'Cirrostratus not covering the whole sky',
+            '9': 'Cirrocumulus'
+        }
+    }
+};
+
+OBSERVER_CODE_TABLES.pastWeather2.codes = OBSERVER_CODE_TABLES.pastWeather1.codes;
+OBSERVER_CODE_TABLES.lowCloudAmount.codes = OBSERVER_CODE_TABLES.totalCloud.codes;
+
+function validateObserverEntry(entry) {
+    /**
+     * Check an observer entry against the code tables.
+     * Args:
+     *   entry (object): Codes keyed by table name (e.g. { visibility: '95', presentWeather: '63' })
+     * Returns:
+     *   object: { codes, errors } where codes holds only the recognised, non-empty entries
+     */
+    const codes = {};
+    const errors = [];
+
+    if (!entry || typeof entry !== 'object') {
+        return { codes, errors: ['Observer entry must be an object'] };
+    }
+
+    for (const [field, value] of Object.entries(entry)) {
+        const table = Object.prototype.hasOwnProperty.call(OBSERVER_CODE_TABLES, field) ? OBSERVER_CODE_TABLES[field] : null;
+        if (!table) {
+            errors.push(`Unknown observer field: ${field}`);
+            continue;
+        }
+        if (value === null || value === undefined || value === '') {
+            continue;
+        }
+        const code = value.toString();
+        if (!Object.prototype.hasOwnProperty.call(table.codes, code)) {
+            errors.push(`Invalid code for ${table.title}: ${code}`);
+            continue;
+        }
+        codes[field] = code;
+    }
+
+    return { codes, errors };
+}
+
+module.exports = {
+    OBSERVER_CODE_TABLES,
+    validateObserverEntry
+};
@@ -0,0 +1,209 @@
+// Outbox Module for SignalK Plugin
+// Keeps reports that could not be submitted on disk and retries them with exponential backoff
+
+const fs = require('fs');
+const { writeFileAtomic } = require('./atomicFile');
+
+const DEFAULT_MAX_AGE_HOURS = 12;
+const DEFAULT_RETRY_INTERVAL_SECONDS = 60;
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+function getRetryDelay(attempts, baseDelayMs = BASE_RETRY_DELAY_MS, maxDelayMs = MAX_RETRY_DELAY_MS) {
+    /**
+     * Delay before the next attempt after a number of failed attempts: doubling from the base delay, capped.
+     */
+    return Math.min(baseDelayMs * Math.pow(2, Math.max(0, attempts - 1)), maxDelayMs);
+}
+
+function createOutbox(filePath, send, options = {}) {
+    /**
+     * Create a durable queue of reports awaiting submission.
+     * Args:
+     *   filePath (string): JSON file the queue is saved to (in memory only if null)
+     *   send (function): async (entry) => delivery result { status, delivered, message } submitting one queued report
+     *   options (object): maxAgeHours, retryInterval (seconds), baseDelayMs, maxDelayMs
+     */
+    const maxAgeMs = (options.maxAgeHours || DEFAULT_MAX_AGE_HOURS) * 60 * 60 * 1000;
+    const retryInterval = options.retryInterval || DEFAULT_RETRY_INTERVAL_SECONDS;
+    const baseDelayMs = options.baseDelayMs || BASE_RETRY_DELAY_MS;
+    const maxDelayMs = options.maxDelayMs || MAX_RETRY_DELAY_MS;
+    let entries = [];
+    let timerId = null;
+    let processing = null;
+
+    function load() {
+        if (!filePath || !fs.existsSync(filePath)) {
+            return;
+        }
+        try {
+            const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            entries = Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            console.error(`Error reading outbox: ${error.message}`);
+        }
+    }
+
+    function save() {
+        if (!filePath) {
+            return;
+        }
+        try {
+            writeFileAtomic(filePath, JSON.stringify(entries, null, 2));
+        } catch (error) {
+            console.error(`Error saving outbox: ${error.message}`);
+        }
+    }
+
+    function enqueue(report, error = null, now = Date.now()) {
+        /**
+         * Queue a report for retry.
+         * Args:
+         *   report (object): { stationId, observationTime, lat, lon, bbxx }
+         *   error (string): Why the first attempt failed
+         */
+        const entry = {
+            id: `${report.stationId}-${new Date(report.observationTime).toISOString()}-${now}`,
+            report,
+            queuedAt: new Date(now).toISOString(),
+            attempts: error ? 1 : 0,
+            nextAttempt: new Date(error ? now + getRetryDelay(1, baseDelayMs, maxDelayMs) : now).toISOString(),
+            lastError: error
+        };
+        entries.push(entry);
+        save();
+        console.log(`Report from ${entry.report.observationTime} queued in outbox (${entries.length} waiting)`);
+        return entry;
+    }
+
+    function dropExpired(now) {
+        const expired = entries.filter(e => now - Date.parse(e.report.observationTime) > maxAgeMs);
+        if (expired.length > 0) {
+            entries = entries.filter(e => !expired.includes(e));
+            for (const entry of expired) {
+                console.warn(`Dropping queued report from ${entry.report.observationTime} - too old to submit (${entry.attempts} attempts, last error: ${entry.lastError})`);
+            }
+        }
+        return expired;
+    }
+
+    async function runQueue(now) {
+        const result = { sent: [], failed: [], rejected: [], dropped: dropExpired(now) };
+
+        // Oldest observation first
+        const due = entries
+            .filter(e => Date.parse(e.nextAttempt) <= now)
+            .sort((a, b) => Date.parse(a.report.observationTime) - Date.parse(b.report.observationTime));
+        for (const entry of due) {
+            let outcome;
+            try {
+                outcome = await send(entry);
+            } catch (error) {
+                outcome = { status: 'transport_error', delivered: false, message: error.message };
+            }
+
+            // A report handed to the mail server or radio mail client is its responsibility from now on
+            if (outcome && (outcome.delivered || outcome.status === 'sent' || outcome.status === 'pending')) {
+                entries = entries.filter(e => e !== entry);
+                result.sent.push(entry);
+                console.log(`Queued report from ${entry.report.observationTime} submitted after ${entry.attempts + 1} attempts`);
+                continue;
+            }
+
+            entry.attempts++;
+            entry.lastError = outcome && outcome.message ? outcome.message : 'Submission failed';
+
+            // The form said no - sending the same report again will not change that
+            if (outcome && outcome.status === 'rejected') {
+                entries = entries.filter(e => e !== entry);
+                result.rejected.push(entry);
+                console.warn(`Dropping queued report from ${entry.report.observationTime} - rejected by NOAA: ${entry.lastError}`);
+                continue;
+            }
+
+            entry.nextAttempt = new Date(now + getRetryDelay(entry.attempts, baseDelayMs, maxDelayMs)).toISOString();
+            result.failed.push(entry);
+
+            // Still offline - leave the rest for their own retry time
+            break;
+        }
+
+        if (result.sent.length > 0 || result.failed.length > 0 || result.rejected.length > 0 || result.dropped.length > 0) {
+            save();
+        }
+        result.remaining = entries.length;
+        return result;
+    }
+
+    function processQueue(now = Date.now()) {
+        /**
+         * Submit reports whose retry time has come and drop reports older than the maximum age.
+         * Returns:
+         *   Promise<object>: { sent, failed, rejected, dropped, remaining }
+         */
+        // One pass at a time, so a report is never sent twice
+        if (!processing) {
+            processing = runQueue(now).finally(() => {
+                processing = null;
+            });
+        }
+        return processing;
+    }
+
+    function retry(id = null, now = Date.now()) {
+        /**
+         * Make one queued report (or all of them) due now and process the queue.
+         */
+        for (const entry of entries) {
+            if (!id || entry.id === id) {
+                entry.nextAttempt = new Date(now).toISOString();
+            }
+        }
+        return processQueue(now);
+    }
+
+    function list() {
+        return entries.slice();
+    }
+
+    function purge(id = null) {
+        const before = entries.length;
+        entries = id ? entries.filter(e => e.id !== id) : [];
+        save();
+        return before - entries.length;
+    }
+
+    function start() {
+        if (timerId) {
+            return;
+        }
+        timerId = setInterval(() => {
+            processQueue().catch(error => console.error(`Outbox error: ${error.message}`));
+        }, retryInterval * 1000);
+    }
+
+    function stop() {
+        if (timerId) {
+            clearInterval(timerId);
+            timerId = null;
+        }
+    }
+
+    load();
+
+    return {
+        enqueue,
+        processQueue,
+        retry,
+        list,
+        purge,
+        start,
+        stop
+    };
+}
+
+module.exports = {
+    DEFAULT_MAX_AGE_HOURS,
+    getRetryDelay,
+    createOutbox
+};
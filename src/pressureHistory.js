@@ -0,0 +1,112 @@
+// Pressure History Module for SignalK Plugin
+// Records barometer readings in the background so the 3-hour pressure tendency can be reported
+
+const { calculatePressureTendency } = require('./weatherReport');
+const { getStationPressure, reduceToSeaLevel } = require('./pressureReduction');
+
+const DEFAULT_RECORD_INTERVAL_SECONDS = 60;
+const DEFAULT_PRESSURE_PATH = 'environment.outside.pressure';
+const DEFAULT_AIR_TEMPERATURE_PATH = 'environment.outside.temperature';
+const DEFAULT_MAX_AGE_SECONDS = 900;
+const HISTORY_RETENTION_MS = (3 * 60 + 15) * 60 * 1000; // 3 hours plus margin for the oldest reading
+
+function createPressureRecorder(app, recordInterval = DEFAULT_RECORD_INTERVAL_SECONDS, pressurePath = DEFAULT_PRESSURE_PATH, options = {}) {
+    /**
+     * Create a recorder of station pressure and mean sea level pressure.
+     * Options:
+     *   barometerHeight (number): Metres above the sea surface (default: 0)
+     *   pressureOffset (number): Calibration in hPa added to each reading (default: 0)
+     *   airTemperaturePath (string): Path of the air temperature used for the reduction
+     *   maxAge (object): Seconds after which the pressure and airTemperature values are stale (default: 900, 0 for no limit)
+     */
+    const airTemperaturePath = options.airTemperaturePath || DEFAULT_AIR_TEMPERATURE_PATH;
+    const maxAge = options.maxAge || {};
+    const readings = [];
+
+    function readFresh(path, quantityMaxAge, now) {
+        // Value at a path, or null when it is older than its maximum age - a barometer that stopped reporting must not feed the tendency
+        const node = app.getSelfPath(path);
+        const value = node && node.value !== undefined ? node.value : app.getSelfPath(`${path}.value`);
+        const limit = typeof quantityMaxAge === 'number' && quantityMaxAge >= 0 ? quantityMaxAge : DEFAULT_MAX_AGE_SECONDS;
+        const time = node && node.timestamp ? Date.parse(node.timestamp) : NaN;
+        if (limit && !isNaN(time) && Math.round((now - time) / 1000) > limit) {
+            return null;
+        }
+        return value;
+    }
+
+    function readAirTemperature(now) {
+        try {
+            const value = readFresh(airTemperaturePath, maxAge.airTemperature, now);
+            if (typeof value !== 'number' || isNaN(value)) {
+                return null;
+            }
+            // Kelvin from Signal K, Celsius from some gateways
+            return value > 200 ? value - 273.15 : value;
+        } catch (error) {
+            return null;
+        }
+    }
+    let timerId = null;
+
+    function record(now = Date.now()) {
+        let pressurePa;
+        try {
+            pressurePa = readFresh(pressurePath, maxAge.pressure, now);
+        } catch (error) {
+            console.error(`Error reading pressure: ${error.message}`);
+            return;
+        }
+
+        if (typeof pressurePa === 'number' && !isNaN(pressurePa)) {
+            // The tendency is taken from the sea level pressure, the value that is reported
+            const stationPressure = getStationPressure(pressurePa, options.pressureOffset);
+            readings.push({
+                time: now,
+                pressure: reduceToSeaLevel(stationPressure, options.barometerHeight, readAirTemperature(now)),
+                stationPressure
+            });
+        }
+
+        // Drop readings that are too old to matter for the tendency
+        while (readings.length > 0 && readings[0].time < now - HISTORY_RETENTION_MS) {
+            readings.shift();
+        }
+    }
+
+    function start() {
+        if (timerId) {
+            return;
+        }
+        record();
+        timerId = setInterval(record, recordInterval * 1000);
+    }
+
+    function stop() {
+        if (timerId) {
+            clearInterval(timerId);
+            timerId = null;
+        }
+        readings.length = 0;
+    }
+
+    function getTendency(now = Date.now()) {
+        return calculatePressureTendency(readings, now);
+    }
+
+    function getReadings() {
+        return readings.slice();
+    }
+
+    return {
+        start,
+        stop,
+        record,
+        getTendency,
+        getReadings
+    };
+}
+
+module.exports = {
+    createPressureRecorder
+};
@@ -0,0 +1,48 @@
+// Pressure Reduction Module for SignalK Plugin
+// Reduces barometer (station) pressure to mean sea level pressure for the 4PPPP group
+
+const { isMissing } = require('./weatherReport');
+
+const GRAVITY = 9.80665; // m/s²
+const GAS_CONSTANT_DRY_AIR = 287.05; // J/(kg·K)
+const LAPSE_RATE = 0.0065; // K/m, standard atmosphere
+const STANDARD_TEMPERATURE_C = 15; // Used when no air temperature is available
+
+function reduceToSeaLevel(stationPressure, height = 0, airTemp = null) {
+    /**
+     * Reduce station pressure to mean sea level with the hypsometric equation.
+     * Args:
+     *   stationPressure (number): Calibrated barometer pressure in hPa
+     *   height (number): Barometer height above the sea surface in metres (negative below it)
+     *   airTemp (number): Outside air temperature in °C (15 °C if unknown)
+     * Returns:
+     *   number: Mean sea level pressure in hPa, or null if the station pressure is missing
+     */
+    if (isMissing(stationPressure)) {
+        return null;
+    }
+    if (isMissing(height) || height === 0) {
+        return stationPressure;
+    }
+
+    // Mean temperature of the air column between the barometer and the sea surface
+    const temperature = (isMissing(airTemp) ? STANDARD_TEMPERATURE_C : airTemp) + 273.15;
+    const meanTemperature = temperature + (LAPSE_RATE * height) / 2;
+    return stationPressure * Math.exp((GRAVITY * height) / (GAS_CONSTANT_DRY_AIR * meanTemperature));
+}
+
+function getStationPressure(pressurePa, offset = 0) {
+    /**
+     * Convert a Signal K pressure (Pa) to hPa and apply the barometer's calibration offset (hPa).
+     */
+    if (isMissing(pressurePa)) {
+        return null;
+    }
+    return pressurePa / 100 + (isMissing(offset) ? 0 : offset);
+}
+
+module.exports = {
+    STANDARD_TEMPERATURE_C,
+    reduceToSeaLevel,
+    getStationPressure
+};
@@ -0,0 +1,181 @@
+// Quality Control Module for SignalK Plugin
+// Checks samples for impossible values, spikes and unsteady wind before they are averaged
+
+// Plausible range, and the smallest deviation from the median that can count as a spike, for each sample field
+const QC_FIELDS = {
+    true_wind_speed: { title: 'True wind speed', min: 0, max: 150, minDeviation: 3 },
+    aws: { title: 'Apparent wind speed', min: 0, max: 200, minDeviation: 3 },
+    sog_knots: { title: 'Speed over ground', min: 0, max: 50, minDeviation: 2 },
+    stw_knots: { title: 'Speed through water', min: 0, max: 50, minDeviation: 2 },
+    water_temp: { title: 'Sea temperature', min: -2.5, max: 37, minDeviation: 0.5 },
+    air_temp: { title: 'Air temperature', min: -50, max: 55, minDeviation: 1 },
+    dew_point: { title: 'Dew point', min: -60, max: 40, minDeviation: 1 },
+    humidity: { title: 'Relative humidity', min: 0, max: 1, minDeviation: 0.05 }, // Signal K ratio, not percent
+    pressure_hpa: { title: 'Pressure', min: 870, max: 1085, minDeviation: 0.5 },
+    wave_height: { title: 'Wind wave height', min: 0, max: 25, minDeviation: 0.5 },
+    wave_period: { title: 'Wind wave period', min: 0, max: 30, minDeviation: 2 },
+    swell_height: { title: 'Swell height', min: 0, max: 25, minDeviation: 0.5 },
+    swell_period: { title: 'Swell period', min: 0, max: 30, minDeviation: 2 }
+};
+
+const DEFAULT_QC_OPTIONS = {
+    action: 'blank', // blank the affected groups, or refuse to submit the report
+    minValidRatio: 0.5, // Share of samples with a value that must pass the checks
+    spikeThreshold: 3.5, // Robust z-score (median absolute deviations) beyond which a value is a spike
+    spikeWindow: 5, // Samples either side of each value that it is compared with
+    maxDirectionVariance: 0.5, // Circular variance of true wind direction (0 = steady, 1 = uniform)
+    minSpeedForDirection: 3 // Knots; direction is naturally variable in calm conditions
+};
+
+// Fields blanked together with a failed field
+const DEPENDENT_FIELDS = {
+    true_wind_speed: ['true_wind_dir'],
+    true_wind_dir: ['true_wind_speed'],
+    pressure_hpa: ['station_pressure_hpa']
+};
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+function circularVariance(angles) {
+    /**
+     * Circular variance of angles in degrees: 1 minus the mean resultant length.
+     * Returns:
+     *   number: 0 for identical directions up to 1 for directions spread evenly, or null with no angles
+     */
+    if (!angles || angles.length === 0) {
+        return null;
+    }
+    const sinSum = angles.reduce((sum, angle) => sum + Math.sin((angle * Math.PI) / 180), 0);
+    const cosSum = angles.reduce((sum, angle) => sum + Math.cos((angle * Math.PI) / 180), 0);
+    return 1 - Math.sqrt(sinSum * sinSum + cosSum * cosSum) / angles.length;
+}
+
+function isPresent(value) {
+    return value !== null && value !== undefined && !(typeof value === 'number' && isNaN(value));
+}
+
+function qualityControl(samples, options = {}) {
+    /**
+     * Run range checks, spike rejection, the valid-sample ratio and the wind direction variance check.
+     * Args:
+     *   samples (array): Samples from collectSample or the subscription buffer
+     *   options (object): Overrides for DEFAULT_QC_OPTIONS
+     * Returns:
+     *   object: { samples, flags, failed, passed } where samples are copies with rejected values set to null,
+     *           flags describe every check that rejected data and failed lists the fields blanked entirely
+     */
+    const settings = { ...DEFAULT_QC_OPTIONS, ...options };
+    const cleaned = samples.filter(s => s !== null).map(s => ({ ...s }));
+    const flags = [];
+    const failed = new Set();
+
+    for (const [field, limits] of Object.entries(QC_FIELDS)) {
+        const present = cleaned.filter(s => isPresent(s[field]));
+        if (present.length === 0) {
+            continue;
+        }
+
+        // Range check
+        const outOfRange = present.filter(s => s[field] < limits.min || s[field] > limits.max);
+        for (const sample of outOfRange) {
+            sample[field] = null;
+        }
+        if (outOfRange.length > 0) {
+            flags.push({
+                field,
+                check: 'range',
+                rejected: outOfRange.length,
+                total: present.length,
+                message: `${limits.title}: ${outOfRange.length} of ${present.length} values outside ${limits.min} to ${limits.max}`
+            });
+        }
+
+        // Spike rejection: compare each value with the median absolute deviation of its neighbours (Hampel filter),
+        // so a genuine change in the middle of the window is not mistaken for a spike
+        const inRange = present.filter(s => isPresent(s[field]));
+        const values = inRange.map(s => s[field]);
+        const spikes = [];
+        if (values.length >= 5) {
+            values.forEach((value, i) => {
+                const neighbours = values.slice(Math.max(0, i - settings.spikeWindow), i + settings.spikeWindow + 1);
+                const centre = median(neighbours);
+                const mad = median(neighbours.map(v => Math.abs(v - centre)));
+                if (Math.abs(value - centre) > Math.max(settings.spikeThreshold * 1.4826 * mad, limits.minDeviation)) {
+                    spikes.push(inRange[i]);
+                }
+            });
+        }
+        for (const sample of spikes) {
+            sample[field] = null;
+        }
+        if (spikes.length > 0) {
+            flags.push({
+                field,
+                check: 'spike',
+                rejected: spikes.length,
+                total: present.length,
+                message: `${limits.title}: ${spikes.length} of ${present.length} values rejected as spikes (median ${median(values).toFixed(1)})`
+            });
+        }
+
+        // Minimum share of valid samples
+        const valid = present.filter(s => isPresent(s[field])).length;
+        if (valid / present.length < settings.minValidRatio) {
+            failed.add(field);
+            flags.push({
+                field,
+                check: 'valid-ratio',
+                rejected: present.length - valid,
+                total: present.length,
+                message: `${limits.title}: only ${valid} of ${present.length} values passed QC (minimum ${Math.round(settings.minValidRatio * 100)}%)`
+            });
+        }
+    }
+
+    // Wind direction must be steady enough for a meaningful mean
+    const directions = cleaned.filter(s => isPresent(s.true_wind_dir) && isPresent(s.true_wind_speed));
+    if (directions.length > 0 && !failed.has('true_wind_speed')) {
+        const meanSpeed = directions.reduce((sum, s) => sum + s.true_wind_speed, 0) / directions.length;
+        const variance = circularVariance(directions.map(s => s.true_wind_dir));
+        if (meanSpeed >= settings.minSpeedForDirection && variance > settings.maxDirectionVariance) {
+            failed.add('true_wind_dir');
+            flags.push({
+                field: 'true_wind_dir',
+                check: 'direction-variance',
+                rejected: directions.length,
+                total: directions.length,
+                message: `True wind direction: circular variance ${variance.toFixed(2)} exceeds ${settings.maxDirectionVariance}`
+            });
+        }
+    }
+
+    // Blank failed fields (and the fields that go with them) in every sample
+    for (const field of [...failed]) {
+        for (const dependent of DEPENDENT_FIELDS[field] || []) {
+            failed.add(dependent);
+        }
+    }
+    for (const sample of cleaned) {
+        for (const field of failed) {
+            sample[field] = null;
+        }
+    }
+
+    return {
+        samples: cleaned,
+        flags,
+        failed: [...failed],
+        passed: failed.size === 0
+    };
+}
+
+module.exports = {
+    QC_FIELDS,
+    DEFAULT_QC_OPTIONS,
+    circularVariance,
+    qualityControl
+};
@@ -0,0 +1,99 @@
+// Radio Mail Module for SignalK Plugin
+// Writes reports as outgoing message files for HF email clients (Pat, Winlink Express, Airmail) to send at the next radio session
+
+const crypto = require('crypto');
+const path = require('path');
+const { writeFileAtomic } = require('./atomicFile');
+const { buildEmailMessage } = require('./emailTransport');
+const { createDeliveryResult } = require('./noaaDelivery');
+
+// File formats: Winlink B2F (Pat's mailbox, Winlink message import) and plain internet message files (Airmail outbox)
+const RADIO_MAIL_FORMATS = {
+    b2f: { title: 'Winlink B2F (Pat, Winlink Express import)', extension: 'b2f' },
+    rfc822: { title: 'Internet message file (Airmail outbox)', extension: 'msg' }
+};
+
+function createMessageId() {
+    /**
+     * Winlink message ID: 12 characters, upper case letters and digits.
+     */
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    return Array.from(crypto.randomBytes(12), byte => alphabet[byte % alphabet.length]).join('');
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function buildB2fMessage({ mid, from, to, subject, body, date = new Date() }) {
+    /**
+     * Build a Winlink B2F message.
+     * Args:
+     *   mid (string): Message ID
+     *   from (string): Sending callsign
+     *   to (string|array): Internet addresses (sent as SMTP:) or Winlink callsigns
+     *   subject, body (string): Message subject and text
+     * Returns:
+     *   string: Headers and body with CRLF line endings; Body: gives the body length in bytes
+     */
+    const text = `${String(body).replace(/\r?\n/g, '\r\n')}\r\n`;
+    const recipients = (Array.isArray(to) ? to : [to]).map(address => (address.includes('@') ? `SMTP:${address}` : address.toUpperCase()));
+    const stamp = `${date.getUTCFullYear()}/${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())} ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+    const headers = [
+        `Mid: ${mid}`,
+        `Body: ${Buffer.byteLength(text, 'latin1')}`,
+        'Content-Transfer-Encoding: 8bit',
+        'Content-Type: text/plain; charset=ISO-8859-1',
+        `Date: ${stamp}`,
+        `From: ${from.toUpperCase()}`,
+        `Mbo: ${from.toUpperCase()}`,
+        `Subject: ${subject}`,
+        ...recipients.map(recipient => `To: ${recipient}`),
+        'Type: Private'
+    ];
+    return `${headers.join('\r\n')}\r\n\r\n${text}`;
+}
+
+function writeRadioMessage(message, settings) {
+    /**
+     * Drop an outgoing message file into a radio mail client's outbox directory.
+     * Args:
+     *   message (object): { subject, body, date }
+     *   settings (object): directory, format ('b2f' or 'rfc822'), from (callsign), to
+     * Returns:
+     *   object: Delivery result - pending (sent at the next radio session) with the file name,
+     *           rejected without the settings, or a transport error (retried from the outbox) if the file cannot be written
+     */
+    const format = RADIO_MAIL_FORMATS[settings.format] ? settings.format : 'b2f';
+    if (!settings.directory || !settings.from || !settings.to) {
+        return createDeliveryResult('rejected', { reason: 'not_configured', message: 'Radio mail outbox directory, callsign and recipient are required' });
+    }
+
+    const mid = createMessageId();
+    const content = format === 'b2f'
+        ? buildB2fMessage({ mid, from: settings.from, to: settings.to, subject: message.subject, body: message.body, date: message.date })
+        : buildEmailMessage({ from: settings.from, to: settings.to, subject: message.subject, body: message.body, date: message.date, messageId: `${mid}@winlink.org` });
+    const file = path.join(settings.directory, `${mid}.${RADIO_MAIL_FORMATS[format].extension}`);
+
+    try {
+        writeFileAtomic(file, content, 'latin1');
+    } catch (error) {
+        console.error(`Error writing radio mail message: ${error.message}`);
+        // A full disk or an unmounted share is temporary, so the report is kept for a retry
+        return createDeliveryResult('transport_error', { reason: 'write_failed', message: `Could not write to the radio mail outbox: ${error.message}` });
+    }
+
+    console.log(`Report written to radio mail outbox: ${file}`);
+    const result = createDeliveryResult('pending', {
+        reason: 'awaiting_radio_session',
+        message: `Written to ${path.basename(file)} - sent at the next radio session`
+    });
+    result.file = file;
+    return result;
+}
+
+module.exports = {
+    RADIO_MAIL_FORMATS,
+    buildB2fMessage,
+    writeRadioMessage
+};
@@ -0,0 +1,116 @@
+// Report Scheduler Module for SignalK Plugin
+// Times automatic reports to the WMO synoptic hours so observations are taken just before each hour
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours between reports for each schedule
+// main: 00, 06, 12, 18 UTC; intermediate: main plus 03, 09, 15, 21 UTC; hourly: every hour
+const SYNOPTIC_SCHEDULES = {
+    main: 6,
+    intermediate: 3,
+    hourly: 1
+};
+
+// Time allowed after sampling for the report to be generated before the synoptic hour
+const SAMPLING_MARGIN_MS = 60 * 1000;
+
+function getSamplingLeadTime(samples, interval) {
+    /**
+     * Time before the synoptic hour at which sampling has to start.
+     * Args:
+     *   samples (number): Number of samples averaged for each report
+     *   interval (number): Seconds between samples
+     * Returns:
+     *   number: Lead time in milliseconds
+     */
+    return samples * interval * 1000 + SAMPLING_MARGIN_MS;
+}
+
+function getNextSynopticTime(schedule, leadTimeMs = 0, now = Date.now()) {
+    /**
+     * Find the next synoptic hour whose sampling has not started yet.
+     * Args:
+     *   schedule (string): main, intermediate or hourly
+     *   leadTimeMs (number): Sampling lead time in milliseconds (see getSamplingLeadTime)
+     *   now (number): Current time in milliseconds
+     * Returns:
+     *   Date: Nominal synoptic time of the next report
+     */
+    const stepHours = SYNOPTIC_SCHEDULES[schedule];
+    if (!stepHours) {
+        throw new Error(`Unknown report schedule: ${schedule}`);
+    }
+
+    const candidate = new Date(now);
+    candidate.setUTCMinutes(0, 0, 0);
+    candidate.setUTCHours(candidate.getUTCHours() - (candidate.getUTCHours() % stepHours));
+
+    let time = candidate.getTime();
+    while (time - leadTimeMs <= now) {
+        time += stepHours * HOUR_MS;
+    }
+    return new Date(time);
+}
+
+function createReportScheduler(schedule, leadTimeMs, onReport) {
+    /**
+     * Create a scheduler that calls onReport(synopticTime) when sampling for each synoptic hour should start.
+     */
+    let timerId = null;
+    let nextSynopticTime = null;
+
+    function scheduleNext() {
+        nextSynopticTime = getNextSynopticTime(schedule, leadTimeMs);
+        const synopticTime = nextSynopticTime;
+        const delay = Math.max(0, synopticTime.getTime() - leadTimeMs - Date.now());
+
+        timerId = setTimeout(async () => {
+            try {
+                await onReport(synopticTime);
+            } catch (error) {
+                console.error(`Scheduled report failed: ${error.message}`);
+            }
+            if (timerId) {
+                scheduleNext();
+            }
+        }, delay);
+    }
+
+    function start() {
+        if (timerId) {
+            return;
+        }
+        scheduleNext();
+    }
+
+    function stop() {
+        if (timerId) {
+            clearTimeout(timerId);
+            timerId = null;
+        }
+        nextSynopticTime = null;
+    }
+
+    function getNextReport() {
+        if (!nextSynopticTime) {
+            return null;
+        }
+        return {
+            synopticTime: nextSynopticTime,
+            samplingStart: new Date(nextSynopticTime.getTime() - leadTimeMs)
+        };
+    }
+
+    return {
+        start,
+        stop,
+        getNextReport
+    };
+}
+
+module.exports = {
+    SYNOPTIC_SCHEDULES,
+    getSamplingLeadTime,
+    getNextSynopticTime,
+    createReportScheduler
+};
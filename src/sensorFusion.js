@@ -0,0 +1,202 @@
+// Sensor Fusion Module for SignalK Plugin
+// Combines readings of one quantity from redundant sensors (several $sources) and flags sensors that disagree
+
+const { CALIBRATED_QUANTITIES, toDisplayUnits } = require('./calibration');
+const { qualityControl } = require('./qualityControl');
+
+const COMBINATION_METHODS = {
+    latest: 'Latest value from any source',
+    mean: 'Weighted mean of all sources',
+    best: 'Best source by QC score'
+};
+
+// Spread between sources (display units) above which they are flagged as disagreeing
+const DEFAULT_DISAGREEMENT_THRESHOLDS = {
+    angle: 10, // degrees
+    speed: 2, // knots
+    temperature: 1, // °C
+    pressure: 1 // hPa
+};
+
+// QC field checked for each quantity's values when scoring a source
+const QC_FIELD_BY_QUANTITY = {
+    speedThroughWater: 'stw_knots',
+    windSpeedApparent: 'aws',
+    windSpeedTrue: 'true_wind_speed',
+    windSpeedOverGround: 'true_wind_speed',
+    waterTemperature: 'water_temp',
+    airTemperature: 'air_temp',
+    dewPoint: 'dew_point',
+    pressure: 'pressure_hpa'
+};
+
+function isCombinable(quantity) {
+    return !!CALIBRATED_QUANTITIES[quantity];
+}
+
+function resolveSensorSettings(settings = {}) {
+    /**
+     * Combine configured sensor settings with the defaults.
+     * Returns:
+     *   object: { method, weights (source -> weight), thresholds (kind -> spread) }
+     */
+    const weights = {};
+    for (const entry of Array.isArray(settings.weights) ? settings.weights : []) {
+        if (entry && entry.source && typeof entry.weight === 'number' && entry.weight >= 0) {
+            weights[entry.source] = entry.weight;
+        }
+    }
+    return {
+        method: COMBINATION_METHODS[settings.method] ? settings.method : 'latest',
+        weights,
+        thresholds: { ...DEFAULT_DISAGREEMENT_THRESHOLDS, ...settings.thresholds }
+    };
+}
+
+function scoreSourceValues(quantity, values) {
+    /**
+     * QC score of one source: the share of its values that pass the range and spike checks.
+     * Returns:
+     *   number: 0 to 1 (1 for quantities without QC limits)
+     */
+    const field = QC_FIELD_BY_QUANTITY[quantity];
+    if (values.length === 0) {
+        return 0;
+    }
+    if (!field) {
+        return 1;
+    }
+    const result = qualityControl(values.map(value => ({ [field]: toDisplayUnits(quantity, value) })), { minValidRatio: 0 });
+    return result.samples.filter(s => s[field] !== null).length / values.length;
+}
+
+function angleDifference(a, b) {
+    return Math.abs(((((a - b) + 180) % 360) + 360) % 360 - 180);
+}
+
+function getSpread(kind, values) {
+    let spread = 0;
+    for (let i = 0; i < values.length; i++) {
+        for (let j = i + 1; j < values.length; j++) {
+            const difference = kind === 'angle' ? angleDifference(values[i], values[j]) : Math.abs(values[i] - values[j]);
+            spread = Math.max(spread, difference);
+        }
+    }
+    return spread;
+}
+
+function combineReadings(quantity, readings, settings) {
+    /**
+     * Combine simultaneous readings of a quantity from several sources.
+     * Args:
+     *   quantity (string): Quantity in SIGNALK_QUANTITIES
+     *   readings (array): { source, value, score } with values in Signal K (SI) units
+     *   settings (object): From resolveSensorSettings
+     * Returns:
+     *   object: { quantity, method, value (SI), sources, spread, threshold, disagreement }
+     *           with each source's display value, weight, score and whether it was used
+     */
+    const kind = CALIBRATED_QUANTITIES[quantity];
+    const weightOf = (source) => settings.weights[source] !== undefined ? settings.weights[source] : 1;
+    const candidates = readings.filter(r => r.score > 0 && weightOf(r.source) > 0);
+
+    let used = [];
+    let value = null;
+    if (candidates.length > 0) {
+        if (settings.method === 'best') {
+            const best = candidates.reduce((a, b) => (b.score > a.score || (b.score === a.score && weightOf(b.source) > weightOf(a.source)) ? b : a));
+            used = [best];
+            value = best.value;
+        } else {
+            used = candidates;
+            const totalWeight = candidates.reduce((sum, r) => sum + weightOf(r.source), 0);
+            if (kind === 'angle') {
+                const sin = candidates.reduce((sum, r) => sum + weightOf(r.source) * Math.sin(r.value), 0);
+                const cos = candidates.reduce((sum, r) => sum + weightOf(r.source) * Math.cos(r.value), 0);
+                // atan2 gives -π to π; headings and directions are 0 to 2π
+                value = ((Math.atan2(sin, cos) % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+            } else {
+                value = candidates.reduce((sum, r) => sum + weightOf(r.source) * r.value, 0) / totalWeight;
+            }
+        }
+    }
+
+    const displayValues = readings.map(r => toDisplayUnits(quantity, r.value));
+    const spread = getSpread(kind, displayValues);
+    const threshold = settings.thresholds[kind];
+    return {
+        quantity,
+        method: settings.method,
+        value,
+        sources: readings.map((r, i) => ({
+            source: r.source,
+            value: displayValues[i],
+            weight: weightOf(r.source),
+            score: r.score,
+            used: used.includes(r)
+        })),
+        spread,
+        threshold,
+        disagreement: spread > threshold
+    };
+}
+
+function summarizeSensors(samples) {
+    /**
+     * Summarize combined readings over the samples of an observation.
+     * Returns:
+     *   array: { quantity, method, sources, spread, threshold, disagreement } per combined quantity,
+     *          with each source's mean value and score and the share of samples in which it was used
+     */
+    const byQuantity = {};
+    for (const sample of samples) {
+        for (const [quantity, combined] of Object.entries(sample.sensors || {})) {
+            const summary = byQuantity[quantity] || (byQuantity[quantity] = { combined, sources: {}, samples: 0 });
+            summary.combined = combined;
+            summary.samples++;
+            for (const source of combined.sources) {
+                const entry = summary.sources[source.source] || (summary.sources[source.source] = { values: [], scores: [], used: 0 });
+                entry.values.push(source.value);
+                entry.scores.push(source.score);
+                entry.used += source.used ? 1 : 0;
+            }
+        }
+    }
+
+    return Object.entries(byQuantity).map(([quantity, { combined, sources, samples: count }]) => {
+        const kind = CALIBRATED_QUANTITIES[quantity];
+        const mean = (values) => {
+            if (kind !== 'angle') {
+                return values.reduce((sum, v) => sum + v, 0) / values.length;
+            }
+            const sin = values.reduce((sum, v) => sum + Math.sin((v * Math.PI) / 180), 0);
+            const cos = values.reduce((sum, v) => sum + Math.cos((v * Math.PI) / 180), 0);
+            return ((((Math.atan2(sin, cos) * 180) / Math.PI) % 360) + 360) % 360;
+        };
+        const perSource = Object.entries(sources).map(([source, entry]) => ({
+            source,
+            value: mean(entry.values),
+            score: entry.scores.reduce((sum, s) => sum + s, 0) / entry.scores.length,
+            used: entry.used / count
+        }));
+        const spread = getSpread(kind, perSource.map(s => s.value));
+        return {
+            quantity,
+            method: combined.method,
+            sources: perSource,
+            spread,
+            threshold: combined.threshold,
+            disagreement: spread > combined.threshold
+        };
+    });
+}
+
+module.exports = {
+    COMBINATION_METHODS,
+    DEFAULT_DISAGREEMENT_THRESHOLDS,
+    isCombinable,
+    resolveSensorSettings,
+    scoreSourceValues,
+    combineReadings,
+    summarizeSensors
+};
@@ -1,5 +1,14 @@
 const axios = require('axios');
 const { generateBbxxReport } = require('./weatherReport');
+const { getTrueHeading, calculateTrueWind } = require('./windTriangle');
+const { qualityControl } = require('./qualityControl');
+const { getStationPressure, reduceToSeaLevel } = require('./pressureReduction');
+const { resolveCalibration, applyCalibration } = require('./calibration');
+const { isCombinable, resolveSensorSettings, scoreSourceValues, combineReadings, summarizeSensors } = require('./sensorFusion');
+const { REFERENCE_HEIGHT_M, getHeightReductionFactor, correctApparentWind } = require('./windCorrections');
+const { NOAA_FORM_URL, FORM_FIELD_IDS, createDeliveryResult, classifyFormResponse } = require('./noaaDelivery');
+const { buildEmailMessage, sendMail } = require('./emailTransport');
+const { writeRadioMessage } = require('./radioMail');
 
 // Utility functions
 function mpsToKnots(mps) {
@@ -10,6 +19,35 @@ function radiansToDegrees(rad) {
     return rad !== null && rad !== undefined ? (rad * 180) / Math.PI : null;
 }
 
+function toCelsius(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    // Signal K publishes temperatures in Kelvin, but some gateways pass Celsius through
+    return value > 200 ? value - 273.15 : value;
+}
+
+function toHumidityRatio(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    // Signal K publishes relative humidity as a 0-1 ratio, but some gateways pass percent through
+    return value > 1 ? value / 100 : value;
+}
+
+function dewPointFromHumidity(tempC, humidity) {
+    // Humidity is the 0-1 ratio from toHumidityRatio
+    if (tempC === null || tempC === undefined || humidity === null || humidity === undefined || humidity <= 0) {
+        return null;
+    }
+    
+    // Magnus formula (Sonntag coefficients, valid -45 to 60°C over water)
+    const b = 17.62;
+    const c = 243.12;
+    const gamma = Math.log(humidity) + (b * tempC) / (c + tempC);
+    return (c * gamma) / (b - gamma);
+}
+
 function getSignalkValue(data, ...path) {
     let current = data;
     for (const p of path) {
@@ -58,95 +96,350 @@ function averageAngles(angles) {
     return ((meanAngle % 360) + 360) % 360;
 }
 
-function calculateTrueWind(awa, aws, trueHeading, sog) {
-    if (awa === null || aws === null || trueHeading === null || sog === null) {
-        return [null, null];
+// Observed quantities, their default self paths (values are read from <path>.value)
+// and the default maximum age of a value in seconds (0 = no limit, e.g. for variation sent once)
+const SIGNALK_QUANTITIES = {
+    headingMagnetic: { title: 'Magnetic heading', path: 'navigation.headingMagnetic', maxAge: 60 },
+    headingTrue: { title: 'True heading', path: 'navigation.headingTrue', maxAge: 60 },
+    headingCompass: { title: 'Compass heading', path: 'navigation.headingCompass', maxAge: 60 },
+    magneticVariation: { title: 'Magnetic variation', path: 'navigation.magneticVariation', maxAge: 0 },
+    magneticDeviation: { title: 'Magnetic deviation', path: 'navigation.magneticDeviation', maxAge: 0 },
+    speedOverGround: { title: 'Speed over ground', path: 'navigation.speedOverGround', maxAge: 60 },
+    speedThroughWater: { title: 'Speed through water', path: 'navigation.speedThroughWater', maxAge: 60 },
+    courseOverGround: { title: 'Course over ground (true)', path: 'navigation.courseOverGroundTrue', maxAge: 60 },
+    position: { title: 'Position', path: 'navigation.position', maxAge: 120 },
+    attitude: { title: 'Attitude (roll/pitch)', path: 'navigation.attitude', maxAge: 60 },
+    windAngleApparent: { title: 'Apparent wind angle', path: 'environment.wind.angleApparent', maxAge: 60 },
+    windSpeedApparent: { title: 'Apparent wind speed', path: 'environment.wind.speedApparent', maxAge: 60 },
+    windDirectionTrue: { title: 'True wind direction', path: 'environment.wind.directionTrue', maxAge: 60 },
+    windSpeedTrue: { title: 'True wind speed (water referenced)', path: 'environment.wind.speedTrue', maxAge: 60 },
+    windSpeedOverGround: { title: 'True wind speed (ground referenced)', path: 'environment.wind.speedOverGround', maxAge: 60 },
+    waterTemperature: { title: 'Sea temperature', path: 'environment.water.temperature', maxAge: 900 },
+    airTemperature: { title: 'Air temperature', path: 'environment.outside.temperature', maxAge: 900 },
+    humidity: { title: 'Relative humidity', path: 'environment.outside.relativeHumidity', maxAge: 900 },
+    pressure: { title: 'Barometric pressure', path: 'environment.outside.pressure', maxAge: 900 },
+    dewPoint: { title: 'Dew point', path: 'environment.outside.dewPointTemperature', maxAge: 900 },
+    waveHeight: { title: 'Wind wave height', path: 'environment.water.waves.significantHeight', maxAge: 3600 },
+    wavePeriod: { title: 'Wind wave period', path: 'environment.water.waves.period', maxAge: 3600 },
+    swellHeight: { title: 'Swell height', path: 'environment.water.swell.height', maxAge: 3600 },
+    swellPeriod: { title: 'Swell period', path: 'environment.water.swell.period', maxAge: 3600 },
+    swellDirection: { title: 'Swell direction (true)', path: 'environment.water.swell.directionTrue', maxAge: 3600 }
+};
+
+function resolvePaths(paths = {}) {
+    /**
+     * Combine configured path overrides with the default paths.
+     * Returns:
+     *   object: Quantity -> Signal K path for every quantity in SIGNALK_QUANTITIES
+     */
+    const resolved = {};
+    for (const [quantity, { path }] of Object.entries(SIGNALK_QUANTITIES)) {
+        const configured = paths && typeof paths[quantity] === 'string' ? paths[quantity].trim() : '';
+        resolved[quantity] = configured || path;
     }
-    
-    // Convert to radians
-    const awaRad = (awa * Math.PI) / 180;
-    const headingRad = (trueHeading * Math.PI) / 180;
-    
-    // Calculate true wind direction
-    const twDirRad = headingRad + awaRad;
-    let twDir = (twDirRad * 180) / Math.PI;
-    
-    // Normalize to 0-360
-    twDir = ((twDir % 360) + 360) % 360;
-    
-    // Calculate true wind speed using vector math
-    const twSpeed = Math.sqrt(aws * aws + sog * sog - 2 * aws * sog * Math.cos(awaRad));
-    
-    return [twDir, twSpeed];
+    return resolved;
+}
+
+const SUBSCRIPTION_PERIOD_MS = 1000;
+const BUFFER_SAMPLE_STEP_MS = 1000;
+const BUFFER_MAX_ENTRIES = 7200; // Per path, bounds memory for high-rate sources
+const DEFAULT_AVERAGING_WINDOW_MINUTES = 10;
+const MAX_ATTITUDE_RATE_INTERVAL_S = 2; // Longest gap between attitude updates used to derive roll and pitch rates
+
+// Quantities that can come from Signal K or be calculated by the plugin
+const SOURCE_PRIORITY_DEFAULTS = {
+    trueWind: 'signalk',
+    heading: 'signalk',
+    dewPoint: 'signalk'
+};
+
+function getPinnedSources(sources) {
+    /**
+     * Turn the configured source list ([{ path, source }]) into a path -> $source map.
+     */
+    const pinned = {};
+    for (const entry of Array.isArray(sources) ? sources : []) {
+        if (entry && entry.path && entry.source) {
+            pinned[entry.path] = entry.source;
+        }
+    }
+    return pinned;
+}
+
+function resolveMaxAges(maxAge = {}) {
+    /**
+     * Combine configured maximum ages (seconds) with the defaults in SIGNALK_QUANTITIES.
+     */
+    const resolved = {};
+    for (const [quantity, quantityInfo] of Object.entries(SIGNALK_QUANTITIES)) {
+        const configured = maxAge ? maxAge[quantity] : undefined;
+        resolved[quantity] = typeof configured === 'number' && configured >= 0 ? configured : quantityInfo.maxAge;
+    }
+    return resolved;
+}
+
+function checkStale(quantity, path, time, now, maxAges, stale) {
+    // Records and returns true when a value is older than its quantity's maximum age
+    const maxAge = maxAges[quantity];
+    if (!maxAge || isNaN(time)) {
+        return false;
+    }
+    const ageSeconds = Math.round((now - time) / 1000);
+    if (ageSeconds <= maxAge) {
+        return false;
+    }
+    stale[quantity] = {
+        quantity,
+        path,
+        ageSeconds,
+        maxAgeSeconds: maxAge,
+        reason: `${SIGNALK_QUANTITIES[quantity].title} (${path}) last updated ${ageSeconds} s ago, limit ${maxAge} s`
+    };
+    return true;
+}
+
+function combineSources(quantity, path, entries, now, maxAges, stale, sensors, scores, combined) {
+    // Combines the fresh readings of every $source of a path; stale sources are left out
+    const readings = entries.filter(e => typeof e.value === 'number' && !isNaN(e.value));
+    const fresh = readings.filter(e => !checkStale(quantity, path, e.timestamp, now, maxAges, {}));
+    if (fresh.length === 0) {
+        if (readings.length > 0) {
+            const newest = readings.reduce((a, b) => (b.timestamp > a.timestamp ? b : a));
+            checkStale(quantity, path, newest.timestamp, now, maxAges, stale);
+        }
+        return null;
+    }
+
+    const result = combineReadings(quantity, fresh.map(e => ({
+        source: e.source,
+        value: e.value,
+        score: scores && scores[e.source] !== undefined ? scores[e.source] : scoreSourceValues(quantity, [e.value])
+    })), sensors);
+    combined[quantity] = result;
+    return result.value;
+}
+
+function createAppReader(app, paths, sources = {}, maxAges = {}, stale = {}, now = Date.now(), sensors = null, combined = {}) {
+    // Reads the value of a quantity's path (or of its pinned $source, or all its sources combined),
+    // treating stale values as missing
+    return (quantity) => {
+        const path = paths[quantity];
+        const source = sources[path];
+        const node = app.getSelfPath(path);
+        let entry = null;
+        const values = node && node.values && typeof node.values === 'object' ? Object.entries(node.values) : [];
+        if (!source && sensors && sensors.method !== 'latest' && isCombinable(quantity) && values.length > 1) {
+            return combineSources(quantity, path, values.map(([valueSource, v]) => ({
+                source: valueSource,
+                value: v ? v.value : null,
+                timestamp: v && v.timestamp ? Date.parse(v.timestamp) : NaN
+            })), now, maxAges, stale, sensors, null, combined);
+        }
+        if (source) {
+            if (node && node.values && node.values[source]) {
+                entry = node.values[source];
+            } else if (node && node.$source === source) {
+                entry = node;
+            }
+        } else if (node && typeof node === 'object' && 'value' in node) {
+            entry = node;
+        } else {
+            const value = app.getSelfPath(`${path}.value`);
+            entry = value === null || value === undefined ? null : { value };
+        }
+
+        if (!entry) {
+            return null;
+        }
+        if (checkStale(quantity, path, entry.timestamp ? Date.parse(entry.timestamp) : NaN, now, maxAges, stale)) {
+            return null;
+        }
+        return entry.value;
+    };
 }
 
-async function collectSample(app) {
+async function collectSample(app, verbose = true, options = {}) {
+    // Calibration is applied to the raw values before any calculation
+    const stale = {};
+    const combined = {};
+    const readRaw = createAppReader(app, resolvePaths(options.paths), getPinnedSources(options.sources), resolveMaxAges(options.maxAge), stale,
+        Date.now(), resolveSensorSettings(options.sensors), combined);
+    const calibration = resolveCalibration(options.calibration, options.pressureOffset);
+    const read = (quantity) => applyCalibration(quantity, readRaw(quantity), calibration);
+    const sample = buildSample(read, verbose, options);
+    if (sample) {
+        sample.stale = stale;
+        sample.sensors = combined;
+    }
+    return sample;
+}
+
+function buildSample(read, verbose = true, options = {}) {
+    /**
+     * Build one sample from a reader that returns the current value of a quantity (see SIGNALK_QUANTITIES).
+     * Options:
+     *   windReference (string): ground or water (default: ground)
+     *   sourcePriority (object): signalk or calculated for trueWind, heading and dewPoint (default: signalk)
+     *   anemometerHeight (number): Metres above the sea surface; true wind speed is reduced to 10 m (default: 10)
+     *   motionCorrection (boolean): Correct apparent wind for heel, pitch and mast motion (default: true)
+     *   barometerHeight (number): Metres above the sea surface; pressure is reduced to sea level (default: 0)
+     */
+    const windReference = options.windReference || 'ground';
+    const priority = { ...SOURCE_PRIORITY_DEFAULTS, ...options.sourcePriority };
     const sample = {};
     
     try {
-        // Get navigation data using SignalK app getSelfPath
-        sample.heading_rad = app.getSelfPath('navigation.headingMagnetic.value');
-        sample.heading_true_rad = app.getSelfPath('navigation.headingTrue.value');
-        sample.magnetic_variation_rad = app.getSelfPath('navigation.magneticVariation.value');
-        sample.sog_mps = app.getSelfPath('navigation.speedOverGround.value');
+        // Get navigation data
+        sample.heading_rad = read('headingMagnetic');
+        sample.heading_true_rad = read('headingTrue');
+        sample.heading_compass_rad = read('headingCompass');
+        sample.magnetic_variation_rad = read('magneticVariation');
+        sample.magnetic_deviation_rad = read('magneticDeviation');
+        sample.sog_mps = read('speedOverGround');
+        sample.stw_mps = read('speedThroughWater');
+        sample.cog_rad = read('courseOverGround');
         
         // Get position
-        sample.lat = app.getSelfPath('navigation.position.value.latitude');
-        sample.lon = app.getSelfPath('navigation.position.value.longitude');
+        const position = read('position');
+        sample.lat = position ? position.latitude : null;
+        sample.lon = position ? position.longitude : null;
         
         // Get apparent wind
-        sample.awa_rad = app.getSelfPath('environment.wind.angleApparent.value');
-        sample.aws_mps = app.getSelfPath('environment.wind.speedApparent.value');
+        sample.awa_rad = read('windAngleApparent');
+        sample.aws_mps = read('windSpeedApparent');
+        
+        // Get vessel attitude; the subscription buffer adds roll and pitch rates
+        const attitude = read('attitude');
+        const attitudeValue = (key) => attitude && typeof attitude[key] === 'number' ? attitude[key] : null;
+        sample.roll_rad = attitudeValue('roll');
+        sample.pitch_rad = attitudeValue('pitch');
+        sample.roll_rate = attitudeValue('rollRate');
+        sample.pitch_rate = attitudeValue('pitchRate');
+        
+        // Get true wind from a wind processor, if one publishes it
+        sample.tw_dir_rad = read('windDirectionTrue');
+        sample.tw_speed_mps = read(windReference === 'water' ? 'windSpeedTrue' : 'windSpeedOverGround');
         
         // Get water temperature
-        let waterTempKelvin = app.getSelfPath('environment.water.temperature.value');
-        if (waterTempKelvin !== null && waterTempKelvin > 200) { // Likely Kelvin
-            sample.water_temp = waterTempKelvin - 273.15;
-        } else {
-            sample.water_temp = waterTempKelvin;
-        }
+        sample.water_temp = toCelsius(read('waterTemperature'));
+        
+        // Get air temperature, humidity and pressure
+        sample.air_temp = toCelsius(read('airTemperature'));
+        sample.humidity = toHumidityRatio(read('humidity'));
+        sample.pressure_pa = read('pressure');
+        
+        // Get sea state (wind waves and primary swell)
+        sample.wave_height = read('waveHeight');
+        sample.wave_period = read('wavePeriod');
+        sample.swell_height = read('swellHeight');
+        sample.swell_period = read('swellPeriod');
+        sample.swell_dir_rad = read('swellDirection');
+        
+        // Prefer a published dew point, otherwise derive it from humidity
+        const dewPoint = priority.dewPoint === 'calculated' ? null : toCelsius(read('dewPoint'));
+        sample.dew_point = dewPoint !== null ? dewPoint : dewPointFromHumidity(sample.air_temp, sample.humidity);
         
     } catch (error) {
         console.error(`Error collecting sample: ${error.message}`);
         return null;
     }
     
+    // Correct the masthead reading for heel, pitch and mast motion
+    const anemometerHeight = typeof options.anemometerHeight === 'number' && options.anemometerHeight > 0
+        ? options.anemometerHeight
+        : REFERENCE_HEIGHT_M;
+    sample.wind_corrections = {
+        applied: [],
+        anemometerHeight,
+        heightFactor: getHeightReductionFactor(anemometerHeight)
+    };
+    if (options.motionCorrection !== false) {
+        const corrected = correctApparentWind({
+            angle: sample.awa_rad,
+            speed: sample.aws_mps,
+            roll: sample.roll_rad,
+            pitch: sample.pitch_rad,
+            rollRate: sample.roll_rate,
+            pitchRate: sample.pitch_rate,
+            height: anemometerHeight
+        });
+        if (corrected && corrected.applied.length > 0) {
+            sample.awa_rad = corrected.angle;
+            sample.aws_mps = corrected.speed;
+            sample.wind_corrections.applied.push(...corrected.applied);
+        }
+    }
+    
     // Convert units
     sample.awa = radiansToDegrees(sample.awa_rad);
     sample.aws = mpsToKnots(sample.aws_mps);
     sample.heading_deg = radiansToDegrees(sample.heading_rad);
     sample.heading_true_deg = radiansToDegrees(sample.heading_true_rad);
+    sample.heading_compass_deg = radiansToDegrees(sample.heading_compass_rad);
     sample.magnetic_variation_deg = radiansToDegrees(sample.magnetic_variation_rad);
+    sample.magnetic_deviation_deg = radiansToDegrees(sample.magnetic_deviation_rad);
     
-    // Try different heading sources
-    if (sample.heading_true_deg !== null) {
-        sample.true_heading_deg = sample.heading_true_deg;
-    } else if (sample.heading_deg !== null) {
-        sample.true_heading_deg = sample.heading_deg;
-    } else {
-        sample.true_heading_deg = null;
-    }
+    // True heading from headingTrue, or a magnetic or compass heading corrected for variation (and deviation)
+    sample.true_heading_deg = getTrueHeading({
+        headingTrue: priority.heading === 'calculated' ? null : sample.heading_true_deg,
+        headingMagnetic: sample.heading_deg,
+        headingCompass: sample.heading_compass_deg,
+        variation: sample.magnetic_variation_deg,
+        deviation: sample.magnetic_deviation_deg
+    });
     
     sample.sog_knots = mpsToKnots(sample.sog_mps);
+    sample.stw_knots = mpsToKnots(sample.stw_mps);
+    sample.cog_deg = radiansToDegrees(sample.cog_rad);
+    sample.swell_dir = radiansToDegrees(sample.swell_dir_rad);
     
-    // Calculate true wind for this sample
-    if (sample.awa !== null && sample.aws !== null && sample.true_heading_deg !== null && sample.sog_knots !== null) {
-        const [twDir, twSpeed] = calculateTrueWind(sample.awa, sample.aws, sample.true_heading_deg, sample.sog_knots);
-        sample.true_wind_dir = twDir;
-        sample.true_wind_speed = twSpeed;
+    // Calibrated barometer reading, reduced to mean sea level for the report
+    sample.station_pressure_hpa = getStationPressure(sample.pressure_pa);
+    sample.pressure_hpa = reduceToSeaLevel(sample.station_pressure_hpa, options.barometerHeight, sample.air_temp);
+    
+    // Use true wind from Signal K if present, otherwise calculate it for this sample
+    const instrumentWind = {
+        direction: radiansToDegrees(sample.tw_dir_rad),
+        speed: mpsToKnots(sample.tw_speed_mps)
+    };
+    const useInstrumentWind = priority.trueWind !== 'calculated' && instrumentWind.direction !== null && instrumentWind.speed !== null;
+    sample.true_wind_source = useInstrumentWind ? 'signalk' : 'calculated';
+    const trueWind = useInstrumentWind ? instrumentWind : calculateTrueWind({
+        awa: sample.awa,
+        aws: sample.aws,
+        heading: sample.true_heading_deg,
+        reference: windReference,
+        cog: sample.cog_deg,
+        sog: sample.sog_knots,
+        stw: sample.stw_knots
+    });
+    if (trueWind) {
+        // Wind is reported at the 10 m reference height
+        sample.true_wind_dir = trueWind.direction;
+        sample.true_wind_speed = trueWind.speed * sample.wind_corrections.heightFactor;
+        if (sample.wind_corrections.heightFactor !== 1) {
+            sample.wind_corrections.applied.push('height');
+        }
     } else {
         sample.true_wind_dir = null;
         sample.true_wind_speed = null;
         
         // Log what's missing for true wind calculation
-        const missingForWind = [];
-        if (sample.awa === null) missingForWind.push('apparent wind angle');
-        if (sample.aws === null) missingForWind.push('apparent wind speed');
-        if (sample.true_heading_deg === null) missingForWind.push('heading');
-        if (sample.sog_knots === null) missingForWind.push('speed over ground');
-        
-        console.debug(`Sample missing data for true wind calculation: ${missingForWind.join(', ')}`);
+        if (verbose && !useInstrumentWind) {
+            const missingForWind = [];
+            if (sample.awa === null) missingForWind.push('apparent wind angle');
+            if (sample.aws === null) missingForWind.push('apparent wind speed');
+            if (sample.true_heading_deg === null) {
+                const hasMagneticHeading = sample.heading_deg !== null || sample.heading_compass_deg !== null;
+                missingForWind.push(hasMagneticHeading ? 'magnetic variation (for magnetic heading)' : 'heading');
+            }
+            if (windReference === 'water' && sample.stw_knots === null) missingForWind.push('speed through water');
+            if (windReference !== 'water' && sample.sog_knots === null) missingForWind.push('speed over ground');
+            
+            console.debug(`Sample missing data for true wind calculation: ${missingForWind.join(', ')}`);
+        }
     }
+    sample.wind_reference = windReference;
     
     return sample;
 }
@@ -165,9 +458,10 @@ function averageSamples(samples) {
     const avg = {};
     
     // Average numeric fields
-    const numericFields = ['sog_knots', 'water_temp', 'aws'];
+    const numericFields = ['sog_knots', 'stw_knots', 'water_temp', 'aws', 'air_temp', 'dew_point', 'humidity', 'pressure_hpa',
+        'station_pressure_hpa', 'wave_height', 'wave_period', 'swell_height', 'swell_period'];
     for (const field of numericFields) {
-        const values = validSamples.map(s => s[field]).filter(v => v !== null);
+        const values = validSamples.map(s => s[field]).filter(v => v !== null && v !== undefined);
         if (values.length > 0) {
             avg[field] = values.reduce((sum, val) => sum + val, 0) / values.length;
         } else {
@@ -176,7 +470,7 @@ function averageSamples(samples) {
     }
     
     // Average angle fields (handling wrap-around)
-    const angleFields = ['heading_deg', 'magnetic_variation_deg', 'true_heading_deg', 'awa', 'true_wind_dir'];
+    const angleFields = ['heading_deg', 'heading_compass_deg', 'magnetic_variation_deg', 'magnetic_deviation_deg', 'true_heading_deg', 'awa', 'true_wind_dir', 'swell_dir', 'cog_deg'];
     for (const field of angleFields) {
         const values = validSamples.map(s => s[field]).filter(v => v !== null);
         if (values.length > 0) {
@@ -197,11 +491,31 @@ function averageSamples(samples) {
     // Use the most recent position (should be stable)
     avg.lat = validSamples[validSamples.length - 1].lat;
     avg.lon = validSamples[validSamples.length - 1].lon;
+    avg.wind_reference = validSamples[validSamples.length - 1].wind_reference;
+    avg.true_wind_source = validSamples[validSamples.length - 1].true_wind_source;
+    
+    // Corrections applied to the masthead wind in any sample
+    const corrections = validSamples[validSamples.length - 1].wind_corrections;
+    avg.wind_corrections = corrections ? {
+        applied: [...new Set(validSamples.flatMap(s => s.wind_corrections ? s.wind_corrections.applied : []))],
+        anemometerHeight: corrections.anemometerHeight,
+        heightFactor: corrections.heightFactor
+    } : null;
+    
+    // Quantities that were stale in any sample, with the most recent reason
+    const stale = {};
+    for (const sample of validSamples) {
+        Object.assign(stale, sample.stale);
+    }
+    avg.stale = Object.values(stale);
+    
+    // Quantities combined from several sources, with each source's values
+    avg.sensors = summarizeSensors(validSamples);
     
     return avg;
 }
 
-async function collectSignalkData(app, samples = 3, interval = 5, stationId = 'UNKNOWN') {
+async function collectSignalkData(app, samples = 3, interval = 5, stationId = 'UNKNOWN', observation = {}, options = {}) {
     console.log(`Collecting ${samples} Signal K samples with ${interval} second intervals...`);
     
     try {
@@ -209,7 +523,7 @@ async function collectSignalkData(app, samples = 3, interval = 5, stationId = 'U
         
         for (let i = 0; i < samples; i++) {
             console.log(`Collecting sample ${i + 1}/${samples}...`);
-            const sample = await collectSample(app);
+            const sample = await collectSample(app, true, options);
             
             if (sample === null) {
                 console.warn(`Sample ${i + 1} failed to collect - skipping...`);
@@ -231,20 +545,45 @@ async function collectSignalkData(app, samples = 3, interval = 5, stationId = 'U
             }
         }
         
-        if (collectedSamples.length === 0) {
+        return reportFromSamples(collectedSamples, samples, stationId, observation, new Date(), options.qc);
+    } catch (error) {
+        console.error(`Error collecting SignalK data: ${error.message}`);
+        return null;
+    }
+}
+
+function reportFromSamples(rawSamples, expectedSamples, stationId, observation = {}, utcTime = new Date(), qcOptions = {}) {
+    /**
+     * Quality-control and average collected samples and generate the BBXX report.
+     * Fields that fail QC are blanked, so their groups are reported as slashes.
+     * Returns the averaged data with utc_time, bbxx and qc, or null when required data is missing.
+     */
+    try {
+        if (rawSamples.length === 0) {
             console.error("No valid samples collected!");
             return null;
         }
         
+        const qc = qualityControl(rawSamples, qcOptions);
+        for (const flag of qc.flags) {
+            console.warn(`QC ${flag.check}: ${flag.message}`);
+        }
+        const collectedSamples = qc.samples;
+        
         // Log data availability summary
-        console.log(`\nData collection summary: ${collectedSamples.length}/${samples} samples collected`);
-        const firstSample = collectedSamples[0];
+        console.log(`\nData collection summary: ${collectedSamples.length}/${expectedSamples} samples collected`);
+        const latestSample = collectedSamples[collectedSamples.length - 1];
         const dataStatus = {
-            position: !!(firstSample.lat !== null && firstSample.lon !== null),
-            heading: !!(firstSample.true_heading_deg !== null),
-            wind: !!(firstSample.true_wind_dir !== null && firstSample.true_wind_speed !== null),
-            speed: !!(firstSample.sog_knots !== null),
-            waterTemp: !!(firstSample.water_temp !== null)
+            position: !!(latestSample.lat !== null && latestSample.lon !== null),
+            heading: !!(latestSample.true_heading_deg !== null),
+            wind: !!(latestSample.true_wind_dir !== null && latestSample.true_wind_speed !== null),
+            speed: !!(latestSample.sog_knots !== null),
+            waterTemp: !!(latestSample.water_temp !== null),
+            airTemp: !!(latestSample.air_temp !== null),
+            dewPoint: !!(latestSample.dew_point !== null),
+            pressure: !!(latestSample.pressure_hpa !== null),
+            waves: !!(latestSample.wave_height !== null && latestSample.wave_height !== undefined),
+            swell: !!(latestSample.swell_height !== null && latestSample.swell_height !== undefined)
         };
         
         const availableData = Object.entries(dataStatus)
@@ -268,7 +607,15 @@ async function collectSignalkData(app, samples = 3, interval = 5, stationId = 'U
         }
         
         // Add timestamp and BBXX report
-        avgData.utc_time = new Date();
+        avgData.utc_time = utcTime;
+        
+        for (const { reason } of avgData.stale) {
+            console.warn(`Stale data treated as missing: ${reason}`);
+        }
+        for (const sensor of avgData.sensors.filter(s => s.disagreement)) {
+            console.warn(`Sensors disagree on ${SIGNALK_QUANTITIES[sensor.quantity].title}: ` +
+                sensor.sources.map(s => `${s.source} ${s.value.toFixed(1)}`).join(', '));
+        }
         
         // Check data completeness and provide detailed error messages
         const missingData = [];
@@ -278,10 +625,15 @@ async function collectSignalkData(app, samples = 3, interval = 5, stationId = 'U
         if (avgData.sog_knots === null) missingData.push('speed over ground');
         
         if (missingData.length > 0) {
-            console.error(`Missing required data for BBXX report generation: ${missingData.join(', ')}`);
+            const qcFailures = qc.flags.filter(f => qc.failed.includes(f.field)).map(f => f.message);
+            console.error(`Missing required data for BBXX report generation: ${missingData.join(', ')}` +
+                (qcFailures.length > 0 ? ` (failed QC: ${qcFailures.join('; ')})` : ''));
             return null;
         }
         
+        // A tendency is only reported alongside the pressure it belongs to - not when the barometer failed QC or had no reading
+        const pressureTendency = avgData.pressure_hpa === null || avgData.pressure_hpa === undefined ? null : observation.pressureTendency || null;
+        
         // Generate BBXX report
         const bbxx = generateBbxxReport(
             avgData.true_wind_dir,
@@ -290,9 +642,30 @@ async function collectSignalkData(app, samples = 3, interval = 5, stationId = 'U
             avgData.lon,
             avgData.utc_time,
             stationId,
-            avgData.water_temp
+            avgData.water_temp,
+            {
+                ...observation,
+                pressureTendency,
+                airTemp: avgData.air_temp,
+                dewPoint: avgData.dew_point,
+                pressure: avgData.pressure_hpa,
+                windWaveHeight: avgData.wave_height,
+                windWavePeriod: avgData.wave_period,
+                swellDirection: avgData.swell_dir,
+                swellHeight: avgData.swell_height,
+                swellPeriod: avgData.swell_period,
+                course: avgData.cog_deg,
+                speed: avgData.sog_knots
+            }
         );
         avgData.bbxx = bbxx;
+        avgData.pressure_tendency = pressureTendency;
+        avgData.synoptic_time = observation.synopticTime || null;
+        avgData.qc = {
+            passed: qc.passed,
+            failed: qc.failed,
+            flags: qc.flags
+        };
         
         return avgData;
     } catch (error) {
@@ -301,6 +674,276 @@ async function collectSignalkData(app, samples = 3, interval = 5, stationId = 'U
     }
 }
 
+function withAttitudeRates(entries, index) {
+    // Roll and pitch rates from consecutive attitude updates, for the mast motion correction
+    const entry = entries[index];
+    const previous = entries[index - 1];
+    if (!previous || !entry.value || !previous.value) {
+        return entry.value;
+    }
+    const seconds = (entry.timestamp - previous.timestamp) / 1000;
+    if (seconds <= 0 || seconds > MAX_ATTITUDE_RATE_INTERVAL_S) {
+        return entry.value;
+    }
+    const rate = (key) => typeof entry.value[key] === 'number' && typeof previous.value[key] === 'number'
+        ? (entry.value[key] - previous.value[key]) / seconds
+        : null;
+    return { ...entry.value, rollRate: rate('roll'), pitchRate: rate('pitch') };
+}
+
+function createSignalkBuffer(app, windowMinutes = DEFAULT_AVERAGING_WINDOW_MINUTES, options = {}) {
+    /**
+     * Create a subscription-fed ring buffer of time-stamped values for each observation path.
+     * Observations are built from the buffered averaging window, so reports need no sampling wait.
+     * Options are passed to buildSample; options.paths maps quantities to paths,
+     * options.sources pins paths to a single $source, options.qc configures quality control and
+     * options.calibration (with options.pressureOffset) calibrates each value as it is sampled and
+     * options.sensors combines paths published by several $sources.
+     * options.retainMinutes keeps values for longer than the averaging window, e.g. for the gust window.
+     */
+    const retainMs = Math.max(windowMinutes, options.retainMinutes || 0) * 60 * 1000;
+    const paths = resolvePaths(options.paths);
+    const subscribedPaths = [...new Set(Object.values(paths))];
+    const pinnedSources = getPinnedSources(options.sources);
+    const maxAges = resolveMaxAges(options.maxAge);
+    const calibration = resolveCalibration(options.calibration, options.pressureOffset);
+    const sensors = resolveSensorSettings(options.sensors);
+    const buffers = {};
+    let unsubscribes = [];
+    let subscribed = false;
+
+    for (const path of subscribedPaths) {
+        buffers[path] = [];
+    }
+
+    function handleDelta(delta, now = Date.now()) {
+        if (!delta || !Array.isArray(delta.updates)) {
+            return;
+        }
+
+        for (const update of delta.updates) {
+            for (const { path, value } of update.values || []) {
+                const entries = buffers[path];
+                if (!entries || value === null || value === undefined) {
+                    continue;
+                }
+                if (pinnedSources[path] && update.$source !== pinnedSources[path]) {
+                    continue;
+                }
+                // Signal K timestamps show how old a resent value really is
+                const timestamp = update.timestamp ? Date.parse(update.timestamp) : NaN;
+                entries.push({ time: now, timestamp: isNaN(timestamp) ? now : timestamp, value, source: update.$source || null });
+
+                // Keep one entry from before the window so the window start has a value
+                const cutoff = now - retainMs;
+                while (entries.length > 1 && (entries[1].time <= cutoff || entries.length > BUFFER_MAX_ENTRIES)) {
+                    entries.shift();
+                }
+            }
+        }
+    }
+
+    function start() {
+        if (subscribed) {
+            return true;
+        }
+        if (!app.subscriptionmanager || typeof app.subscriptionmanager.subscribe !== 'function') {
+            return false;
+        }
+
+        app.subscriptionmanager.subscribe(
+            {
+                context: 'vessels.self',
+                subscribe: subscribedPaths.map(path => ({ path, period: SUBSCRIPTION_PERIOD_MS }))
+            },
+            unsubscribes,
+            (error) => console.error(`Signal K subscription error: ${error}`),
+            (delta) => handleDelta(delta)
+        );
+        subscribed = true;
+        return true;
+    }
+
+    function stop() {
+        for (const unsubscribe of unsubscribes) {
+            unsubscribe();
+        }
+        unsubscribes = [];
+        subscribed = false;
+        for (const path of subscribedPaths) {
+            buffers[path].length = 0;
+        }
+    }
+
+    function getSamples(now = Date.now(), minutes = windowMinutes) {
+        // Sample and hold each path on a regular grid, giving time-weighted averages
+        const windowMs = minutes * 60 * 1000;
+        const samples = [];
+        const indexes = {};
+        const latestBySource = {};
+        for (const path of subscribedPaths) {
+            indexes[path] = -1;
+            latestBySource[path] = {};
+        }
+
+        // QC score of each source of a combined quantity over the window
+        const sourceScores = {};
+        if (sensors.method !== 'latest') {
+            for (const [quantity, path] of Object.entries(paths)) {
+                if (!isCombinable(quantity) || pinnedSources[path]) {
+                    continue;
+                }
+                const valuesBySource = {};
+                for (const entry of buffers[path]) {
+                    if (entry.time > now - windowMs && entry.time <= now) {
+                        (valuesBySource[entry.source] = valuesBySource[entry.source] || []).push(entry.value);
+                    }
+                }
+                sourceScores[quantity] = {};
+                for (const [source, values] of Object.entries(valuesBySource)) {
+                    sourceScores[quantity][source] = scoreSourceValues(quantity, values);
+                }
+            }
+        }
+
+        for (let time = now - windowMs + BUFFER_SAMPLE_STEP_MS; time <= now; time += BUFFER_SAMPLE_STEP_MS) {
+            let hasData = false;
+            for (const path of subscribedPaths) {
+                const entries = buffers[path];
+                while (indexes[path] + 1 < entries.length && entries[indexes[path] + 1].time <= time) {
+                    indexes[path]++;
+                    latestBySource[path][entries[indexes[path]].source] = entries[indexes[path]];
+                }
+                hasData = hasData || indexes[path] >= 0;
+            }
+            if (!hasData) {
+                continue;
+            }
+
+            const stale = {};
+            const combined = {};
+            const read = (quantity) => {
+                const path = paths[quantity];
+                if (indexes[path] < 0) {
+                    return null;
+                }
+                const sourceEntries = Object.values(latestBySource[path]);
+                if (sourceScores[quantity] && sourceEntries.length > 1) {
+                    const value = combineSources(quantity, path, sourceEntries, time, maxAges, stale, sensors, sourceScores[quantity], combined);
+                    return applyCalibration(quantity, value, calibration);
+                }
+                const entry = buffers[path][indexes[path]];
+                if (checkStale(quantity, path, entry.timestamp, time, maxAges, stale)) {
+                    return null;
+                }
+                if (quantity === 'attitude') {
+                    return withAttitudeRates(buffers[path], indexes[path]);
+                }
+                return applyCalibration(quantity, entry.value, calibration);
+            };
+            const sample = buildSample(read, false, options);
+            if (sample) {
+                sample.time = time;
+                sample.stale = stale;
+                sample.sensors = combined;
+                samples.push(sample);
+            }
+        }
+        return samples;
+    }
+
+    function getLatest(path) {
+        const entries = buffers[path];
+        return entries && entries.length > 0 ? entries[entries.length - 1] : null;
+    }
+
+    return {
+        start,
+        stop,
+        handleDelta,
+        getSamples,
+        getLatest,
+        windowMinutes,
+        qcOptions: options.qc || {},
+        isSubscribed: () => subscribed
+    };
+}
+
+function readRawQuantity(app, quantity, options = {}) {
+    /**
+     * Current uncalibrated value of a quantity (SI units), from its mapped path and pinned source, ignoring its age.
+     */
+    const read = createAppReader(app, resolvePaths(options.paths), getPinnedSources(options.sources));
+    try {
+        return read(quantity);
+    } catch (error) {
+        console.error(`Error reading ${quantity}: ${error.message}`);
+        return null;
+    }
+}
+
+function testSignalkPaths(app, paths = {}, now = Date.now(), maxAge = {}) {
+    /**
+     * Report the current value and age of every mapped path, for checking a path mapping.
+     * Returns:
+     *   array: { quantity, title, path, value, source, timestamp, ageSeconds, maxAgeSeconds, stale } for each quantity
+     */
+    const resolved = resolvePaths(paths);
+    const maxAges = resolveMaxAges(maxAge);
+    return Object.entries(SIGNALK_QUANTITIES).map(([quantity, { title }]) => {
+        const path = resolved[quantity];
+        let node = null;
+        try {
+            node = app.getSelfPath(path);
+        } catch (error) {
+            console.error(`Error reading ${path}: ${error.message}`);
+        }
+
+        const hasValue = node && typeof node === 'object' && 'value' in node;
+        const timestamp = hasValue && node.timestamp ? node.timestamp : null;
+        const time = timestamp ? Date.parse(timestamp) : NaN;
+        const ageSeconds = isNaN(time) ? null : Math.round((now - time) / 1000);
+        return {
+            quantity,
+            title,
+            path,
+            value: hasValue ? node.value : null,
+            source: hasValue && node.$source ? node.$source : null,
+            timestamp,
+            ageSeconds,
+            maxAgeSeconds: maxAges[quantity],
+            stale: ageSeconds !== null && maxAges[quantity] > 0 && ageSeconds > maxAges[quantity]
+        };
+    });
+}
+
+function collectBufferedData(buffer, stationId = 'UNKNOWN', observation = {}, now = Date.now()) {
+    /**
+     * Build an observation immediately from the buffered averaging window.
+     * Args:
+     *   buffer (object): Buffer from createSignalkBuffer
+     *   stationId (string): Ship's callsign
+     *   observation (object): Additional values passed to generateBbxxReport
+     *   now (number): End of the averaging window in milliseconds
+     * Returns:
+     *   object: Averaged data with utc_time, bbxx and window, or null when required data is missing
+     */
+    const expectedSamples = Math.round(buffer.windowMinutes * 60 * 1000 / BUFFER_SAMPLE_STEP_MS);
+    const samples = buffer.getSamples(now);
+    console.log(`Averaging ${buffer.windowMinutes}-minute window from Signal K subscriptions...`);
+
+    const data = reportFromSamples(samples, expectedSamples, stationId, observation, new Date(now), buffer.qcOptions);
+    if (data) {
+        data.window = {
+            minutes: buffer.windowMinutes,
+            start: new Date(samples[0].time),
+            end: new Date(now),
+            samples: samples.length
+        };
+    }
+    return data;
+}
+
 function displaySignalkSummary(data) {
     if (!data) {
         console.error("No data to display.");
@@ -312,50 +955,156 @@ function displaySignalkSummary(data) {
     console.log(`Position: ${data.lat?.toFixed(6)}, ${data.lon?.toFixed(6)}`);
     console.log(`True Heading: ${data.true_heading_deg?.toFixed(1)}°`);
     console.log(`SOG: ${data.sog_knots?.toFixed(2)} knots`);
+    if (data.cog_deg !== null) {
+        console.log(`COG: ${data.cog_deg?.toFixed(1)}°`);
+    }
     console.log(`Apparent Wind: ${data.awa?.toFixed(1)}° at ${data.aws?.toFixed(1)} knots`);
-    console.log(`True Wind: ${data.true_wind_dir?.toFixed(1)}° at ${data.true_wind_speed?.toFixed(1)} knots`);
+    console.log(`True Wind: ${data.true_wind_dir?.toFixed(1)}° at ${data.true_wind_speed?.toFixed(1)} knots (${data.wind_reference === 'water' ? 'water' : 'ground'} referenced, ${data.true_wind_source === 'signalk' ? 'from Signal K' : 'calculated'})`);
+    if (data.wind_corrections && data.wind_corrections.applied.length > 0) {
+        console.log(`Wind Corrections: ${data.wind_corrections.applied.join(', ')} (anemometer ${data.wind_corrections.anemometerHeight} m, 10 m factor ${data.wind_corrections.heightFactor.toFixed(3)})`);
+    }
     if (data.water_temp !== null) {
         console.log(`Water Temp: ${data.water_temp?.toFixed(1)}°C`);
     }
+    if (data.air_temp !== null) {
+        console.log(`Air Temp: ${data.air_temp?.toFixed(1)}°C`);
+    }
+    if (data.dew_point !== null) {
+        console.log(`Dew Point: ${data.dew_point?.toFixed(1)}°C`);
+    }
+    if (data.pressure_hpa !== null) {
+        console.log(`Pressure: ${data.pressure_hpa?.toFixed(1)} hPa MSL (station ${data.station_pressure_hpa?.toFixed(1)} hPa)`);
+    }
+    if (data.pressure_tendency) {
+        console.log(`Pressure Tendency: ${data.pressure_tendency.change >= 0 ? '+' : ''}${data.pressure_tendency.change.toFixed(1)} hPa/3h (characteristic ${data.pressure_tendency.characteristic})`);
+    }
+    if (data.wave_height !== null) {
+        console.log(`Wind Waves: ${data.wave_height?.toFixed(1)} m, ${data.wave_period !== null ? `${data.wave_period?.toFixed(0)} s` : 'period N/A'}`);
+    }
+    if (data.swell_height !== null) {
+        console.log(`Swell: ${data.swell_height?.toFixed(1)} m, ${data.swell_period !== null ? `${data.swell_period?.toFixed(0)} s` : 'period N/A'} from ${data.swell_dir !== null ? `${data.swell_dir?.toFixed(0)}°` : 'N/A'}`);
+    }
     console.log(`Time: ${data.utc_time.toISOString().slice(11, 19)} UTC`);
+    if (data.stale && data.stale.length > 0) {
+        console.log(`Stale Data: ${data.stale.map(s => s.quantity).join(', ')}`);
+    }
+    for (const sensor of data.sensors || []) {
+        const sources = sensor.sources.map(s => `${s.source} ${s.value.toFixed(1)}${s.used > 0 ? '' : ' (unused)'}`).join(', ');
+        console.log(`${SIGNALK_QUANTITIES[sensor.quantity].title} sources: ${sources}${sensor.disagreement ? ` - DISAGREE by ${sensor.spread.toFixed(1)}` : ''}`);
+    }
+    if (data.window) {
+        console.log(`Averaging Window: ${data.window.minutes} minutes from ${data.window.start.toISOString().slice(11, 19)} UTC (${data.window.samples} samples)`);
+    }
     
     console.log("\nBBXX Report:");
     console.log(data.bbxx);
 }
 
-async function sendSignalkData(data, testMode = true, stationId = 'UNKNOWN') {
-    if (!data || !data.bbxx) {
-        console.error("No data to send.");
-        return;
-    }
-    
-    const formData = {
+const NOAA_TRANSPORTS = {
+    form: 'Google Form (internet)',
+    email: 'Email (SMTP)',
+    radio: 'Radio email outbox (Winlink / Airmail / Pat)'
+};
+
+function buildReportMessage(data, stationId) {
+    /**
+     * Subject and text of a report sent by email or radio mail: the BBXX report alone, as NOAA reads it.
+     */
+    return {
+        subject: `BBXX ${stationId}`,
+        body: data.bbxx,
+        date: new Date()
+    };
+}
+
+function buildFormData(data, stationId) {
+    return {
         'ship': stationId,
         'lat': data.lat?.toFixed(6),
         'lon': data.lon?.toFixed(6),
-        'entry.354542700': data.bbxx,
-        'entry.1226456580': 'TRUE',
+        [`entry.${FORM_FIELD_IDS.bbxx}`]: data.bbxx,
+        [`entry.${FORM_FIELD_IDS.confirm}`]: 'TRUE',
     };
+}
+
+async function postToForm(data, stationId, options) {
+    const formData = buildFormData(data, stationId);
+    let response;
+    try {
+        // Redirects are part of the answer (sign-in, closed form), so they are not followed
+        response = await axios.post(options.url || NOAA_FORM_URL, new URLSearchParams(formData).toString(), {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            maxRedirects: 0,
+            timeout: options.timeout || 30000,
+            validateStatus: () => true
+        });
+    } catch (error) {
+        console.error(`Error posting to NOAA: ${error.message}`);
+        return createDeliveryResult('transport_error', { reason: error.code || 'network_error', message: error.message });
+    }
+
+    const result = classifyFormResponse(response.status, response.data, response.headers);
+    console.log(`NOAA submission POST status code: ${response.status} - ${result.status} (${result.reason})`);
+    return result;
+}
+
+async function sendSignalkData(data, testMode = true, stationId = 'UNKNOWN', options = {}) {
+    /**
+     * Submit a report to NOAA (or log it in test mode) and check the outcome.
+     * Args:
+     *   options (object): transport ('form', 'email' or 'radio'), email and radioMail settings,
+     *                     url (form address, for testing) and timeout (ms)
+     * Returns:
+     *   object: Delivery result { status, delivered, httpStatus, reason, message, checkedAt } with status
+     *           'accepted', 'rejected', 'transport_error', 'sent' (taken by the mail server), 'pending' (radio mail
+     *           waiting for a session) or 'test' - delivered only when the form confirmed the report
+     */
+    if (!data || !data.bbxx) {
+        console.error("No data to send.");
+        return createDeliveryResult('rejected', { reason: 'no_data', message: 'No data to send' });
+    }
+
+    const transport = NOAA_TRANSPORTS[options.transport] ? options.transport : 'form';
     
     if (testMode) {
-        console.log("\nBBXX data for NOAA submission (test mode, not posted):");
+        console.log(`\nBBXX data for NOAA submission by ${NOAA_TRANSPORTS[transport]} (test mode, not sent):`);
         console.log("Reference: https://www.vos.noaa.gov/ObsHB-508/ObservingHandbook1_2010_508_compliant.pdf");
-        for (const [k, v] of Object.entries(formData)) {
+        for (const [k, v] of Object.entries(buildFormData(data, stationId))) {
             console.log(`  ${k}: ${v}`);
         }
-    } else {
-        const url = "https://docs.google.com/forms/d/e/1FAIpQLSfox4aMFCWmDmAaBYOhqlQoRpCyXuaUSTB7JB93qIaqVqreQg/formResponse";
-        try {
-            const response = await axios.post(url, formData);
-            console.log(`NOAA submission POST status code: ${response.status}`);
-        } catch (error) {
-            console.error(`Error posting to NOAA: ${error.message}`);
+        return createDeliveryResult('test');
+    }
+
+    if (transport === 'email') {
+        const email = options.email || {};
+        if (!email.from || !email.to) {
+            return createDeliveryResult('rejected', { reason: 'not_configured', message: 'Email sender and NOAA address are required' });
         }
+        const message = buildReportMessage(data, stationId);
+        const result = await sendMail(buildEmailMessage({ ...message, from: email.from, to: email.to }), { from: email.from, to: email.to }, email, options);
+        console.log(`NOAA submission by email: ${result.status} (${result.reason})`);
+        return result;
     }
+
+    if (transport === 'radio') {
+        return writeRadioMessage(buildReportMessage(data, stationId), options.radioMail || {});
+    }
+
+    return postToForm(data, stationId, options);
 }
 
 module.exports = {
+    SIGNALK_QUANTITIES,
+    resolvePaths,
+    resolveMaxAges,
+    testSignalkPaths,
+    readRawQuantity,
+    SOURCE_PRIORITY_DEFAULTS,
+    collectSample,
     collectSignalkData,
+    createSignalkBuffer,
+    collectBufferedData,
     displaySignalkSummary,
+    NOAA_TRANSPORTS,
     sendSignalkData
 }; 
\ No newline at end of file
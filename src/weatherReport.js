@@ -22,7 +22,276 @@ function getBbxxQuadrant(lat, lon) {
     }
 }
 
-function generateBbxxReport(trueWindDirection, trueWindSpeed, lat, lon, utcTime, stationId = "9RM2K7C", waterTemp = null) {
+function encodeTemperatureGroup(indicator, tempC) {
+    /**
+     * Encode a signed temperature group (1snTTT / 2snTdTdTd).
+     * Sign sn is 0 for positive or zero and 1 for negative, followed by tenths of a degree.
+     * Returns the slash form when the temperature is missing.
+     */
+    if (tempC === null || tempC === undefined || isNaN(tempC)) {
+        return `${indicator}////`;
+    }
+    const tenths = Math.round(tempC * 10.0);
+    const sign = tenths < 0 ? "1" : "0";
+    return `${indicator}${sign}${Math.abs(tenths).toString().padStart(3, '0')}`;
+}
+
+function encodePressureGroup(pressureHpa) {
+    /**
+     * Encode the 4PPPP sea level pressure group.
+     * Pressure is in tenths of hPa with the thousands digit omitted (1013.2 -> 0132, 998.7 -> 9987).
+     */
+    if (pressureHpa === null || pressureHpa === undefined || isNaN(pressureHpa)) {
+        return "4////";
+    }
+    const tenths = Math.round(pressureHpa * 10.0) % 10000;
+    return `4${tenths.toString().padStart(4, '0')}`;
+}
+
+function findReadingNear(readings, targetTime, toleranceMs) {
+    let best = null;
+    for (const reading of readings) {
+        const offset = Math.abs(reading.time - targetTime);
+        if (offset <= toleranceMs && (best === null || offset < Math.abs(best.time - targetTime))) {
+            best = reading;
+        }
+    }
+    return best;
+}
+
+function calculatePressureTendency(readings, now = Date.now()) {
+    /**
+     * Determine the 3-hour pressure tendency from a barometer history.
+     * Args:
+     *   readings (Array): Readings as { time (ms), pressure (hPa) }, oldest first
+     *   now (number): Observation time in milliseconds (default: now)
+     * Returns:
+     *   object: { characteristic (WMO code table 0200, 0-8), change (hPa, signed) } or null when
+     *           the history does not cover the last 3 hours
+     */
+    const threeHoursMs = 3 * 60 * 60 * 1000;
+    const toleranceMs = 15 * 60 * 1000;
+    if (!readings || readings.length < 3) {
+        return null;
+    }
+
+    const start = findReadingNear(readings, now - threeHoursMs, toleranceMs);
+    const middle = findReadingNear(readings, now - threeHoursMs / 2, toleranceMs);
+    const end = findReadingNear(readings, now, toleranceMs);
+    if (!start || !middle || !end) {
+        return null;
+    }
+
+    const steady = 0.2; // hPa change per half period treated as steady
+    const firstHalf = middle.pressure - start.pressure;
+    const secondHalf = end.pressure - middle.pressure;
+    const change = Math.round((end.pressure - start.pressure) * 10) / 10;
+
+    let characteristic;
+    if (change > 0) {
+        if (firstHalf > steady && secondHalf < -steady) {
+            characteristic = 0; // Increasing, then decreasing
+        } else if (firstHalf > steady && secondHalf < firstHalf / 2) {
+            characteristic = 1; // Increasing, then steady or increasing more slowly
+        } else if (firstHalf <= steady && secondHalf > steady) {
+            characteristic = 3; // Decreasing or steady, then increasing
+        } else if (firstHalf > steady && secondHalf > firstHalf * 2) {
+            characteristic = 3; // Increasing, then increasing more rapidly
+        } else {
+            characteristic = 2; // Increasing steadily or unsteadily
+        }
+    } else if (change < 0) {
+        if (firstHalf < -steady && secondHalf > steady) {
+            characteristic = 5; // Decreasing, then increasing
+        } else if (firstHalf < -steady && secondHalf > firstHalf / 2) {
+            characteristic = 6; // Decreasing, then steady or decreasing more slowly
+        } else if (firstHalf >= -steady && secondHalf < -steady) {
+            characteristic = 8; // Steady or increasing, then decreasing
+        } else if (firstHalf < -steady && secondHalf < firstHalf * 2) {
+            characteristic = 8; // Decreasing, then decreasing more rapidly
+        } else {
+            characteristic = 7; // Decreasing steadily or unsteadily
+        }
+    } else if (firstHalf > steady && secondHalf < -steady) {
+        characteristic = 0; // Increasing, then decreasing to the same pressure
+    } else if (firstHalf < -steady && secondHalf > steady) {
+        characteristic = 5; // Decreasing, then increasing to the same pressure
+    } else {
+        characteristic = 4; // Steady
+    }
+
+    return { characteristic, change };
+}
+
+function encodePressureTendencyGroup(tendency) {
+    /**
+     * Encode the 5appp pressure tendency group.
+     * a is the characteristic (0-8) and ppp the absolute 3-hour change in tenths of hPa.
+     */
+    if (!tendency || tendency.characteristic === null || tendency.characteristic === undefined ||
+        tendency.change === null || tendency.change === undefined || isNaN(tendency.change)) {
+        return "5////";
+    }
+    const tenths = Math.min(Math.round(Math.abs(tendency.change) * 10.0), 999);
+    return `5${tendency.characteristic}${tenths.toString().padStart(3, '0')}`;
+}
+
+function isMissing(value) {
+    // True for a value that was not observed: null, undefined or NaN
+    return value === null || value === undefined || (typeof value === 'number' && isNaN(value));
+}
+
+function humidityToPercent(humidity) {
+    // Observations carry relative humidity as the Signal K 0-1 ratio; reports give it in percent
+    return isMissing(humidity) ? null : humidity * 100;
+}
+
+function encodeWavePeriodHeight(period, height) {
+    // Period in whole seconds and height in units of 0.5 m, slashes for a missing half
+    const periodCode = isMissing(period) ? "//" : Math.min(Math.round(period), 99).toString().padStart(2, '0');
+    const heightCode = isMissing(height) ? "//" : Math.min(Math.round(height / 0.5), 99).toString().padStart(2, '0');
+    return `${periodCode}${heightCode}`;
+}
+
+function encodeWaveGroup(indicator, period, height) {
+    /**
+     * Encode a wave group (2PwPwHwHw for wind waves, 4Pw1Pw1Hw1Hw1 for the primary swell).
+     * Period is in seconds and height in metres; returns the slash form when both are missing.
+     */
+    if (isMissing(period) && isMissing(height)) {
+        return `${indicator}////`;
+    }
+    return `${indicator}${encodeWavePeriodHeight(period, height)}`;
+}
+
+function encodeSwellDirectionGroup(primaryDirection, secondaryDirection = null) {
+    /**
+     * Encode the 3dw1dw1dw2dw2 swell direction group.
+     * Directions are in tens of degrees true (01-36, with north as 36); a missing system is written as //.
+     */
+    const directionCode = (direction) => {
+        if (isMissing(direction)) {
+            return "//";
+        }
+        const tens = Math.round((((direction % 360) + 360) % 360) / 10.0);
+        return (tens === 0 ? 36 : tens).toString().padStart(2, '0');
+    };
+    if (isMissing(primaryDirection) && isMissing(secondaryDirection)) {
+        return "3////";
+    }
+    return `3${directionCode(primaryDirection)}${directionCode(secondaryDirection)}`;
+}
+
+function observerCode(value, width = 1) {
+    return isMissing(value) || value === '' ? "/".repeat(width) : value.toString().padStart(width, '0');
+}
+
+function encodePresentWeatherGroup(presentWeather, pastWeather1, pastWeather2) {
+    /**
+     * Encode the 7wwW1W2 present and past weather group from observer codes.
+     * Returns the slash form when no present weather was observed.
+     */
+    if (isMissing(presentWeather) || presentWeather === '') {
+        return "7////";
+    }
+    return `7${observerCode(presentWeather, 2)}${observerCode(pastWeather1)}${observerCode(pastWeather2)}`;
+}
+
+function encodeCloudGroup(lowCloudAmount, lowCloud, middleCloud, highCloud) {
+    /**
+     * Encode the 8NhCLCMCH cloud group from observer codes.
+     * Each missing code is written as a slash, giving 8//// when no cloud was observed.
+     */
+    return `8${observerCode(lowCloudAmount)}${observerCode(lowCloud)}${observerCode(middleCloud)}${observerCode(highCloud)}`;
+}
+
+// Wind speed units and the matching iw indicator (WMO code table 1855, anemometer measured)
+const WIND_UNITS = {
+    knots: { indicator: "4", fromKnots: 1.0, label: 'knots' },
+    mps: { indicator: "1", fromKnots: 1 / 1.94384, label: 'm/s' }
+};
+
+function getWindUnits(units) {
+    return WIND_UNITS[units] || WIND_UNITS.knots;
+}
+
+function encodeWindSpeed(speedKnots, units = 'knots') {
+    /**
+     * Encode a wind speed as ff in the reporting units, with the 00fff supplementary group
+     * for speeds of 99 units or more (ff is then written as 99).
+     * Returns { code, extension } where extension is null below 99 units.
+     */
+    if (isMissing(speedKnots)) {
+        return { code: "//", extension: null };
+    }
+    const speed = Math.round(speedKnots * getWindUnits(units).fromKnots);
+    if (speed >= 99) {
+        return { code: "99", extension: `00${Math.min(speed, 999).toString().padStart(3, '0')}` };
+    }
+    return { code: speed.toString().padStart(2, '0'), extension: null };
+}
+
+function encodeGustGroup(indicator, gustSpeed, units = 'knots') {
+    /**
+     * Encode a section 3 gust group (911ff for the 10 minutes before the observation, 912ff for the past weather period).
+     * Speed is in knots and reported in the wind units, followed by 00fff for gusts of 99 units or more.
+     * Returns null when there is no gust to report.
+     */
+    if (isMissing(gustSpeed)) {
+        return null;
+    }
+    const { code, extension } = encodeWindSpeed(gustSpeed, units);
+    return extension ? `${indicator}${code} ${extension}` : `${indicator}${code}`;
+}
+
+// Sea surface temperature measuring method (WMO code table 3850), code for a positive temperature
+const SST_METHOD_CODES = {
+    intake: 0,
+    bucket: 2,
+    hull: 4,
+    other: 6
+};
+
+function encodeWaterTemperatureGroup(waterTemp, method = 'hull') {
+    /**
+     * Encode the 0ssTwTwTw sea surface temperature group.
+     * ss combines the measuring method (intake, bucket, hull contact, other) with the sign;
+     * the method code is used for positive or zero and the next code for negative temperatures.
+     */
+    if (isMissing(waterTemp)) {
+        return "0////";
+    }
+    const methodCode = SST_METHOD_CODES[method] !== undefined ? SST_METHOD_CODES[method] : SST_METHOD_CODES.hull;
+    const tenths = Math.round(waterTemp * 10.0);
+    const sign = tenths < 0 ? methodCode + 1 : methodCode;
+    return `0${sign}${Math.abs(tenths).toString().padStart(3, '0')}`;
+}
+
+function encodeShipMovementGroup(course, speed) {
+    /**
+     * Encode the 222Dsvs ship movement group.
+     * Ds is the course made good by octant (1 = NE ... 8 = N, 0 = stationary) and vs the speed
+     * in 5-knot ranges (0 = 0 kt, 1 = 1-5 kt ... 9 = over 40 kt). Unknown values are written as /.
+     */
+    let courseCode = "/";
+    let speedCode = "/";
+    
+    if (!isMissing(speed)) {
+        const knots = Math.round(speed);
+        speedCode = Math.min(Math.ceil(knots / 5), 9).toString();
+        if (knots === 0) {
+            courseCode = "0"; // Ship stationary
+        }
+    }
+    if (courseCode === "/" && !isMissing(course)) {
+        const octant = Math.round((((course % 360) + 360) % 360) / 45.0) % 8;
+        courseCode = (octant === 0 ? 8 : octant).toString();
+    }
+    
+    return `222${courseCode}${speedCode}`;
+}
+
+function generateBbxxReport(trueWindDirection, trueWindSpeed, lat, lon, utcTime, stationId = "9RM2K7C", waterTemp = null, observation = {}) {
     /**
      * Generate a BBXX weather report from true wind direction, speed, position, and UTC time.
      * Args:
@@ -30,15 +299,35 @@ function generateBbxxReport(trueWindDirection, trueWindSpeed, lat, lon, utcTime,
      *   trueWindSpeed (number): Wind speed in knots
      *   lat (number): Latitude in decimal degrees
      *   lon (number): Longitude in decimal degrees
-     *   utcTime (Date): UTC datetime for the report
+     *   utcTime (Date): UTC datetime of the observation
      *   stationId (string): Station identifier (default: 9RM2K7C)
      *   waterTemp (number): Water temperature in Celsius (default: null)
+     *   observation (object): Additional observed values (default: {})
+     *     airTemp (number): Air temperature in Celsius
+     *     dewPoint (number): Dew point temperature in Celsius
+     *     pressure (number): Sea level pressure in hPa
+     *     pressureTendency (object): 3-hour tendency as { characteristic, change } (see calculatePressureTendency)
+     *     windWaveHeight (number): Wind wave height in metres
+     *     windWavePeriod (number): Wind wave period in seconds
+     *     swellDirection (number): Primary swell direction in degrees true
+     *     swellHeight (number): Primary swell height in metres
+     *     swellPeriod (number): Primary swell period in seconds
+     *     course (number): Course made good in degrees true
+     *     speed (number): Speed made good in knots
+     *     sstMethod (string): Water temperature method - intake, bucket, hull or other (default: hull)
+     *     gust (number): Highest gust in knots during the gust window before the observation
+     *     windUnits (string): Reporting units for wind speed - knots or mps (default: knots)
+     *     synopticTime (Date): Nominal synoptic hour reported in YYGG instead of utcTime (scheduled reports)
+     *     visibility, cloudBaseHeight, totalCloud, presentWeather, pastWeather1, pastWeather2,
+     *     lowCloudAmount, lowCloud, middleCloud, highCloud (string): Observer codes (see observerCodes.js)
      * Returns:
      *   string: BBXX weather report
      */
     
-    // Day of month and hour (UTC), wind indicator 4 (anemometer, knots)
-    const dayHour = `${utcTime.getUTCDate().toString().padStart(2, '0')}${utcTime.getUTCHours().toString().padStart(2, '0')}4`;
+    // Day of month and hour (UTC), wind indicator iw (4 = anemometer, knots; 1 = anemometer, m/s)
+    const windUnits = getWindUnits(observation.windUnits);
+    const reportTime = observation.synopticTime || utcTime;
+    const dayHour = `${reportTime.getUTCDate().toString().padStart(2, '0')}${reportTime.getUTCHours().toString().padStart(2, '0')}${windUnits.indicator}`;
     
     // Latitude: 99 + lat in tenths, 3 digits
     const latCode = `99${Math.round(Math.abs(lat) * 10).toString().padStart(3, '0')}`;
@@ -47,32 +336,53 @@ function generateBbxxReport(trueWindDirection, trueWindSpeed, lat, lon, utcTime,
     const quadrant = getBbxxQuadrant(lat, lon);
     const lonCode = `${quadrant}${Math.round(Math.abs(lon) * 10).toString().padStart(4, '0')}`;
     
-    // Precipitation group is always omitted: 43///
-    const precipitationGroup = "43///";
+    // Precipitation, weather, cloud base and visibility group: iRiXhVV
+    // iR 4 = precipitation omitted, iX 1 = present/past weather included, 3 = not observed
+    const weatherIndicator = isMissing(observation.presentWeather) || observation.presentWeather === '' ? "3" : "1";
+    const precipitationGroup = `4${weatherIndicator}${observerCode(observation.cloudBaseHeight)}${observerCode(observation.visibility, 2)}`;
     
-    // Cloud and wind group: /ddff (cloud omitted, wind direction in tens, wind speed in knots)
+    // Cloud and wind group: Nddff (total cloud, wind direction in tens, wind speed in the wind units)
+    // followed by 00fff when the wind speed is 99 units or more
+    const totalCloudCode = observerCode(observation.totalCloud);
     let cloudWindGroup;
     if (trueWindDirection !== null && trueWindSpeed !== null) {
         const windDirCode = Math.round(trueWindDirection / 10.0).toString().padStart(2, '0');
-        const windSpeedCode = trueWindSpeed < 100 ? Math.round(trueWindSpeed).toString().padStart(2, '0') : "//";
-        cloudWindGroup = `/${windDirCode}${windSpeedCode}`;
+        const { code: windSpeedCode, extension } = encodeWindSpeed(trueWindSpeed, observation.windUnits);
+        cloudWindGroup = `${totalCloudCode}${windDirCode}${windSpeedCode}`;
+        if (extension) {
+            cloudWindGroup += ` ${extension}`;
+        }
     } else {
-        cloudWindGroup = "/////";
+        cloudWindGroup = `${totalCloudCode}////`;
     }
     
-    // Water temperature group: 0 + 4/5 for sign + 3 digits for temperature in tenths
-    let tempCode;
-    if (waterTemp !== null) {
-        const tempAbs = Math.abs(waterTemp);
-        const sign = waterTemp >= 0 ? "4" : "5";
-        const tempTenths = Math.round(tempAbs * 10.0); // Convert degrees to tenths
-        tempCode = `0${sign}${tempTenths.toString().padStart(3, '0')}`;
-    } else {
-        tempCode = "0////";
-    }
+    // Air temperature, dew point, pressure and tendency groups: 1snTTT 2snTdTdTd 4PPPP 5appp
+    const airTempGroup = encodeTemperatureGroup("1", observation.airTemp);
+    const dewPointGroup = encodeTemperatureGroup("2", observation.dewPoint);
+    const pressureGroup = encodePressureGroup(observation.pressure);
+    const tendencyGroup = encodePressureTendencyGroup(observation.pressureTendency);
+    
+    // Weather and cloud groups from the observer: 7wwW1W2 8NhCLCMCH
+    const weatherGroup = encodePresentWeatherGroup(observation.presentWeather, observation.pastWeather1, observation.pastWeather2);
+    const cloudGroup = encodeCloudGroup(observation.lowCloudAmount, observation.lowCloud, observation.middleCloud, observation.highCloud);
+    
+    // Ship movement group: 222Dsvs (course octant and speed range)
+    const shipMovementGroup = encodeShipMovementGroup(observation.course, observation.speed);
+    
+    // Water temperature group: 0 + method/sign indicator + 3 digits for temperature in tenths
+    const tempCode = encodeWaterTemperatureGroup(waterTemp, observation.sstMethod);
+    
+    // Sea state groups: 2PwPwHwHw 3dw1dw1dw2dw2 4Pw1Pw1Hw1Hw1
+    const windWaveGroup = encodeWaveGroup("2", observation.windWavePeriod, observation.windWaveHeight);
+    const swellDirectionGroup = encodeSwellDirectionGroup(observation.swellDirection);
+    const swellGroup = encodeWaveGroup("4", observation.swellPeriod, observation.swellHeight);
+    
+    // Section 3 (regional) gust group: 333 911ff, only included when a gust was tracked
+    const gustGroup = encodeGustGroup("911", observation.gust, observation.windUnits);
+    const section3 = gustGroup ? ` 333 ${gustGroup}` : "";
     
     // Compose BBXX
-    const bbxx = `BBXX ${stationId} ${dayHour} ${latCode} ${lonCode} ${precipitationGroup} ${cloudWindGroup} 1//// 2//// 4//// 5//// 7//// 8//// 222// ${tempCode} 0//// 2//// 3//// 4//// 5//// 6//// 8//// ICE /////=`;
+    const bbxx = `BBXX ${stationId} ${dayHour} ${latCode} ${lonCode} ${precipitationGroup} ${cloudWindGroup} ${airTempGroup} ${dewPointGroup} ${pressureGroup} ${tendencyGroup} ${weatherGroup} ${cloudGroup} ${shipMovementGroup} ${tempCode} 0//// ${windWaveGroup} ${swellDirectionGroup} ${swellGroup} 5//// 6//// 8//// ICE /////${section3}=`;
     return bbxx;
 }
 
@@ -114,18 +424,36 @@ function decimalToDmStr(decimalDegrees, isLatitude = true) {
     return `${degFormat}°${minutes.toFixed(3).padStart(6, '0')}'${finalHemisphere}`;
 }
 
-function humanReadableReport(avgLat, avgLon, avgTwDir, avgTwSpeed, utcTime) {
+function humanReadableReport(avgLat, avgLon, avgTwDir, avgTwSpeed, utcTime, gustSpeed = null) {
     const latDm = decimalToDmStr(avgLat, true);
     const lonDm = decimalToDmStr(avgLon, false);
-    return `UTC: ${utcTime.toISOString().slice(0, 16).replace('T', ' ')}\n` +
-           `  Position: ${avgLat.toFixed(6)}, ${avgLon.toFixed(6)}\n` +
-           `           ${latDm}, ${lonDm}\n` +
-           `  True Wind: ${avgTwDir.toFixed(1)}° ${avgTwSpeed.toFixed(2)} knots`;
+    let report = `UTC: ${utcTime.toISOString().slice(0, 16).replace('T', ' ')}\n` +
+                 `  Position: ${avgLat.toFixed(6)}, ${avgLon.toFixed(6)}\n` +
+                 `           ${latDm}, ${lonDm}\n` +
+                 `  True Wind: ${avgTwDir.toFixed(1)}° ${avgTwSpeed.toFixed(2)} knots`;
+    if (gustSpeed !== null && gustSpeed !== undefined) {
+        report += `\n  Gust: ${gustSpeed.toFixed(1)} knots`;
+    }
+    return report;
 }
 
 module.exports = {
+    isMissing,
+    humidityToPercent,
     getBbxxQuadrant,
     generateBbxxReport,
+    encodeTemperatureGroup,
+    encodePressureGroup,
+    calculatePressureTendency,
+    encodePressureTendencyGroup,
+    encodePresentWeatherGroup,
+    encodeCloudGroup,
+    encodeWindSpeed,
+    encodeGustGroup,
+    encodeShipMovementGroup,
+    encodeWaterTemperatureGroup,
+    encodeWaveGroup,
+    encodeSwellDirectionGroup,
     decimalToDm,
     decimalToDmStr,
     humanReadableReport
@@ -0,0 +1,78 @@
+// Wind Corrections Module for SignalK Plugin
+// Corrects masthead apparent wind for heel, pitch and mast motion, and reduces wind speed to the 10 m reference height
+
+const { isMissing } = require('./weatherReport');
+
+const REFERENCE_HEIGHT_M = 10;
+
+// Roughness length of the open sea surface (WMO-No. 8)
+const SEA_ROUGHNESS_M = 0.0002;
+
+// Beyond this heel or pitch the cosine correction grows without bound and the reading is left as measured
+const MAX_TILT_RAD = Math.PI / 4;
+
+function getHeightReductionFactor(height, roughness = SEA_ROUGHNESS_M) {
+    /**
+     * Factor converting wind speed at the anemometer to the 10 m reference height with a logarithmic profile.
+     * Args:
+     *   height (number): Anemometer height above the sea surface in metres
+     *   roughness (number): Surface roughness length in metres
+     * Returns:
+     *   number: ln(10 / z0) / ln(height / z0), or 1 when the height is unknown or not above the surface
+     */
+    if (isMissing(height) || height <= roughness) {
+        return 1;
+    }
+    return Math.log(REFERENCE_HEIGHT_M / roughness) / Math.log(height / roughness);
+}
+
+function correctApparentWind({ angle, speed, roll = null, pitch = null, rollRate = null, pitchRate = null, height = null }) {
+    /**
+     * Correct a masthead apparent wind reading for the motion and tilt of the mast.
+     * Args (radians, metres and seconds; Signal K signs: roll positive to starboard, pitch positive bow up):
+     *   angle (number): Measured apparent wind angle (positive to starboard)
+     *   speed (number): Measured apparent wind speed in m/s
+     *   roll, pitch (number): Vessel attitude
+     *   rollRate, pitchRate (number): Rates of roll and pitch in rad/s
+     *   height (number): Anemometer height above the waterline in metres
+     * Returns:
+     *   object: { angle, speed, applied } where applied lists 'motion' and/or 'heel', or null if inputs are missing
+     */
+    if (isMissing(angle) || isMissing(speed)) {
+        return null;
+    }
+
+    // Wind components in the mast frame: from ahead and from starboard
+    let ahead = speed * Math.cos(angle);
+    let starboard = speed * Math.sin(angle);
+    const applied = [];
+
+    // A mast swinging to starboard (or aft) feels extra wind from starboard (or from astern)
+    if (!isMissing(height) && (!isMissing(rollRate) || !isMissing(pitchRate))) {
+        starboard -= (isMissing(rollRate) ? 0 : rollRate) * height;
+        ahead += (isMissing(pitchRate) ? 0 : pitchRate) * height;
+        applied.push('motion');
+    }
+
+    // A tilted anemometer only sees the horizontal wind component along its own axes
+    const heel = isMissing(roll) ? 0 : roll;
+    const trim = isMissing(pitch) ? 0 : pitch;
+    if ((!isMissing(roll) || !isMissing(pitch)) && Math.abs(heel) < MAX_TILT_RAD && Math.abs(trim) < MAX_TILT_RAD) {
+        starboard /= Math.cos(heel);
+        ahead /= Math.cos(trim);
+        applied.push('heel');
+    }
+
+    return {
+        angle: Math.atan2(starboard, ahead),
+        speed: Math.sqrt(ahead * ahead + starboard * starboard),
+        applied
+    };
+}
+
+module.exports = {
+    REFERENCE_HEIGHT_M,
+    SEA_ROUGHNESS_M,
+    getHeightReductionFactor,
+    correctApparentWind
+};
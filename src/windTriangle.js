@@ -0,0 +1,96 @@
+// Wind Triangle Module for SignalK Plugin
+// Converts apparent wind to true wind using the vessel's heading and motion over ground or through water
+
+const { isMissing } = require('./weatherReport');
+
+const WIND_REFERENCES = {
+    ground: 'Ground (COG/SOG)',
+    water: 'Water (heading/STW)'
+};
+
+function normalizeDegrees(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
+
+function toRadians(degrees) {
+    return (degrees * Math.PI) / 180;
+}
+
+function getTrueHeading({ headingTrue = null, headingMagnetic = null, headingCompass = null, variation = null, deviation = null } = {}) {
+    /**
+     * Resolve the vessel's true heading from whichever heading source is available.
+     * Args (degrees, easterly variation and deviation positive):
+     *   headingTrue (number): True heading
+     *   headingMagnetic (number): Magnetic heading (already corrected for deviation)
+     *   headingCompass (number): Compass heading (not corrected for deviation)
+     *   variation (number): Magnetic variation
+     *   deviation (number): Compass deviation (taken as 0 when unknown)
+     * Returns:
+     *   number: True heading in degrees, or null if it cannot be determined
+     */
+    if (!isMissing(headingTrue)) {
+        return normalizeDegrees(headingTrue);
+    }
+
+    // Magnetic headings are only usable once variation is known
+    if (isMissing(variation)) {
+        return null;
+    }
+    if (!isMissing(headingMagnetic)) {
+        return normalizeDegrees(headingMagnetic + variation);
+    }
+    if (!isMissing(headingCompass)) {
+        return normalizeDegrees(headingCompass + (isMissing(deviation) ? 0 : deviation) + variation);
+    }
+    return null;
+}
+
+function calculateTrueWind({ awa, aws, heading, reference = 'ground', cog = null, sog = null, stw = null }) {
+    /**
+     * Solve the wind triangle for true wind.
+     * Args:
+     *   awa (number): Apparent wind angle in degrees relative to the bow (positive to starboard)
+     *   aws (number): Apparent wind speed
+     *   heading (number): True heading in degrees
+     *   reference (string): ground (wind over the ground from COG/SOG) or water (wind over the water from heading/STW)
+     *   cog (number): Course over ground in degrees true (heading is used if unknown)
+     *   sog (number): Speed over ground, same units as aws
+     *   stw (number): Speed through water, same units as aws
+     * Returns:
+     *   object: { direction, speed } with the direction the true wind blows from, or null if inputs are missing
+     */
+    if (!WIND_REFERENCES[reference]) {
+        throw new Error(`Unknown wind reference: ${reference}`);
+    }
+    if (isMissing(awa) || isMissing(aws) || isMissing(heading)) {
+        return null;
+    }
+
+    let boatDirection;
+    let boatSpeed;
+    if (reference === 'water') {
+        boatDirection = heading;
+        boatSpeed = stw;
+    } else {
+        boatDirection = isMissing(cog) ? heading : cog;
+        boatSpeed = sog;
+    }
+    if (isMissing(boatSpeed)) {
+        return null;
+    }
+
+    // Air motion relative to the boat (blowing towards heading + awa + 180) plus the boat's own motion
+    const apparentFrom = toRadians(heading + awa);
+    const north = -aws * Math.cos(apparentFrom) + boatSpeed * Math.cos(toRadians(boatDirection));
+    const east = -aws * Math.sin(apparentFrom) + boatSpeed * Math.sin(toRadians(boatDirection));
+
+    const speed = Math.sqrt(north * north + east * east);
+    const direction = normalizeDegrees((Math.atan2(-east, -north) * 180) / Math.PI);
+    return { direction, speed };
+}
+
+module.exports = {
+    WIND_REFERENCES,
+    getTrueHeading,
+    calculateTrueWind
+};
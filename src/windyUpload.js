@@ -0,0 +1,200 @@
+// Windy Upload Module for SignalK Plugin
+// Uploads each observation to a Windy Stations weather station and keeps the station's position up to date
+
+const axios = require('axios');
+const { createDeliveryResult } = require('./noaaDelivery');
+const { isMissing, humidityToPercent } = require('./weatherReport');
+
+const WINDY_UPDATE_URL = 'https://stations.windy.com/pws/update';
+
+// The station's position is sent again once the vessel has moved this far from the last one Windy accepted
+const POSITION_UPDATE_DISTANCE_M = 500;
+
+const EARTH_RADIUS_M = 6371000;
+
+function knotsToMps(knots) {
+    return knots / 1.94384;
+}
+
+function round(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+function getDistance(from, to) {
+    /**
+     * Great circle distance in metres between two { lat, lon } positions.
+     */
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(to.lat - from.lat);
+    const dLon = toRad(to.lon - from.lon);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+function mapObservation(data, station) {
+    /**
+     * Map an averaged observation onto Windy's observation update parameters.
+     * Args:
+     *   data (object): Report data (wind in knots, temperatures in °C, MSL pressure in hPa)
+     *   station (string|number): Windy station ID
+     * Returns:
+     *   object: { station, dateutc, wind, gust, winddir, temp, dewpoint, humidity, pressure } in m/s, °, °C, % and Pa,
+     *           leaving out anything missing
+     */
+    const observation = {
+        station,
+        dateutc: data.utc_time.toISOString().slice(0, 19).replace('T', ' ')
+    };
+    const humidity = humidityToPercent(data.humidity);
+    const fields = {
+        wind: isMissing(data.true_wind_speed) ? null : round(knotsToMps(data.true_wind_speed), 1),
+        gust: data.gust && !isMissing(data.gust.speed) ? round(knotsToMps(data.gust.speed), 1) : null,
+        winddir: isMissing(data.true_wind_dir) ? null : Math.round(data.true_wind_dir) % 360,
+        temp: isMissing(data.air_temp) ? null : round(data.air_temp, 1),
+        dewpoint: isMissing(data.dew_point) ? null : round(data.dew_point, 1),
+        humidity: humidity === null ? null : Math.round(humidity),
+        pressure: isMissing(data.pressure_hpa) ? null : Math.round(data.pressure_hpa * 100)
+    };
+    for (const [key, value] of Object.entries(fields)) {
+        if (value !== null) {
+            observation[key] = value;
+        }
+    }
+    return observation;
+}
+
+function classifyWindyResponse(httpStatus, body = '') {
+    /**
+     * Classify Windy's answer to an upload.
+     * Returns:
+     *   object: Delivery result - accepted on a 2xx answer, a transport error on 5xx and 429, rejected otherwise
+     */
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    const detail = text ? `: ${text.slice(0, 200)}` : '';
+    if (httpStatus >= 200 && httpStatus < 300) {
+        return createDeliveryResult('accepted', { httpStatus, reason: 'confirmed', message: 'Accepted by Windy' });
+    }
+    if (httpStatus >= 500 || httpStatus === 429) {
+        return createDeliveryResult('transport_error', { httpStatus, reason: 'server_error', message: `Windy returned HTTP ${httpStatus}${detail}` });
+    }
+    const reasons = {
+        400: 'invalid_data',
+        401: 'invalid_api_key',
+        403: 'invalid_api_key',
+        409: 'too_frequent'
+    };
+    return createDeliveryResult('rejected', {
+        httpStatus,
+        reason: reasons[httpStatus] || (httpStatus >= 300 && httpStatus < 400 ? 'redirected' : 'bad_request'),
+        message: `Windy rejected the upload with HTTP ${httpStatus}${detail}`
+    });
+}
+
+function createWindyUploader(settings = {}, options = {}) {
+    /**
+     * Create an uploader for one Windy station.
+     * Args:
+     *   settings (object): stationId, apiKey, stationName, testMode (default true), anemometerHeight
+     *   options (object): url (Windy update address, for testing) and timeout (ms)
+     * Returns:
+     *   object: { upload, getStatus }
+     */
+    const station = /^\d+$/.test(String(settings.stationId)) ? Number(settings.stationId) : settings.stationId;
+    const testMode = settings.testMode !== false;
+    let lastPosition = null;
+    let lastDelivery = null;
+
+    function getStationUpdate(data) {
+        // Windy keeps a fixed position per station, so a moving vessel has to send its own
+        if (isMissing(data.lat) || isMissing(data.lon)) {
+            return null;
+        }
+        const position = { lat: data.lat, lon: data.lon };
+        if (lastPosition && getDistance(lastPosition, position) < POSITION_UPDATE_DISTANCE_M) {
+            return null;
+        }
+        const update = {
+            station,
+            lat: round(data.lat, 5),
+            lon: round(data.lon, 5),
+            elevation: 0
+        };
+        if (settings.stationName) {
+            update.name = settings.stationName;
+        }
+        if (!isMissing(settings.anemometerHeight)) {
+            update.windheight = settings.anemometerHeight;
+        }
+        return update;
+    }
+
+    async function upload(data) {
+        /**
+         * Upload one observation, with the station's position when the vessel has moved.
+         * Returns:
+         *   Promise<object>: Delivery result with status 'accepted', 'rejected', 'transport_error' or 'test',
+         *                    plus positionUpdated
+         */
+        const stationUpdate = getStationUpdate(data);
+        const body = {
+            observations: [mapObservation(data, station)]
+        };
+        if (stationUpdate) {
+            body.stations = [stationUpdate];
+        }
+
+        let result;
+        if (!settings.apiKey || isMissing(settings.stationId) || settings.stationId === '') {
+            result = createDeliveryResult('rejected', { reason: 'not_configured', message: 'Windy station ID and API key are required' });
+        } else if (testMode) {
+            console.log('\nWindy upload (test mode, not posted):');
+            console.log(JSON.stringify(body, null, 2));
+            result = createDeliveryResult('test', { message: 'Test mode - not uploaded to Windy' });
+        } else {
+            try {
+                // The API key is part of the address, so the address is never logged
+                const response = await axios.post(`${options.url || WINDY_UPDATE_URL}/${encodeURIComponent(settings.apiKey)}`, body, {
+                    headers: { 'Content-Type': 'application/json' },
+                    maxRedirects: 0,
+                    timeout: options.timeout || 30000,
+                    validateStatus: () => true
+                });
+                result = classifyWindyResponse(response.status, response.data);
+                console.log(`Windy upload status code: ${response.status} - ${result.status} (${result.reason})`);
+            } catch (error) {
+                console.error(`Error uploading to Windy: ${error.message}`);
+                result = createDeliveryResult('transport_error', { reason: error.code || 'network_error', message: error.message });
+            }
+        }
+
+        result.positionUpdated = !!stationUpdate && result.delivered;
+        if (result.positionUpdated) {
+            lastPosition = { lat: stationUpdate.lat, lon: stationUpdate.lon };
+        }
+        lastDelivery = result;
+        return result;
+    }
+
+    function getStatus() {
+        return {
+            stationId: settings.stationId,
+            testMode,
+            lastPosition,
+            lastDelivery
+        };
+    }
+
+    return {
+        upload,
+        getStatus
+    };
+}
+
+module.exports = {
+    WINDY_UPDATE_URL,
+    POSITION_UPDATE_DISTANCE_M,
+    mapObservation,
+    classifyWindyResponse,
+    createWindyUploader
+};
@@ -17,6 +17,22 @@ const requiredFiles = [
     'src/index.js',
     'src/signalkReader.js', 
     'src/weatherReport.js',
+    'src/bbxxParser.js',
+    'src/bufrReport.js',
+    'src/reportScheduler.js',
+    'src/windTriangle.js',
+    'src/qualityControl.js',
+    'src/windCorrections.js',
+    'src/pressureReduction.js',
+    'src/atomicFile.js',
+    'src/calibration.js',
+    'src/sensorFusion.js',
+    'src/outbox.js',
+    'src/noaaDelivery.js',
+    'src/windyUpload.js',
+    'src/aprsWeather.js',
+    'src/emailTransport.js',
+    'src/radioMail.js',
     'package.json'
 ];
 
@@ -64,7 +80,23 @@ console.log('\n🔤 Testing syntax...');
 const filesToCheck = [
     'src/index.js',
     'src/signalkReader.js',
-    'src/weatherReport.js'
+    'src/weatherReport.js',
+    'src/bbxxParser.js',
+    'src/bufrReport.js',
+    'src/reportScheduler.js',
+    'src/windTriangle.js',
+    'src/qualityControl.js',
+    'src/windCorrections.js',
+    'src/pressureReduction.js',
+    'src/atomicFile.js',
+    'src/calibration.js',
+    'src/sensorFusion.js',
+    'src/outbox.js',
+    'src/noaaDelivery.js',
+    'src/windyUpload.js',
+    'src/aprsWeather.js',
+    'src/emailTransport.js',
+    'src/radioMail.js'
 ];
 
 let syntaxErrors = 0;
@@ -1,4 +1,48 @@
-const { generateBbxxReport, decimalToDmStr, humanReadableReport } = require('./src/weatherReport');
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const {
+    generateBbxxReport,
+    decimalToDmStr,
+    humanReadableReport,
+    calculatePressureTendency,
+    encodePressureTendencyGroup,
+    encodeShipMovementGroup,
+    encodeWaterTemperatureGroup,
+    encodeGustGroup,
+    encodeWindSpeed
+} = require('./src/weatherReport');
+const { validateObserverEntry } = require('./src/observerCodes');
+const { findGust, createGustTracker } = require('./src/gustTracker');
+const { parseBbxx } = require('./src/bbxxParser');
+const { generateBufrReport, decodeBufr } = require('./src/bufrReport');
+const { getSamplingLeadTime, getNextSynopticTime } = require('./src/reportScheduler');
+const {
+    createSignalkBuffer,
+    collectBufferedData,
+    collectSample,
+    resolvePaths,
+    resolveMaxAges,
+    testSignalkPaths,
+    sendSignalkData
+} = require('./src/signalkReader');
+const { getTrueHeading, calculateTrueWind } = require('./src/windTriangle');
+const { circularVariance, qualityControl } = require('./src/qualityControl');
+const { getHeightReductionFactor, correctApparentWind } = require('./src/windCorrections');
+const { reduceToSeaLevel, getStationPressure } = require('./src/pressureReduction');
+const { createPressureRecorder } = require('./src/pressureHistory');
+const { writeFileAtomic } = require('./src/atomicFile');
+const { resolveCalibration, applyCalibration, suggestCalibration, createCalibrationLog } = require('./src/calibration');
+const { resolveSensorSettings, scoreSourceValues, combineReadings } = require('./src/sensorFusion');
+const { getRetryDelay, createOutbox } = require('./src/outbox');
+const { classifyFormResponse, createDeliveryResult } = require('./src/noaaDelivery');
+const { mapObservation, classifyWindyResponse, createWindyUploader } = require('./src/windyUpload');
+const { formatAprsLatitude, formatAprsLongitude, formatWeatherPacket, createAprsSender } = require('./src/aprsWeather');
+const { buildEmailMessage, sendMail } = require('./src/emailTransport');
+const { buildB2fMessage } = require('./src/radioMail');
 
 console.log('Testing WX NMEA SignalK Plugin Weather Report Functions');
 console.log('='.repeat(60));
@@ -74,9 +118,1509 @@ for (const test of quadrantTests) {
     console.log(`${test.desc} (${test.lat}, ${test.lon}): ${testBbxx.split(' ').slice(0, 5).join(' ')}...`);
 }
 
-console.log('\n✅ All tests completed successfully!');
-console.log('\nTo run this plugin:');
-console.log('1. npm run build');
-console.log('2. npm install');
-console.log('3. npm link (for development)');
-console.log('4. Install in SignalK server'); 
\ No newline at end of file
+// Test air temperature, dew point and pressure groups
+console.log('\n5. Testing Temperature and Pressure Groups:');
+const section1Tests = [
+    { observation: { airTemp: 25.3, dewPoint: 18.7, pressure: 1013.2 }, expected: '10253 20187 40132' },
+    { observation: { airTemp: -2.46, dewPoint: -5.0, pressure: 998.7 }, expected: '11025 21050 49987' },
+    { observation: { airTemp: 0, dewPoint: null, pressure: 1000.04 }, expected: '10000 2//// 40000' },
+    { observation: {}, expected: '1//// 2//// 4////' }
+];
+
+for (const test of section1Tests) {
+    const testBbxx = generateBbxxReport(
+        testData.trueWindDirection,
+        testData.trueWindSpeed,
+        testData.lat,
+        testData.lon,
+        testData.utcTime,
+        testData.stationId,
+        testData.waterTemp,
+        test.observation
+    );
+    const groups = testBbxx.split(' ').slice(7, 10).join(' ');
+    assert.strictEqual(groups, test.expected);
+    console.log(`${JSON.stringify(test.observation)}: ${groups}`);
+}
+
+// Test pressure tendency from a 3-hour barometer history
+console.log('\n6. Testing Pressure Tendency:');
+function pressureHistory(start, middle, end) {
+    // One reading every 10 minutes, linear within each half of the 3-hour period
+    const now = Date.parse('2024-01-15T12:00:00Z');
+    const readings = [];
+    for (let minutes = 180; minutes >= 0; minutes -= 10) {
+        const pressure = minutes >= 90
+            ? start + (middle - start) * (180 - minutes) / 90
+            : middle + (end - middle) * (90 - minutes) / 90;
+        readings.push({ time: now - minutes * 60 * 1000, pressure });
+    }
+    return { readings, now };
+}
+
+const tendencyTests = [
+    { history: [1010.0, 1012.0, 1011.0], expected: '50010', desc: 'Increasing, then decreasing' },
+    { history: [1010.0, 1012.0, 1012.1], expected: '51021', desc: 'Increasing, then steady' },
+    { history: [1010.0, 1011.2, 1012.5], expected: '52025', desc: 'Increasing steadily' },
+    { history: [1010.0, 1010.0, 1012.0], expected: '53020', desc: 'Steady, then increasing' },
+    { history: [1010.0, 1010.1, 1010.0], expected: '54000', desc: 'Steady' },
+    { history: [1012.0, 1010.0, 1011.0], expected: '55010', desc: 'Decreasing, then increasing' },
+    { history: [1012.0, 1010.0, 1009.9], expected: '56021', desc: 'Decreasing, then steady' },
+    { history: [1012.0, 1009.0, 1006.0], expected: '57060', desc: 'Decreasing steadily' },
+    { history: [1012.0, 1012.0, 1009.5], expected: '58025', desc: 'Steady, then decreasing' }
+];
+
+for (const test of tendencyTests) {
+    const { readings, now } = pressureHistory(...test.history);
+    const group = encodePressureTendencyGroup(calculatePressureTendency(readings, now));
+    assert.strictEqual(group, test.expected, test.desc);
+    console.log(`${test.desc} (${test.history.join(' -> ')} hPa): ${group}`);
+}
+
+// Less than 3 hours of history leaves the group blank
+const shortHistory = pressureHistory(1010.0, 1011.0, 1012.0);
+const partialReadings = shortHistory.readings.slice(6);
+assert.strictEqual(calculatePressureTendency(partialReadings, shortHistory.now), null);
+assert.strictEqual(encodePressureTendencyGroup(null), '5////');
+console.log('Partial history: 5////');
+
+// Test wind wave and swell groups in section 2
+console.log('\n7. Testing Wave and Swell Groups:');
+const seaStateTests = [
+    {
+        observation: { windWavePeriod: 6, windWaveHeight: 1.4, swellDirection: 268, swellPeriod: 10.4, swellHeight: 2.6 },
+        expected: '20603 327// 41005',
+        desc: 'Waves and swell'
+    },
+    { observation: { swellDirection: 357, swellHeight: 1.0 }, expected: '2//// 336// 4//02', desc: 'Swell from north, no period' },
+    { observation: { windWaveHeight: 0.6 }, expected: '2//01 3//// 4////', desc: 'Wind wave height only' },
+    { observation: {}, expected: '2//// 3//// 4////', desc: 'No sea state data' }
+];
+
+for (const test of seaStateTests) {
+    const testBbxx = generateBbxxReport(
+        testData.trueWindDirection,
+        testData.trueWindSpeed,
+        testData.lat,
+        testData.lon,
+        testData.utcTime,
+        testData.stationId,
+        testData.waterTemp,
+        test.observation
+    );
+    const parts = testBbxx.split(' ');
+    const section2Index = parts.indexOf('222//');
+    const groups = parts.slice(section2Index + 3, section2Index + 6).join(' ');
+    assert.strictEqual(groups, test.expected, test.desc);
+    console.log(`${test.desc}: ${groups}`);
+}
+
+// Test ship movement group and water temperature method indicator
+console.log('\n8. Testing Ship Movement and SST Method:');
+const movementTests = [
+    { course: 315, speed: 7.4, expected: '22272', desc: 'NW at 7 knots' },
+    { course: 2, speed: 41, expected: '22289', desc: 'N at 41 knots' },
+    { course: 100, speed: 0.3, expected: '22200', desc: 'Stationary' },
+    { course: null, speed: 5, expected: '222/1', desc: 'Unknown course' },
+    { course: null, speed: null, expected: '222//', desc: 'No movement data' }
+];
+
+for (const test of movementTests) {
+    const group = encodeShipMovementGroup(test.course, test.speed);
+    assert.strictEqual(group, test.expected, test.desc);
+    console.log(`${test.desc}: ${group}`);
+}
+
+const sstTests = [
+    { temp: 22.5, method: 'intake', expected: '00225' },
+    { temp: -1.2, method: 'intake', expected: '01012' },
+    { temp: 18.0, method: 'bucket', expected: '02180' },
+    { temp: 22.5, method: 'hull', expected: '04225' },
+    { temp: -0.5, method: 'hull', expected: '05005' },
+    { temp: 9.9, method: 'other', expected: '06099' },
+    { temp: null, method: 'hull', expected: '0////' }
+];
+
+for (const test of sstTests) {
+    const group = encodeWaterTemperatureGroup(test.temp, test.method);
+    assert.strictEqual(group, test.expected, `${test.method} ${test.temp}`);
+    console.log(`${test.temp}°C (${test.method}): ${group}`);
+}
+
+// Test observer entry for visibility, weather and cloud groups
+console.log('\n9. Testing Observer Entry Groups:');
+const observerEntry = validateObserverEntry({
+    visibility: '95',
+    cloudBaseHeight: '6',
+    totalCloud: '6',
+    presentWeather: '63',
+    pastWeather1: '6',
+    pastWeather2: '2',
+    lowCloudAmount: '3',
+    lowCloud: '9',
+    middleCloud: '',
+    highCloud: '0'
+});
+assert.deepStrictEqual(observerEntry.errors, []);
+
+const observerBbxx = generateBbxxReport(
+    testData.trueWindDirection,
+    testData.trueWindSpeed,
+    testData.lat,
+    testData.lon,
+    testData.utcTime,
+    testData.stationId,
+    testData.waterTemp,
+    observerEntry.codes
+).split(' ');
+assert.strictEqual(observerBbxx[5], '41695');
+assert.strictEqual(observerBbxx[6], '62716');
+assert.strictEqual(observerBbxx[11], '76362');
+assert.strictEqual(observerBbxx[12], '839/0');
+console.log(`With observer entry: ${observerBbxx.slice(5, 7).join(' ')} ... ${observerBbxx.slice(11, 13).join(' ')}`);
+
+// Without an observer entry the groups stay omitted
+assert.deepStrictEqual(bbxx.split(' ').slice(5, 7), ['43///', '/2716']);
+assert.deepStrictEqual(bbxx.split(' ').slice(11, 13), ['7////', '8////']);
+console.log(`Without observer entry: ${bbxx.split(' ').slice(5, 7).join(' ')} ... 7//// 8////`);
+
+const invalidEntry = validateObserverEntry({ visibility: '42', sunshine: '1' });
+assert.strictEqual(invalidEntry.errors.length, 2);
+const prototypeEntry = validateObserverEntry({ visibility: 'toString', constructor: '1' });
+assert.deepStrictEqual(prototypeEntry.codes, {}, 'Inherited object keys are not codes');
+assert.strictEqual(prototypeEntry.errors.length, 2);
+console.log(`Invalid entry rejected: ${invalidEntry.errors.join('; ')}`);
+
+// Test gust tracking and the section 3 gust group
+console.log('\n10. Testing Gust Tracking:');
+const gustNow = Date.parse('2024-01-15T14:30:00Z');
+const gustBuffer = createSignalkBuffer({}, 2, { retainMinutes: 10 });
+const windDelta = (speedMps, minutesBefore) => gustBuffer.handleDelta({ updates: [{ values: [
+    { path: 'navigation.headingTrue', value: 0 },
+    { path: 'navigation.speedOverGround', value: 0 },
+    { path: 'environment.wind.angleApparent', value: (275 * Math.PI) / 180 },
+    { path: 'environment.wind.speedApparent', value: speedMps }
+] }] }, gustNow - minutesBefore * 60 * 1000);
+windDelta(8, 12);
+windDelta(20, 11); // Outside the 10 minute window
+windDelta(8, 11 - 3 / 60);
+windDelta(18, 8); // One second only: an instantaneous peak, not a gust
+windDelta(8, 8 - 1 / 60);
+windDelta(12.66, 4); // Three seconds
+windDelta(8, 4 - 3 / 60);
+const gustTracker = createGustTracker(gustBuffer, 10);
+const trackedGust = gustTracker.getGust(gustNow);
+assert.ok(Math.abs(trackedGust.speed - 12.66 * 1.94384) < 1e-6, 'Highest 3-second mean');
+assert.strictEqual(Math.round(trackedGust.direction), 275);
+assert.strictEqual(trackedGust.time.getTime(), gustNow - 4 * 60 * 1000 + 2000, 'Time of the last second of the gust');
+assert.strictEqual(findGust([{ time: 0, speed: 30, direction: 0 }, { time: 1000, speed: 10, direction: 0 }, { time: 2000, speed: 11, direction: 0 }], 2000).speed, 17);
+assert.strictEqual(findGust([{ time: 0, speed: 30, direction: 0 }], 0), null, 'No gust from a single reading');
+assert.strictEqual(createGustTracker(createSignalkBuffer({}, 2, { retainMinutes: 10 }), 10).getGust(gustNow), null, 'No gust without wind');
+console.log(`Highest gust in last 10 minutes: ${trackedGust.speed.toFixed(1)} knots from ${trackedGust.direction.toFixed(0)}°`);
+
+assert.strictEqual(encodeGustGroup('911', 24.6), '91125');
+assert.strictEqual(encodeGustGroup('911', null), null);
+const gustBbxx = generateBbxxReport(
+    testData.trueWindDirection,
+    testData.trueWindSpeed,
+    testData.lat,
+    testData.lon,
+    testData.utcTime,
+    testData.stationId,
+    testData.waterTemp,
+    { gust: trackedGust.speed }
+);
+assert.ok(gustBbxx.endsWith('ICE ///// 333 91125='));
+assert.ok(bbxx.endsWith('ICE /////='));
+console.log(`Section 3: ${gustBbxx.slice(gustBbxx.indexOf('333'))}`);
+
+const gustReport = humanReadableReport(testData.lat, testData.lon, 270, 15.5, testData.utcTime, trackedGust.speed);
+assert.ok(gustReport.endsWith('Gust: 24.6 knots'));
+
+// Test storm winds (00fff supplementary group) and m/s wind units through the decoder
+console.log('\n11. Testing Storm Winds and Wind Units:');
+assert.deepStrictEqual(encodeWindSpeed(98.4), { code: '98', extension: null });
+assert.deepStrictEqual(encodeWindSpeed(98.6), { code: '99', extension: '00099' });
+assert.deepStrictEqual(encodeWindSpeed(120.2), { code: '99', extension: '00120' });
+assert.deepStrictEqual(encodeWindSpeed(20, 'mps'), { code: '10', extension: null });
+
+const windUnitTests = [
+    { speed: 15.5, gust: 24.6, units: 'knots', expected: { indicator: 4, speed: 16, gust: 25 } },
+    { speed: 112.3, gust: 131.0, units: 'knots', expected: { indicator: 4, speed: 112, gust: 131 } },
+    { speed: 15.5, gust: 24.6, units: 'mps', expected: { indicator: 1, speed: 8, gust: 13 } },
+    { speed: 200.0, gust: 230.0, units: 'mps', expected: { indicator: 1, speed: 103, gust: 118 } }
+];
+
+for (const test of windUnitTests) {
+    const message = generateBbxxReport(
+        testData.trueWindDirection,
+        test.speed,
+        testData.lat,
+        testData.lon,
+        testData.utcTime,
+        testData.stationId,
+        testData.waterTemp,
+        { gust: test.gust, windUnits: test.units }
+    );
+    const { valid, decoded } = parseBbxx(message);
+    assert.ok(valid, message);
+    assert.strictEqual(decoded.windIndicator, test.expected.indicator);
+    assert.strictEqual(decoded.windDirection, testData.trueWindDirection);
+    assert.strictEqual(decoded.windSpeed, test.expected.speed);
+    assert.strictEqual(decoded.gust, test.expected.gust);
+    assert.strictEqual(decoded.airTemperature, undefined);
+    console.log(`${test.speed} kts gusting ${test.gust} (${test.units}): ${message.split(' ').slice(2, 3)} ${message.split(' ').slice(6, 8).join(' ')} ... ${message.slice(message.indexOf('333'))}`);
+}
+
+// Test the BBXX parser on a full report and on malformed messages
+console.log('\n12. Testing BBXX Parser:');
+const fullBbxx = generateBbxxReport(
+    testData.trueWindDirection,
+    testData.trueWindSpeed,
+    testData.lat,
+    testData.lon,
+    testData.utcTime,
+    testData.stationId,
+    testData.waterTemp,
+    {
+        ...observerEntry.codes,
+        airTemp: 25.3,
+        dewPoint: 18.7,
+        pressure: 998.7,
+        pressureTendency: { characteristic: 7, change: -2.4 },
+        course: 315,
+        speed: 7.4,
+        windWavePeriod: 6,
+        windWaveHeight: 1.4,
+        swellDirection: 268,
+        swellPeriod: 10.4,
+        swellHeight: 2.6,
+        gust: 24.6
+    }
+);
+const parsed = parseBbxx(fullBbxx);
+assert.ok(parsed.valid, parsed.errors.join('; '));
+assert.deepStrictEqual(parsed.warnings, []);
+assert.strictEqual(parsed.decoded.stationId, testData.stationId);
+assert.strictEqual(parsed.decoded.day, 15);
+assert.strictEqual(parsed.decoded.hour, 14);
+assert.strictEqual(parsed.decoded.latitude, 28.1);
+assert.strictEqual(parsed.decoded.longitude, -112.7);
+assert.strictEqual(parsed.decoded.visibility, '95');
+assert.strictEqual(parsed.decoded.totalCloud, 6);
+assert.strictEqual(parsed.decoded.windSpeed, 16);
+assert.strictEqual(parsed.decoded.airTemperature, 25.3);
+assert.strictEqual(parsed.decoded.dewPoint, 18.7);
+assert.strictEqual(parsed.decoded.pressure, 998.7);
+assert.deepStrictEqual(parsed.decoded.pressureTendency, { characteristic: 7, change: -2.4 });
+assert.strictEqual(parsed.decoded.presentWeather, '63');
+assert.strictEqual(parsed.decoded.shipCourse, 'NW');
+assert.strictEqual(parsed.decoded.waterTemperature, 22.5);
+assert.strictEqual(parsed.decoded.waterTemperatureMethod, 'hull contact sensor');
+assert.deepStrictEqual(parsed.decoded.windWaves, { period: 6, height: 1.5 });
+assert.strictEqual(parsed.decoded.swellDirection, 270);
+assert.deepStrictEqual(parsed.decoded.swell, { period: 10, height: 2.5 });
+assert.strictEqual(parsed.decoded.gust, 25);
+assert.strictEqual(parsed.groups.length, fullBbxx.replace(/=$/, '').split(' ').length - 1); // ICE and its group form one entry
+console.log(`Full report decoded: ${parsed.groups.length} groups, ${parsed.errors.length} errors, ${parsed.warnings.length} warnings`);
+
+const malformedTests = [
+    { message: '', desc: 'Empty message' },
+    { message: 'BBXX 9RM2K7C 15144', desc: 'Truncated message' },
+    { message: fullBbxx.replace('BBXX', 'AAXX'), desc: 'Wrong message type' },
+    { message: fullBbxx.replace(' 99281 ', ' 99981 '), desc: 'Latitude out of range' },
+    { message: fullBbxx.replace(' 71127 ', ' 21127 '), desc: 'Invalid quadrant' },
+    { message: fullBbxx.replace(' 10253 ', ' 1025X '), desc: 'Corrupt air temperature' },
+    { message: fullBbxx.replace(' 22272 ', ' '), desc: 'Missing section 2' }
+];
+
+for (const test of malformedTests) {
+    const result = parseBbxx(test.message);
+    assert.strictEqual(result.valid, false, test.desc);
+    assert.ok(result.errors.length > 0, test.desc);
+    console.log(`${test.desc}: ${result.errors[0]}`);
+}
+
+const unterminated = parseBbxx(fullBbxx.replace(/=$/, ''));
+assert.ok(unterminated.valid);
+assert.deepStrictEqual(unterminated.warnings, ['Message should end with =']);
+console.log(`Missing terminator: warning "${unterminated.warnings[0]}"`);
+
+// Test BUFR encoding with a decoder round trip
+console.log('\n13. Testing BUFR Encoding:');
+const bufrObservation = {
+    lat: testData.lat,
+    lon: testData.lon,
+    utc_time: testData.utcTime,
+    true_wind_dir: 232,
+    true_wind_speed: 16.2,
+    water_temp: 22.5,
+    air_temp: 25.3,
+    dew_point: 18.7,
+    humidity: 0.67,
+    pressure_hpa: 998.7,
+    pressure_tendency: { characteristic: 7, change: -2.4 },
+    cog_deg: 315,
+    sog_knots: 7.4,
+    wave_period: 6,
+    wave_height: 1.4,
+    swell_dir: 268,
+    swell_period: 10.4,
+    swell_height: 2.6,
+    gust: { speed: 24.6, direction: 240, windowMinutes: 10 },
+    observer: observerEntry.codes
+};
+const bufr = generateBufrReport(bufrObservation, testData.stationId, { sstMethod: 'bucket' });
+assert.strictEqual(bufr.toString('ascii', 0, 4), 'BUFR');
+assert.strictEqual(bufr.toString('ascii', bufr.length - 4), '7777');
+assert.strictEqual(bufr.readUIntBE(4, 3), bufr.length);
+
+const decodedBufr = decodeBufr(bufr);
+const bufrValues = decodedBufr.values;
+assert.strictEqual(decodedBufr.edition, 4);
+assert.strictEqual(decodedBufr.category, 1);
+assert.strictEqual(bufrValues.stationId, testData.stationId);
+assert.deepStrictEqual(
+    [bufrValues.year, bufrValues.month, bufrValues.day, bufrValues.hour, bufrValues.minute],
+    [2024, 1, 15, 14, 30]
+);
+assert.strictEqual(bufrValues.latitude, testData.lat);
+assert.strictEqual(bufrValues.longitude, testData.lon);
+assert.strictEqual(bufrValues.windDirection, 232);
+assert.strictEqual(bufrValues.windSpeed, 8.3); // 16.2 knots
+assert.strictEqual(bufrValues.gust, 12.7); // 24.6 knots
+assert.strictEqual(bufrValues.gustPeriod, -10);
+assert.strictEqual(bufrValues.airTemperature, 298.45);
+assert.strictEqual(bufrValues.dewPoint, 291.85);
+assert.strictEqual(bufrValues.relativeHumidity, 67);
+assert.strictEqual(bufrValues.pressureMsl, 99870);
+assert.strictEqual(bufrValues.pressureChange, -240);
+assert.strictEqual(bufrValues.pressureTendency, 7);
+assert.strictEqual(bufrValues.shipDirection, 315);
+assert.strictEqual(bufrValues.shipSpeed, 4);
+assert.strictEqual(bufrValues.sstMethod, 1);
+assert.strictEqual(bufrValues.waterTemperature, 295.65);
+assert.strictEqual(bufrValues.swellDirection, 268);
+assert.strictEqual(bufrValues.swellHeight, 2.6);
+assert.strictEqual(bufrValues.visibility, 2000);
+assert.strictEqual(bufrValues.totalCloud, 75);
+assert.strictEqual(bufrValues.presentWeather, 63);
+
+// Section 3 is the ship template; the decoder expands it and reads every element in section 4
+assert.deepStrictEqual(decodedBufr.descriptors, ['308009']);
+assert.deepStrictEqual([...bufr.subarray(37, 39)], [0xc8, 0x09]);
+assert.deepStrictEqual(
+    decodedBufr.elements.slice(0, 13).map(e => e.descriptor),
+    ['001011', '001012', '001013', '002001', '004001', '004002', '004003', '004004', '004005', '005001', '006001', '007030', '007031']
+);
+assert.strictEqual(decodedBufr.elements.length, 99);
+assert.strictEqual(bufrValues.cloudLayers, 0);
+assert.strictEqual(bufrValues.gustDirection, 240);
+assert.deepStrictEqual(decodedBufr.elements.filter(e => e.descriptor === '011041').map(e => e.value), [12.7, null]);
+assert.deepStrictEqual(decodedBufr.elements.filter(e => e.descriptor === '022023').map(e => e.value), [2.6, null], 'Second swell system missing');
+assert.ok(decodedBufr.elements.filter(e => e.name === null).every(e => e.value === null), 'Unobserved template elements are missing');
+const otherTemplate = Buffer.from(bufr);
+otherTemplate[37] = 0xc1; // 3 01 011 (date only)
+otherTemplate[38] = 11;
+assert.throws(() => decodeBufr(otherTemplate), /does not match its descriptors/);
+console.log(`BUFR message: ${bufr.length} bytes, template ${decodedBufr.descriptors[0]} expanded to ${decodedBufr.elements.length} elements`);
+
+// Quantities without a sensor are encoded as missing
+const sparseBufr = decodeBufr(generateBufrReport({
+    lat: testData.lat,
+    lon: testData.lon,
+    utc_time: testData.utcTime,
+    true_wind_dir: 232,
+    true_wind_speed: 16.2,
+    water_temp: null
+}, testData.stationId));
+assert.strictEqual(sparseBufr.values.windDirection, 232);
+assert.strictEqual(sparseBufr.values.waterTemperature, null);
+assert.strictEqual(sparseBufr.values.sstMethod, null);
+assert.strictEqual(sparseBufr.values.gust, null);
+assert.strictEqual(sparseBufr.values.presentWeather, null);
+console.log('Missing quantities decode as null');
+
+assert.throws(() => decodeBufr(Buffer.from('not a bufr message')), /Not a BUFR message/);
+assert.throws(() => decodeBufr(bufr.subarray(0, bufr.length - 1)), /length or end section/);
+console.log('Malformed BUFR messages are rejected');
+
+// Test report scheduling at the synoptic hours
+console.log('\n14. Testing Synoptic Scheduling:');
+const leadTime = getSamplingLeadTime(3, 5);
+assert.strictEqual(leadTime, 75 * 1000);
+
+const scheduleTests = [
+    { now: '2024-01-15T14:30:00Z', schedule: 'main', expected: '2024-01-15T18:00:00.000Z' },
+    { now: '2024-01-15T14:30:00Z', schedule: 'intermediate', expected: '2024-01-15T15:00:00.000Z' },
+    { now: '2024-01-15T14:30:00Z', schedule: 'hourly', expected: '2024-01-15T15:00:00.000Z' },
+    { now: '2024-01-15T21:10:00Z', schedule: 'main', expected: '2024-01-16T00:00:00.000Z' },
+    { now: '2024-01-15T17:58:00Z', schedule: 'main', expected: '2024-01-15T18:00:00.000Z' },
+    { now: '2024-01-15T17:59:00Z', schedule: 'main', expected: '2024-01-16T00:00:00.000Z' }, // Too late to sample for 18Z
+    { now: '2024-01-15T18:00:00Z', schedule: 'intermediate', expected: '2024-01-15T21:00:00.000Z' }
+];
+
+for (const test of scheduleTests) {
+    const next = getNextSynopticTime(test.schedule, leadTime, new Date(test.now).getTime());
+    assert.strictEqual(next.toISOString(), test.expected, `${test.schedule} at ${test.now}`);
+    console.log(`${test.schedule.padEnd(12)} at ${test.now.slice(11, 16)}Z: next report ${test.expected.slice(0, 16).replace('T', ' ')}Z, sampling from ${new Date(next.getTime() - leadTime).toISOString().slice(11, 19)}Z`);
+}
+assert.throws(() => getNextSynopticTime('weekly'), /Unknown report schedule/);
+
+// Observation finishes just before the hour, but YYGG carries the nominal synoptic hour
+const synopticReport = generateBbxxReport(
+    testData.trueWindDirection,
+    testData.trueWindSpeed,
+    testData.lat,
+    testData.lon,
+    new Date('2024-01-15T23:58:45Z'),
+    testData.stationId,
+    testData.waterTemp,
+    { synopticTime: new Date('2024-01-16T00:00:00Z') }
+);
+assert.strictEqual(synopticReport.split(' ')[2], '16004');
+console.log(`Observation at 23:58:45Z reported for 00Z: ${synopticReport.split(' ').slice(0, 3).join(' ')}`);
+
+// Test subscription buffering and window averaging
+console.log('\n15. Testing Subscription Buffer:');
+let deltaCallback = null;
+let unsubscribed = false;
+const subscribingApp = {
+    subscriptionmanager: {
+        subscribe: (subscription, unsubscribes, onError, onDelta) => {
+            assert.strictEqual(subscription.context, 'vessels.self');
+            assert.ok(subscription.subscribe.some(s => s.path === 'environment.wind.speedApparent'));
+            unsubscribes.push(() => { unsubscribed = true; });
+            deltaCallback = onDelta;
+        }
+    }
+};
+// Values are sent once and held here, so the age limits are switched off
+const noAgeLimits = {};
+for (const quantity of Object.keys(resolveMaxAges())) {
+    noAgeLimits[quantity] = 0;
+}
+const signalkBuffer = createSignalkBuffer(subscribingApp, 10, { maxAge: noAgeLimits });
+assert.strictEqual(signalkBuffer.start(), true);
+assert.strictEqual(typeof deltaCallback, 'function');
+assert.strictEqual(createSignalkBuffer({ getSelfPath: () => null }).start(), false);
+
+const bufferStart = new Date('2024-01-15T14:20:00Z').getTime();
+const update = (values) => ({ updates: [{ $source: 'test.1', values }] });
+signalkBuffer.handleDelta(update([
+    { path: 'navigation.position', value: { latitude: testData.lat, longitude: testData.lon } },
+    { path: 'navigation.headingTrue', value: 0 },
+    { path: 'navigation.speedOverGround', value: 0 },
+    { path: 'environment.outside.pressure', value: 101320 }
+]), bufferStart - 60 * 1000);
+
+// Calm beam wind for the first half of the window, then twice as strong
+signalkBuffer.handleDelta(update([
+    { path: 'environment.wind.angleApparent', value: Math.PI / 2 },
+    { path: 'environment.wind.speedApparent', value: 5 }
+]), bufferStart);
+signalkBuffer.handleDelta(update([
+    { path: 'environment.wind.speedApparent', value: 10 }
+]), bufferStart + 5 * 60 * 1000);
+
+const buffered = collectBufferedData(signalkBuffer, testData.stationId, {}, bufferStart + 10 * 60 * 1000);
+assert.ok(buffered, 'Buffered observation should be generated');
+assert.strictEqual(buffered.window.samples, 600);
+assert.strictEqual(buffered.window.end.toISOString(), '2024-01-15T14:30:00.000Z');
+assert.strictEqual(Math.round(buffered.true_wind_dir), 90);
+assert.ok(Math.abs(buffered.true_wind_speed - 7.5 * 1.94384) < 0.05, 'Time-weighted mean of 5 and 10 m/s');
+assert.strictEqual(buffered.pressure_hpa.toFixed(1), '1013.2');
+assert.ok(buffered.bbxx.startsWith('BBXX 9RM2K7C 15144'));
+console.log(`10-minute mean: ${buffered.true_wind_speed.toFixed(1)} knots from ${buffered.true_wind_dir.toFixed(0)}° (${buffered.window.samples} samples)`);
+
+// Old values drop out of the ring buffer once they leave the window
+signalkBuffer.handleDelta(update([
+    { path: 'environment.wind.speedApparent', value: 10 }
+]), bufferStart + 30 * 60 * 1000);
+const laterWindow = collectBufferedData(signalkBuffer, testData.stationId, {}, bufferStart + 30 * 60 * 1000);
+assert.strictEqual(laterWindow.true_wind_speed.toFixed(2), (10 * 1.94384).toFixed(2));
+console.log(`Later window: ${laterWindow.true_wind_speed.toFixed(1)} knots`);
+
+signalkBuffer.stop();
+assert.ok(unsubscribed);
+assert.strictEqual(collectBufferedData(signalkBuffer, testData.stationId), null);
+console.log('Unsubscribed and buffer cleared on stop');
+
+// Test the wind triangle
+console.log('\n16. Testing Wind Triangle:');
+const closeTo = (actual, expected, tolerance, message) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected}, got ${actual}`);
+};
+
+// Beam reach: heading north at 6 knots, apparent wind 10 knots on the starboard beam
+const beamReach = calculateTrueWind({ awa: 90, aws: 10, heading: 0, cog: 0, sog: 6 });
+closeTo(beamReach.speed, Math.sqrt(136), 0.001, 'Beam reach speed');
+closeTo(beamReach.direction, 180 - Math.atan2(10, 6) * 180 / Math.PI, 0.001, 'Beam reach direction');
+console.log(`Beam reach: AWA 90° 10 kts at 6 kts -> ${beamReach.direction.toFixed(1)}° ${beamReach.speed.toFixed(1)} kts`);
+
+// Running: heading 090 at 6 knots with 8 knots apparent from astern
+const running = calculateTrueWind({ awa: 180, aws: 8, heading: 90, cog: 90, sog: 6 });
+closeTo(running.speed, 14, 0.001, 'Running speed');
+closeTo(running.direction, 270, 0.001, 'Running direction');
+console.log(`Running: AWA 180° 8 kts at 6 kts -> ${running.direction.toFixed(1)}° ${running.speed.toFixed(1)} kts`);
+
+// Port side apparent wind mirrors the starboard case
+const portBeam = calculateTrueWind({ awa: -90, aws: 10, heading: 0, cog: 0, sog: 6 });
+closeTo(portBeam.direction, 360 - beamReach.direction, 0.001, 'Port beam reach direction');
+
+// With a current setting the boat sideways, ground and water references differ
+const overGround = calculateTrueWind({ awa: 0, aws: 10, heading: 0, cog: 90, sog: 2, stw: 0 });
+const overWater = calculateTrueWind({ awa: 0, aws: 10, heading: 0, reference: 'water', cog: 90, sog: 2, stw: 0 });
+closeTo(overWater.speed, 10, 0.001, 'Water-referenced speed');
+closeTo(overWater.direction, 0, 0.001, 'Water-referenced direction');
+closeTo(overGround.speed, Math.sqrt(104), 0.001, 'Ground-referenced speed');
+closeTo(overGround.direction, 360 - Math.atan2(2, 10) * 180 / Math.PI, 0.001, 'Ground-referenced direction');
+console.log(`Drifting in a 2 kt easterly set: ground ${overGround.direction.toFixed(1)}° ${overGround.speed.toFixed(1)} kts, water ${overWater.direction.toFixed(1)}° ${overWater.speed.toFixed(1)} kts`);
+
+assert.strictEqual(calculateTrueWind({ awa: 90, aws: 10, heading: 0, reference: 'water', sog: 6 }), null);
+assert.throws(() => calculateTrueWind({ awa: 90, aws: 10, heading: 0, reference: 'air', sog: 6 }), /Unknown wind reference/);
+
+// True heading from magnetic and compass headings
+assert.strictEqual(getTrueHeading({ headingTrue: 45, headingMagnetic: 30, variation: 10 }), 45);
+assert.strictEqual(getTrueHeading({ headingMagnetic: 355, variation: 12 }), 7);
+assert.strictEqual(getTrueHeading({ headingMagnetic: 10, variation: -15 }), 355);
+assert.strictEqual(getTrueHeading({ headingCompass: 100, deviation: -3, variation: 8 }), 105);
+assert.strictEqual(getTrueHeading({ headingCompass: 100, variation: 8 }), 108);
+assert.strictEqual(getTrueHeading({ headingMagnetic: 100 }), null); // Variation unknown
+console.log('True heading: magnetic 355° + 12°E = 7°, compass 100° - 3° dev + 8°E = 105°');
+
+// Test source priority and pinned sources
+(async () => {
+    console.log('\n17. Testing Source Selection:');
+    const selfData = {
+        'navigation.headingTrue': { value: 0, $source: 'nmea0183.HC' },
+        'navigation.speedOverGround': { value: 3, $source: 'nmea0183.GP' },
+        'navigation.courseOverGroundTrue': { value: 0, $source: 'nmea0183.GP' },
+        'environment.wind.angleApparent': { value: Math.PI / 2, $source: 'nmea0183.WI' },
+        'environment.wind.speedApparent': {
+            value: 8,
+            $source: 'nmea0183.WI',
+            values: {
+                'nmea0183.WI': { value: 8 },
+                'can0.115': { value: 10 }
+            }
+        },
+        'environment.wind.directionTrue': { value: Math.PI, $source: 'can0.115' },
+        'environment.wind.speedOverGround': { value: 9, $source: 'can0.115' }
+    };
+    const sourceApp = {
+        getSelfPath: (path) => {
+            const [, base, leaf] = path.match(/^(.*?)(\.value)?$/);
+            const node = selfData[base];
+            return node ? (leaf ? node.value : node) : undefined;
+        }
+    };
+
+    // Instrument true wind is used when present
+    const instrumentSample = await collectSample(sourceApp, false);
+    assert.strictEqual(instrumentSample.true_wind_source, 'signalk');
+    assert.strictEqual(Math.round(instrumentSample.true_wind_dir), 180);
+    assert.strictEqual(instrumentSample.true_wind_speed.toFixed(2), (9 * 1.94384).toFixed(2));
+    console.log(`Signal K true wind: ${instrumentSample.true_wind_dir.toFixed(0)}° ${instrumentSample.true_wind_speed.toFixed(1)} kts`);
+
+    // ...unless the plugin is told to calculate it
+    const calculatedSample = await collectSample(sourceApp, false, { sourcePriority: { trueWind: 'calculated' } });
+    assert.strictEqual(calculatedSample.true_wind_source, 'calculated');
+    closeTo(calculatedSample.true_wind_speed, Math.sqrt(8 * 8 + 3 * 3) * 1.94384, 0.001, 'Calculated true wind speed');
+    console.log(`Calculated true wind: ${calculatedSample.true_wind_dir.toFixed(0)}° ${calculatedSample.true_wind_speed.toFixed(1)} kts`);
+
+    // Pinning a $source reads that device's value rather than the preferred one
+    const pinnedSample = await collectSample(sourceApp, false, {
+        sourcePriority: { trueWind: 'calculated' },
+        sources: [{ path: 'environment.wind.speedApparent', source: 'can0.115' }]
+    });
+    assert.strictEqual(pinnedSample.aws_mps, 10);
+    const missingPin = await collectSample(sourceApp, false, {
+        sources: [{ path: 'navigation.headingTrue', source: 'can0.200' }]
+    });
+    assert.strictEqual(missingPin.true_heading_deg, null);
+    console.log(`Pinned can0.115 apparent wind: ${pinnedSample.aws_mps} m/s (preferred source has 8 m/s)`);
+
+    // The subscription buffer drops updates from other sources for a pinned path
+    const pinnedBuffer = createSignalkBuffer({}, 10, { sources: [{ path: 'environment.wind.speedApparent', source: 'can0.115' }] });
+    const pinnedStart = new Date('2024-01-15T14:20:00Z').getTime();
+    pinnedBuffer.handleDelta({ updates: [{ $source: 'can0.115', values: [{ path: 'environment.wind.speedApparent', value: 10 }] }] }, pinnedStart);
+    pinnedBuffer.handleDelta({ updates: [{ $source: 'nmea0183.WI', values: [{ path: 'environment.wind.speedApparent', value: 8 }] }] }, pinnedStart + 1000);
+    assert.strictEqual(pinnedBuffer.getLatest('environment.wind.speedApparent').value, 10);
+    assert.strictEqual(pinnedBuffer.getLatest('environment.wind.speedApparent').source, 'can0.115');
+    console.log('Buffer ignores nmea0183.WI updates for the pinned path');
+
+    // Test path mapping
+    console.log('\n18. Testing Path Mapping:');
+    const mappedPaths = resolvePaths({ airTemperature: ' environment.outside.airTemperature ', waterTemperature: '' });
+    assert.strictEqual(mappedPaths.airTemperature, 'environment.outside.airTemperature');
+    assert.strictEqual(mappedPaths.waterTemperature, 'environment.water.temperature'); // Empty keeps the default
+    assert.strictEqual(mappedPaths.windAngleApparent, 'environment.wind.angleApparent');
+
+    const mappedApp = {
+        getSelfPath: (path) => ({
+            'environment.outside.airTemperature.value': 298.45,
+            'environment.outside.temperature.value': 273.15,
+            'environment.water.temperature.surface.value': 295.65
+        })[path]
+    };
+    const mappedSample = await collectSample(mappedApp, false, {
+        paths: { airTemperature: 'environment.outside.airTemperature', waterTemperature: 'environment.water.temperature.surface' }
+    });
+    assert.strictEqual(mappedSample.air_temp.toFixed(1), '25.3');
+    assert.strictEqual(mappedSample.water_temp.toFixed(1), '22.5');
+    console.log(`Mapped air ${mappedSample.air_temp.toFixed(1)}°C from environment.outside.airTemperature, sea ${mappedSample.water_temp.toFixed(1)}°C from environment.water.temperature.surface`);
+
+    let mappedSubscription = null;
+    const mappedBuffer = createSignalkBuffer({
+        subscriptionmanager: { subscribe: (subscription) => { mappedSubscription = subscription; } }
+    }, 10, { paths: { airTemperature: 'environment.outside.airTemperature' } });
+    mappedBuffer.start();
+    const subscribedPaths = mappedSubscription.subscribe.map(s => s.path);
+    assert.ok(subscribedPaths.includes('environment.outside.airTemperature'));
+    assert.ok(!subscribedPaths.includes('environment.outside.temperature'));
+
+    const checkTime = new Date('2024-01-15T14:30:00Z').getTime();
+    const pathStatus = testSignalkPaths({
+        getSelfPath: (path) => path === 'environment.outside.airTemperature'
+            ? { value: 298.45, $source: 'ws.1', timestamp: '2024-01-15T14:29:45.000Z' }
+            : undefined
+    }, { airTemperature: 'environment.outside.airTemperature' }, checkTime);
+    const airStatus = pathStatus.find(p => p.quantity === 'airTemperature');
+    assert.deepStrictEqual(airStatus, {
+        quantity: 'airTemperature',
+        title: 'Air temperature',
+        path: 'environment.outside.airTemperature',
+        value: 298.45,
+        source: 'ws.1',
+        timestamp: '2024-01-15T14:29:45.000Z',
+        ageSeconds: 15,
+        maxAgeSeconds: 900,
+        stale: false
+    });
+    assert.strictEqual(pathStatus.find(p => p.quantity === 'pressure').value, null);
+    console.log(`Path test: ${pathStatus.length} quantities, air temperature ${airStatus.value} K from ${airStatus.source}, ${airStatus.ageSeconds} s old`);
+
+    // Test stale data rejection
+    console.log('\n19. Testing Stale Data:');
+    const maxAges = resolveMaxAges({ waterTemperature: 300, windSpeedApparent: 0 });
+    assert.strictEqual(maxAges.waterTemperature, 300);
+    assert.strictEqual(maxAges.windSpeedApparent, 0);
+    assert.strictEqual(maxAges.windAngleApparent, 60);
+    assert.strictEqual(maxAges.magneticVariation, 0);
+
+    // Polling: the wind instrument dropped off the bus an hour ago
+    const staleNow = Date.now();
+    const ago = (seconds) => new Date(staleNow - seconds * 1000).toISOString();
+    const staleSelf = {
+        'navigation.position': { value: { latitude: testData.lat, longitude: testData.lon }, timestamp: ago(1) },
+        'navigation.headingTrue': { value: 0, timestamp: ago(1) },
+        'navigation.speedOverGround': { value: 3, timestamp: ago(1) },
+        'environment.wind.angleApparent': { value: Math.PI / 2, timestamp: ago(3600) },
+        'environment.wind.speedApparent': { value: 8, timestamp: ago(3600) },
+        'environment.water.temperature': { value: 295.65, timestamp: ago(10) }
+    };
+    const staleSample = await collectSample({ getSelfPath: (path) => staleSelf[path] }, false);
+    assert.strictEqual(staleSample.awa, null);
+    assert.strictEqual(staleSample.true_wind_speed, null);
+    assert.strictEqual(staleSample.water_temp.toFixed(1), '22.5');
+    assert.deepStrictEqual(Object.keys(staleSample.stale), ['windAngleApparent', 'windSpeedApparent']);
+    assert.strictEqual(staleSample.stale.windSpeedApparent.ageSeconds, 3600);
+    console.log(`Stale: ${staleSample.stale.windSpeedApparent.reason}`);
+
+    // Subscriptions: an old sea temperature is encoded as slashes and listed in the metadata
+    const staleBuffer = createSignalkBuffer({}, 10);
+    const staleStart = new Date('2024-01-15T14:20:00Z').getTime();
+    staleBuffer.handleDelta({ updates: [{
+        timestamp: new Date(staleStart).toISOString(),
+        values: [
+            { path: 'navigation.position', value: { latitude: testData.lat, longitude: testData.lon } },
+            { path: 'navigation.headingTrue', value: 0 },
+            { path: 'navigation.speedOverGround', value: 3 },
+            { path: 'environment.wind.angleApparent', value: Math.PI / 2 },
+            { path: 'environment.wind.speedApparent', value: 8 }
+        ]
+    }] }, staleStart);
+    staleBuffer.handleDelta({ updates: [{
+        timestamp: new Date(staleStart - 2 * 60 * 60 * 1000).toISOString(), // Resent by the server with its original time
+        values: [{ path: 'environment.water.temperature', value: 295.65 }]
+    }] }, staleStart);
+    const staleReport = collectBufferedData(staleBuffer, testData.stationId, {}, staleStart + 60 * 1000);
+    assert.strictEqual(staleReport.water_temp, null);
+    assert.ok(staleReport.bbxx.includes(' 0//// 0//// '), staleReport.bbxx);
+    assert.deepStrictEqual(staleReport.stale.map(s => s.quantity), ['waterTemperature']);
+    assert.strictEqual(staleReport.stale[0].maxAgeSeconds, 900);
+    console.log(`Report metadata: ${staleReport.stale[0].reason}`);
+
+    const stalePathStatus = testSignalkPaths({ getSelfPath: (path) => staleSelf[path] }, {}, staleNow);
+    assert.strictEqual(stalePathStatus.find(p => p.quantity === 'windSpeedApparent').stale, true);
+    assert.strictEqual(stalePathStatus.find(p => p.quantity === 'headingTrue').stale, false);
+
+    // Pressure history: a barometer that stopped reporting must not feed the tendency
+    const historyNow = Date.parse('2024-03-15T14:00:00Z');
+    const stalePressureSelf = { 'environment.outside.pressure': { value: 101000, timestamp: '2024-03-15T13:30:00Z' } };
+    const staleRecorder = createPressureRecorder({ getSelfPath: (path) => stalePressureSelf[path] }, 60, 'environment.outside.pressure',
+        { maxAge: { pressure: 900 } });
+    staleRecorder.record(historyNow);
+    assert.strictEqual(staleRecorder.getReadings().length, 0, 'Stale barometer reading not recorded');
+    stalePressureSelf['environment.outside.pressure'].timestamp = '2024-03-15T13:59:00Z';
+    staleRecorder.record(historyNow);
+    assert.strictEqual(staleRecorder.getReadings().length, 1, 'Fresh barometer reading recorded');
+    const unlimitedRecorder = createPressureRecorder({ getSelfPath: () => ({ value: 101000, timestamp: '2024-03-15T10:00:00Z' }) }, 60,
+        'environment.outside.pressure', { maxAge: { pressure: 0 } });
+    unlimitedRecorder.record(historyNow);
+    assert.strictEqual(unlimitedRecorder.getReadings().length, 1, 'Maximum age 0 means no limit');
+    console.log('Stale barometer readings are left out of the pressure history');
+    console.log('\n20. Testing Quality Control:');
+    closeTo(circularVariance([350, 10, 0]), 0.01, 0.01, 'Steady wind across north has low circular variance');
+    closeTo(circularVariance([0, 90, 180, 270]), 1, 1e-9, 'Opposed directions have circular variance 1');
+
+    const qcSamples = [];
+    for (let i = 0; i < 10; i++) {
+        qcSamples.push({ true_wind_dir: 270, true_wind_speed: 15, aws: 12, water_temp: 150, pressure_hpa: 1013 });
+    }
+    qcSamples[3].true_wind_speed = 60;
+    qcSamples[6].aws = -4;
+    const qcResult = qualityControl(qcSamples);
+    assert.strictEqual(qcResult.passed, false);
+    assert.deepStrictEqual(qcResult.failed, ['water_temp']);
+    assert.strictEqual(qcResult.samples[3].true_wind_speed, null);
+    assert.strictEqual(qcResult.samples[6].aws, null);
+    assert.strictEqual(qcResult.samples[0].water_temp, null);
+    assert.strictEqual(qcSamples[3].true_wind_speed, 60, 'Input samples are not modified');
+    assert.deepStrictEqual(qcResult.flags.map(f => `${f.field}:${f.check}`),
+        ['true_wind_speed:spike', 'aws:range', 'water_temp:range', 'water_temp:valid-ratio']);
+    qcResult.flags.forEach(f => console.log(`${f.check}: ${f.message}`));
+
+    // Veering through every quadrant gives no meaningful mean direction, so the wind is blanked
+    const shiftyWind = [0, 90, 180, 270, 45, 135, 225, 315].map(dir => ({ true_wind_dir: dir, true_wind_speed: 10 }));
+    const shiftyResult = qualityControl(shiftyWind);
+    assert.deepStrictEqual(shiftyResult.failed.sort(), ['true_wind_dir', 'true_wind_speed']);
+    assert.strictEqual(shiftyResult.flags[0].check, 'direction-variance');
+    assert.strictEqual(qualityControl(shiftyWind.map(s => ({ ...s, true_wind_speed: 1 }))).passed, true, 'Calm wind direction is not checked');
+    assert.strictEqual(qualityControl(shiftyWind, { maxDirectionVariance: 1 }).passed, true);
+
+    // Humidity arrives as the Signal K ratio, so its limits are ratios too
+    const humiditySamples = [0.71, 0.72, 0.7, 0.71, 0.2, 0.72, 0.71, 1.4, 0.7, 0.71].map(humidity => ({ humidity }));
+    const humidityResult = qualityControl(humiditySamples);
+    assert.deepStrictEqual(humidityResult.flags.map(f => `${f.field}:${f.check}`), ['humidity:range', 'humidity:spike']);
+    assert.strictEqual(humidityResult.samples[4].humidity, null, 'Humidity spike rejected');
+    assert.strictEqual(humidityResult.samples[7].humidity, null, 'Humidity above 100 % rejected');
+    assert.strictEqual(humidityResult.samples[0].humidity, 0.71, 'Ordinary humidity ratio kept');
+
+    // A gateway publishing percent is read as the same ratio, so QC, dew point and reports agree
+    const percentSelf = { 'environment.outside.temperature': 298.15, 'environment.outside.relativeHumidity': 67 };
+    const percentApp = { getSelfPath: (path) => path.endsWith('.value') ? percentSelf[path.slice(0, -6)] : undefined };
+    const percentSample = await collectSample(percentApp, false);
+    closeTo(percentSample.humidity, 0.67, 1e-9, 'Percent humidity read as a ratio');
+    percentSelf['environment.outside.relativeHumidity'] = 0.67;
+    closeTo(percentSample.dew_point, (await collectSample(percentApp, false)).dew_point, 1e-9, 'Same dew point from percent and ratio');
+    assert.strictEqual(qualityControl([percentSample, percentSample, percentSample]).passed, true, 'Percent source passes QC');
+
+    // A one-second gust of nonsense and an impossible sea temperature in a buffered window
+    const qcBuffer = createSignalkBuffer({}, 10);
+    const qcStart = new Date('2024-01-15T14:20:00Z').getTime();
+    const qcDelta = (values, offsetSeconds) => qcBuffer.handleDelta({ updates: [{
+        timestamp: new Date(qcStart + offsetSeconds * 1000).toISOString(),
+        values
+    }] }, qcStart + offsetSeconds * 1000);
+    qcDelta([
+        { path: 'navigation.position', value: { latitude: testData.lat, longitude: testData.lon } },
+        { path: 'navigation.headingTrue', value: 0 },
+        { path: 'navigation.speedOverGround', value: 0 },
+        { path: 'environment.wind.angleApparent', value: Math.PI / 2 },
+        { path: 'environment.wind.speedApparent', value: 8 },
+        { path: 'environment.water.temperature', value: 330 }
+    ], 0);
+    qcDelta([{ path: 'environment.wind.speedApparent', value: 40 }], 30);
+    qcDelta([{ path: 'environment.wind.speedApparent', value: 8 }], 31);
+    const qcReport = collectBufferedData(qcBuffer, testData.stationId, {}, qcStart + 60 * 1000);
+    closeTo(qcReport.true_wind_speed, 8 * 1.94384, 1e-6, 'Spike rejected before averaging');
+    assert.strictEqual(qcReport.water_temp, null);
+    assert.ok(qcReport.bbxx.includes(' 0//// 0//// '), qcReport.bbxx);
+    assert.strictEqual(qcReport.qc.passed, false);
+    assert.deepStrictEqual(qcReport.qc.failed, ['water_temp']);
+    assert.ok(qcReport.qc.flags.some(f => f.field === 'true_wind_speed' && f.check === 'spike' && f.rejected === 1));
+    console.log(`QC flags: ${qcReport.qc.flags.map(f => `${f.field} ${f.check}`).join(', ')}`);
+
+    // No barometer reading in the window, so a recorded tendency has no pressure to go with
+    const noPressureReport = collectBufferedData(qcBuffer, testData.stationId,
+        { pressureTendency: { characteristic: 7, change: -2.4 } }, qcStart + 60 * 1000);
+    assert.strictEqual(noPressureReport.pressure_hpa, null);
+    assert.strictEqual(noPressureReport.pressure_tendency, null, 'Tendency dropped without pressure');
+    assert.ok(!noPressureReport.bbxx.includes(' 57024'), noPressureReport.bbxx);
+
+    console.log('\n21. Testing Wind Height and Motion Corrections:');
+    assert.strictEqual(getHeightReductionFactor(10), 1);
+    assert.strictEqual(getHeightReductionFactor(null), 1);
+    closeTo(getHeightReductionFactor(20), Math.log(50000) / Math.log(100000), 1e-12, '20 m masthead reduced with a log profile');
+    console.log(`10 m factor for a 20 m masthead: ${getHeightReductionFactor(20).toFixed(3)}`);
+
+    const rad = (deg) => (deg * Math.PI) / 180;
+    const beamHeel = correctApparentWind({ angle: rad(90), speed: 10, roll: rad(20) });
+    closeTo(beamHeel.speed, 10 / Math.cos(rad(20)), 1e-9, 'Heeled anemometer under-reads a beam wind');
+    closeTo(beamHeel.angle, rad(90), 1e-9, 'Beam wind stays on the beam');
+    assert.deepStrictEqual(beamHeel.applied, ['heel']);
+    const closeHauled = correctApparentWind({ angle: rad(45), speed: 10, roll: rad(30) });
+    closeTo(closeHauled.angle * 180 / Math.PI, Math.atan(1 / Math.cos(rad(30))) * 180 / Math.PI, 1e-9, 'Heel widens the apparent wind angle');
+    const rolling = correctApparentWind({ angle: 0, speed: 10, rollRate: 0.1, height: 20 });
+    closeTo(rolling.angle * 180 / Math.PI, -Math.atan(2 / 10) * 180 / Math.PI, 1e-9, 'Mast swinging to starboard adds wind from starboard');
+    assert.deepStrictEqual(rolling.applied, ['motion']);
+    assert.deepStrictEqual(correctApparentWind({ angle: rad(90), speed: 10, roll: rad(60) }).applied, [], 'Knockdown left uncorrected');
+    assert.strictEqual(correctApparentWind({ angle: null, speed: 10 }), null);
+
+    // Buffered: a 20 m masthead heeled 0.2 rad on a stationary boat
+    const motionBuffer = createSignalkBuffer({}, 10, { anemometerHeight: 20 });
+    const motionStart = new Date('2024-01-15T14:20:00Z').getTime();
+    const motionDelta = (values, offsetSeconds) => motionBuffer.handleDelta({ updates: [{
+        timestamp: new Date(motionStart + offsetSeconds * 1000).toISOString(),
+        values
+    }] }, motionStart + offsetSeconds * 1000);
+    motionDelta([
+        { path: 'navigation.position', value: { latitude: testData.lat, longitude: testData.lon } },
+        { path: 'navigation.headingTrue', value: 0 },
+        { path: 'navigation.speedOverGround', value: 0 },
+        { path: 'environment.wind.angleApparent', value: Math.PI / 2 },
+        { path: 'environment.wind.speedApparent', value: 8 },
+        { path: 'navigation.attitude', value: { roll: 0.2, pitch: 0, yaw: 0 } }
+    ], 0);
+    motionDelta([{ path: 'navigation.attitude', value: { roll: 0.2, pitch: 0, yaw: 0 } }], 1);
+    const motionReport = collectBufferedData(motionBuffer, testData.stationId, {}, motionStart + 60 * 1000);
+    closeTo(motionReport.true_wind_speed, (8 / Math.cos(0.2)) * 1.94384 * getHeightReductionFactor(20), 1e-6, 'Heel and height corrected true wind');
+    assert.deepStrictEqual(motionReport.wind_corrections.applied.sort(), ['heel', 'height', 'motion']);
+    assert.strictEqual(motionReport.wind_corrections.anemometerHeight, 20);
+    console.log(`Corrected wind: ${motionReport.true_wind_speed.toFixed(2)} knots (${motionReport.wind_corrections.applied.join(', ')})`);
+
+    // Polling has no rates, and the motion correction can be switched off
+    const heeledSelf = {
+        'navigation.position': { value: { latitude: testData.lat, longitude: testData.lon } },
+        'navigation.headingTrue': { value: 0 },
+        'navigation.speedOverGround': { value: 0 },
+        'environment.wind.angleApparent': { value: Math.PI / 2 },
+        'environment.wind.speedApparent': { value: 8 },
+        'navigation.attitude': { value: { roll: 0.2, pitch: 0.05, yaw: 0 } }
+    };
+    const heeledSample = await collectSample({ getSelfPath: (path) => heeledSelf[path] }, false);
+    assert.deepStrictEqual(heeledSample.wind_corrections.applied, ['heel']);
+    const uncorrectedSample = await collectSample({ getSelfPath: (path) => heeledSelf[path] }, false, { motionCorrection: false });
+    assert.deepStrictEqual(uncorrectedSample.wind_corrections.applied, []);
+    closeTo(uncorrectedSample.aws, 8 * 1.94384, 1e-9, 'Measured apparent wind kept without motion correction');
+
+    console.log('\n22. Testing Sea Level Pressure Reduction:');
+    assert.strictEqual(reduceToSeaLevel(1010, 0, 20), 1010);
+    assert.strictEqual(reduceToSeaLevel(null, 5, 20), null);
+    const expectedMslp = 1010 * Math.exp(9.80665 * 8 / (287.05 * (20 + 273.15 + 0.0065 * 4)));
+    closeTo(reduceToSeaLevel(1010, 8, 20), expectedMslp, 1e-9, 'Hypsometric reduction from 8 m');
+    closeTo(reduceToSeaLevel(1010, 8, 20) - 1010, 0.94, 0.01, 'About 0.12 hPa per metre');
+    assert.ok(reduceToSeaLevel(1010, -2, 20) < 1010, 'Barometer below the sea surface reads high');
+    assert.ok(reduceToSeaLevel(1010, 8, null) > reduceToSeaLevel(1010, 8, 30), 'Standard 15 °C without air temperature');
+    assert.strictEqual(getStationPressure(101000, -0.8), 1009.2);
+    console.log(`1010.0 hPa at 8 m and 20 °C: ${reduceToSeaLevel(1010, 8, 20).toFixed(2)} hPa MSL`);
+
+    const barometerSelf = {
+        'navigation.position': { value: { latitude: testData.lat, longitude: testData.lon } },
+        'navigation.headingTrue': { value: 0 },
+        'navigation.speedOverGround': { value: 3 },
+        'environment.outside.temperature': { value: 293.15 },
+        'environment.outside.pressure': { value: 101000 }
+    };
+    const barometerApp = { getSelfPath: (path) => path.endsWith('.value') ? (barometerSelf[path.slice(0, -6)] || {}).value : barometerSelf[path] };
+    const barometerSample = await collectSample(barometerApp, false, { barometerHeight: 8, pressureOffset: 0.5 });
+    closeTo(barometerSample.station_pressure_hpa, 1010.5, 1e-9, 'Calibration offset applied to station pressure');
+    closeTo(barometerSample.pressure_hpa, reduceToSeaLevel(1010.5, 8, 20), 1e-9, 'Report pressure reduced to sea level');
+
+    const reducedReport = generateBbxxReport(270, 15, testData.lat, testData.lon, testData.utcTime, testData.stationId, null,
+        { pressure: barometerSample.pressure_hpa });
+    assert.ok(reducedReport.includes(' 40114 '), reducedReport); // 1010.5 hPa station pressure would be 40105
+
+    const reducingRecorder = createPressureRecorder(barometerApp, 60, 'environment.outside.pressure', { barometerHeight: 8, pressureOffset: 0.5 });
+    reducingRecorder.record(Date.now());
+    const [historyReading] = reducingRecorder.getReadings();
+    closeTo(historyReading.stationPressure, 1010.5, 1e-9, 'History keeps station pressure');
+    closeTo(historyReading.pressure, barometerSample.pressure_hpa, 1e-9, 'History tendency uses sea level pressure');
+    console.log(`History: station ${historyReading.stationPressure.toFixed(1)} hPa, MSL ${historyReading.pressure.toFixed(1)} hPa`);
+
+    console.log('\n23. Testing Sensor Calibration:');
+    const calibration = resolveCalibration({ windAngleApparent: 3, windSpeedApparent: 1.05, waterTemperature: -0.5 }, 0.8);
+    assert.strictEqual(calibration.windAngleApparent, 3);
+    assert.strictEqual(calibration.windSpeedTrue, 1, 'Speed multipliers default to 1');
+    assert.strictEqual(calibration.airTemperature, 0, 'Offsets default to 0');
+    assert.strictEqual(calibration.pressure, 0.8, 'Pressure uses the barometer offset');
+    closeTo(applyCalibration('windAngleApparent', Math.PI / 2, calibration), (93 * Math.PI) / 180, 1e-12, 'Vane offset added');
+    closeTo(applyCalibration('windSpeedApparent', 10, calibration), 10.5, 1e-12, 'Speed multiplied');
+    closeTo(applyCalibration('waterTemperature', 295.65, calibration), 295.15, 1e-9, 'Offset in Kelvin');
+    closeTo(applyCalibration('pressure', 101000, calibration), 101080, 1e-9, 'Offset in hPa applied to Pa');
+    assert.strictEqual(applyCalibration('position', { latitude: 1 }, calibration).latitude, 1, 'Uncalibrated quantities untouched');
+
+    // Calibration is applied before the wind triangle
+    const calibrationSelf = {
+        'navigation.position': { value: { latitude: testData.lat, longitude: testData.lon } },
+        'navigation.headingTrue': { value: 0 },
+        'navigation.speedOverGround': { value: 0 },
+        'environment.wind.angleApparent': { value: (87 * Math.PI) / 180 },
+        'environment.wind.speedApparent': { value: 8 },
+        'environment.water.temperature': { value: 295.65 }
+    };
+    const calibratedSample = await collectSample({ getSelfPath: (path) => calibrationSelf[path] }, false, {
+        calibration: { windAngleApparent: 3, waterTemperature: -0.5 }
+    });
+    closeTo(calibratedSample.awa, 90, 1e-9, 'Calibrated apparent wind angle');
+    closeTo(calibratedSample.true_wind_dir, 90, 1e-9, 'True wind from calibrated apparent wind');
+    closeTo(calibratedSample.water_temp, 22, 1e-9, 'Calibrated sea temperature');
+
+    const calibratedBuffer = createSignalkBuffer({}, 10, { calibration: { windSpeedApparent: 1.1 } });
+    const calibrationStart = new Date('2024-01-15T14:20:00Z').getTime();
+    calibratedBuffer.handleDelta({ updates: [{
+        timestamp: new Date(calibrationStart).toISOString(),
+        values: [
+            { path: 'navigation.position', value: { latitude: testData.lat, longitude: testData.lon } },
+            { path: 'navigation.headingTrue', value: 0 },
+            { path: 'navigation.speedOverGround', value: 0 },
+            { path: 'environment.wind.angleApparent', value: Math.PI / 2 },
+            { path: 'environment.wind.speedApparent', value: 10 }
+        ]
+    }] }, calibrationStart);
+    const calibratedReport = collectBufferedData(calibratedBuffer, testData.stationId, {}, calibrationStart + 60 * 1000);
+    closeTo(calibratedReport.true_wind_speed, 11 * 1.94384, 1e-6, 'Buffered values calibrated');
+
+    // Suggestions from reference comparisons
+    const vaneSuggestion = suggestCalibration('windAngleApparent', [
+        { reference: 2, measured: 358 },
+        { reference: 92, measured: 88 }
+    ]);
+    assert.strictEqual(vaneSuggestion.suggested, 4, 'Angle differences wrap through north');
+    assert.strictEqual(vaneSuggestion.setting, 'calibration.windAngleApparent');
+    assert.strictEqual(suggestCalibration('windSpeedApparent', [{ reference: 11, measured: 10 }, { reference: 21, measured: 20 }]).suggested, 1.067);
+    const barometerSuggestion = suggestCalibration('pressure', [{ reference: 1013.0, measured: 1012.4 }]);
+    assert.strictEqual(barometerSuggestion.suggested, 0.6);
+    assert.strictEqual(barometerSuggestion.setting, 'pressureOffset');
+    assert.strictEqual(suggestCalibration('waterTemperature', []), null);
+
+    const comparisonFile = path.join(os.tmpdir(), `calibration-test-${process.pid}.json`);
+    const comparisonLog = createCalibrationLog(comparisonFile);
+    comparisonLog.add({ quantity: 'waterTemperature', time: new Date(), reference: 21.5, measured: 22.0 });
+    comparisonLog.add({ quantity: 'waterTemperature', time: new Date(), reference: 18.1, measured: 18.7 });
+    const reloadedLog = createCalibrationLog(comparisonFile);
+    assert.strictEqual(reloadedLog.list('waterTemperature').length, 2, 'Comparisons are saved');
+    assert.ok(!fs.existsSync(`${comparisonFile}.tmp`), 'Temporary file renamed into place');
+    assert.strictEqual(reloadedLog.suggest('waterTemperature').suggested, -0.55);
+    reloadedLog.clear('waterTemperature');
+    assert.strictEqual(createCalibrationLog(comparisonFile).list().length, 0);
+    fs.unlinkSync(comparisonFile);
+
+    const atomicFile = path.join(os.tmpdir(), `atomic-test-${process.pid}.txt`);
+    writeFileAtomic(atomicFile, 'first');
+    writeFileAtomic(atomicFile, 'second');
+    assert.strictEqual(fs.readFileSync(atomicFile, 'utf8'), 'second', 'Old file replaced');
+    assert.ok(!fs.existsSync(`${atomicFile}.tmp`), 'No temporary file left behind');
+    assert.throws(() => writeFileAtomic(path.join(atomicFile, 'missing-directory', 'file.txt'), 'x'), /ENOTDIR|ENOENT/);
+    fs.unlinkSync(atomicFile);
+    console.log(`Suggested sea temperature offset: ${comparisonLog.suggest('waterTemperature').suggested} °C`);
+
+    console.log('\n24. Testing Redundant Sensors:');
+    const meanSettings = resolveSensorSettings({ method: 'mean' });
+    const twoProbes = combineReadings('waterTemperature', [
+        { source: 'hull.1', value: 295.15, score: 1 },
+        { source: 'intake.2', value: 296.15, score: 1 }
+    ], meanSettings);
+    closeTo(twoProbes.value, 295.65, 1e-9, 'Mean of two probes');
+    closeTo(twoProbes.spread, 1, 1e-9, 'Spread in °C');
+    assert.strictEqual(twoProbes.disagreement, false, 'Spread at the threshold is not flagged');
+    assert.deepStrictEqual(twoProbes.sources.map(s => s.used), [true, true]);
+
+    const weighted = combineReadings('windSpeedApparent', [
+        { source: 'masthead', value: 10, score: 1 },
+        { source: 'backup', value: 6, score: 1 }
+    ], resolveSensorSettings({ method: 'mean', weights: [{ source: 'masthead', weight: 3 }] }));
+    closeTo(weighted.value, 9, 1e-9, 'Weighted mean');
+    assert.strictEqual(weighted.disagreement, true, '4 m/s (7.8 knots) apart');
+
+    const acrossNorth = combineReadings('headingTrue', [
+        { source: 'gps.compass', value: (359 * Math.PI) / 180, score: 1 },
+        { source: 'fluxgate', value: (3 * Math.PI) / 180, score: 1 }
+    ], meanSettings);
+    closeTo(acrossNorth.value, (1 * Math.PI) / 180, 1e-9, 'Circular mean across north');
+    closeTo(acrossNorth.spread, 4, 1e-9, 'Angular spread across north');
+    const westOfNorth = combineReadings('headingTrue', [
+        { source: 'gps.compass', value: (355 * Math.PI) / 180, score: 1 },
+        { source: 'fluxgate', value: (1 * Math.PI) / 180, score: 1 }
+    ], meanSettings);
+    closeTo(westOfNorth.value, (358 * Math.PI) / 180, 1e-9, 'Circular mean west of north stays within 0 to 2π');
+
+    const best = combineReadings('waterTemperature', [
+        { source: 'hull.1', value: 295.15, score: 0.5 },
+        { source: 'intake.2', value: 296.15, score: 1 }
+    ], resolveSensorSettings({ method: 'best' }));
+    assert.strictEqual(best.value, 296.15, 'Best QC score wins');
+    assert.deepStrictEqual(best.sources.map(s => s.used), [false, true]);
+    closeTo(scoreSourceValues('waterTemperature', [295, 295.2, 400]), 2 / 3, 1e-9, 'Out-of-range values lower the score');
+    assert.strictEqual(scoreSourceValues('headingTrue', [0.1]), 1);
+
+    // Polling reads every source from the path's values
+    const redundantSelf = {
+        'navigation.position': { value: { latitude: testData.lat, longitude: testData.lon } },
+        'navigation.headingTrue': { value: 0 },
+        'navigation.speedOverGround': { value: 3 },
+        'environment.water.temperature': {
+            value: 400,
+            $source: 'broken.3',
+            values: {
+                'hull.1': { value: 295.15, timestamp: new Date().toISOString() },
+                'broken.3': { value: 400, timestamp: new Date().toISOString() }
+            }
+        }
+    };
+    const bestSample = await collectSample({ getSelfPath: (path) => redundantSelf[path] }, false, { sensors: { method: 'best' } });
+    closeTo(bestSample.water_temp, 22, 1e-9, 'Probe outside the QC range is not used');
+    assert.deepStrictEqual(Object.keys(bestSample.sensors), ['waterTemperature']);
+    const latestSample = await collectSample({ getSelfPath: (path) => redundantSelf[path] }, false);
+    assert.strictEqual(latestSample.water_temp, 400 - 273.15, 'Latest value by default');
+
+    // Buffered: two probes that have drifted apart are averaged and flagged
+    const redundantBuffer = createSignalkBuffer({}, 10, { sensors: { method: 'mean' } });
+    const redundantStart = new Date('2024-01-15T14:20:00Z').getTime();
+    const redundantDelta = ($source, values) => redundantBuffer.handleDelta({ updates: [{
+        $source,
+        timestamp: new Date(redundantStart).toISOString(),
+        values
+    }] }, redundantStart);
+    redundantDelta('gps.1', [
+        { path: 'navigation.position', value: { latitude: testData.lat, longitude: testData.lon } },
+        { path: 'navigation.headingTrue', value: 0 },
+        { path: 'navigation.speedOverGround', value: 0 },
+        { path: 'environment.wind.angleApparent', value: Math.PI / 2 },
+        { path: 'environment.wind.speedApparent', value: 8 }
+    ]);
+    redundantDelta('hull.1', [{ path: 'environment.water.temperature', value: 295.15 }]);
+    redundantDelta('intake.2', [{ path: 'environment.water.temperature', value: 297.15 }]);
+    const redundantReport = collectBufferedData(redundantBuffer, testData.stationId, {}, redundantStart + 60 * 1000);
+    closeTo(redundantReport.water_temp, 23, 1e-9, 'Buffered probes averaged');
+    assert.strictEqual(redundantReport.sensors.length, 1);
+    const [probeSummary] = redundantReport.sensors;
+    assert.strictEqual(probeSummary.quantity, 'waterTemperature');
+    assert.strictEqual(probeSummary.disagreement, true);
+    assert.deepStrictEqual(probeSummary.sources.map(s => `${s.source} ${s.value.toFixed(1)} ${s.used}`), ['hull.1 22.0 1', 'intake.2 24.0 1']);
+    console.log(`Sea temperature sources: ${probeSummary.sources.map(s => `${s.source} ${s.value.toFixed(1)} °C`).join(', ')} (spread ${probeSummary.spread.toFixed(1)})`);
+
+    console.log('\n25. Testing Outbox:');
+    assert.strictEqual(getRetryDelay(1), 60 * 1000);
+    assert.strictEqual(getRetryDelay(3), 4 * 60 * 1000);
+    assert.strictEqual(getRetryDelay(10), 60 * 60 * 1000, 'Backoff capped at an hour');
+
+    const outboxFile = path.join(os.tmpdir(), `outbox-test-${process.pid}.json`);
+    let online = false;
+    const submitted = [];
+    const fakeSend = async (entry) => {
+        if (!online) {
+            return createDeliveryResult('transport_error', { reason: 'ENOTFOUND', message: 'getaddrinfo ENOTFOUND docs.google.com' });
+        }
+        if (entry.report.bbxx.includes('///')) {
+            return createDeliveryResult('rejected', { httpStatus: 200, reason: 'validation_error', message: 'NOAA form returned the submission with a validation error' });
+        }
+        submitted.push(entry.report.bbxx);
+        return createDeliveryResult('accepted', { httpStatus: 200, reason: 'confirmed' });
+    };
+    const outboxNow = new Date('2024-01-15T15:00:00Z').getTime();
+    const queuedReport = (hour) => ({
+        stationId: testData.stationId,
+        observationTime: new Date(Date.UTC(2024, 0, 15, hour)).toISOString(),
+        lat: testData.lat,
+        lon: testData.lon,
+        bbxx: `BBXX ${testData.stationId} 15${String(hour).padStart(2, '0')}4=`
+    });
+
+    const testOutbox = createOutbox(outboxFile, fakeSend);
+    const firstEntry = testOutbox.enqueue(queuedReport(14), 'timeout of 30000ms exceeded', outboxNow);
+    assert.strictEqual(firstEntry.attempts, 1);
+    assert.strictEqual(firstEntry.nextAttempt, new Date(outboxNow + 60 * 1000).toISOString());
+    testOutbox.enqueue(queuedReport(12), 'timeout of 30000ms exceeded', outboxNow);
+
+    let outboxResult = await testOutbox.processQueue(outboxNow + 30 * 1000);
+    assert.strictEqual(outboxResult.failed.length, 0, 'Nothing due before the first retry time');
+    outboxResult = await testOutbox.processQueue(outboxNow + 61 * 1000);
+    assert.strictEqual(outboxResult.failed.length, 1, 'Stops after the first failure while offline');
+    assert.strictEqual(outboxResult.failed[0].report.observationTime, '2024-01-15T12:00:00.000Z', 'Oldest observation first');
+    assert.strictEqual(outboxResult.failed[0].attempts, 2);
+    assert.strictEqual(outboxResult.failed[0].nextAttempt, new Date(outboxNow + 61 * 1000 + 2 * 60 * 1000).toISOString());
+
+    // The queue survives a restart
+    const reloadedOutbox = createOutbox(outboxFile, fakeSend);
+    assert.strictEqual(reloadedOutbox.list().length, 2);
+    assert.strictEqual(reloadedOutbox.list().find(e => e.report.observationTime === '2024-01-15T12:00:00.000Z').attempts, 2);
+
+    online = true;
+    outboxResult = await reloadedOutbox.retry(null, outboxNow + 90 * 1000);
+    assert.strictEqual(outboxResult.sent.length, 2);
+    assert.strictEqual(outboxResult.remaining, 0);
+    assert.deepStrictEqual(submitted, ['BBXX 9RM2K7C 15124=', 'BBXX 9RM2K7C 15144=']);
+    assert.strictEqual(createOutbox(outboxFile, fakeSend).list().length, 0, 'Sent reports removed from disk');
+
+    // Too old to be useful
+    reloadedOutbox.enqueue(queuedReport(2), 'Request failed with status code 503', outboxNow);
+    outboxResult = await reloadedOutbox.processQueue(outboxNow + 60 * 60 * 1000);
+    assert.strictEqual(outboxResult.dropped.length, 1, 'Dropped after 12 hours');
+    assert.strictEqual(outboxResult.sent.length, 0);
+
+    // A report the form rejects is not retried
+    reloadedOutbox.enqueue({ ...queuedReport(13), bbxx: 'BBXX 9RM2K7C 15134 ///=' }, 'offline', outboxNow);
+    reloadedOutbox.enqueue(queuedReport(14), 'offline', outboxNow);
+    outboxResult = await reloadedOutbox.retry(null, outboxNow + 90 * 1000);
+    assert.strictEqual(outboxResult.rejected.length, 1, 'Rejected report dropped');
+    assert.strictEqual(outboxResult.sent.length, 1, 'Queue continues after a rejection');
+    assert.strictEqual(outboxResult.remaining, 0);
+
+    reloadedOutbox.enqueue(queuedReport(13), 'offline', outboxNow);
+    reloadedOutbox.enqueue(queuedReport(14), 'offline', outboxNow);
+    assert.strictEqual(reloadedOutbox.purge(reloadedOutbox.list()[0].id), 1);
+    assert.strictEqual(reloadedOutbox.purge(), 1);
+    fs.unlinkSync(outboxFile);
+    console.log(`Outbox: ${submitted.length} queued reports submitted once back online`);
+
+    console.log('\n26. Testing NOAA Delivery Confirmation:');
+    const confirmationPage = '<div class="freebirdFormviewerViewResponseConfirmationMessage">Your response has been recorded.</div>';
+    const formPage = (body) => `<form>[354542700,"BBXX"] [1226456580,"Confirm"] ${body}</form>`;
+    const classified = [
+        classifyFormResponse(200, confirmationPage),
+        classifyFormResponse(302, '', { Location: 'https://accounts.google.com/ServiceLogin?continue=x' }),
+        classifyFormResponse(302, '', { location: 'https://docs.google.com/forms/d/e/x/closedform' }),
+        classifyFormResponse(200, '<p>This form is no longer accepting responses</p>'),
+        classifyFormResponse(200, formPage('<span>This is a required question</span>')),
+        classifyFormResponse(200, '<form>[111111111,"Report"]</form>'),
+        classifyFormResponse(404, 'Not Found'),
+        classifyFormResponse(400, formPage('')),
+        classifyFormResponse(503, 'Service Unavailable'),
+        classifyFormResponse(200, formPage(''))
+    ];
+    assert.deepStrictEqual(classified.map(r => `${r.status}:${r.reason}`), [
+        'accepted:confirmed',
+        'rejected:sign_in_required',
+        'rejected:form_closed',
+        'rejected:form_closed',
+        'rejected:validation_error',
+        'rejected:fields_changed',
+        'rejected:form_not_found',
+        'rejected:bad_request',
+        'transport_error:server_error',
+        'rejected:not_confirmed'
+    ]);
+    assert.deepStrictEqual(classified.map(r => r.delivered), [true, false, false, false, false, false, false, false, false, false]);
+
+    // A local stand-in for the form
+    let formReply = { status: 200, body: confirmationPage, headers: {} };
+    const formPosts = [];
+    const formServer = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            formPosts.push(new URLSearchParams(body));
+            res.writeHead(formReply.status, { 'Content-Type': 'text/html', ...formReply.headers });
+            res.end(formReply.body);
+        });
+    });
+    await new Promise(resolve => formServer.listen(0, '127.0.0.1', resolve));
+    const formUrl = `http://127.0.0.1:${formServer.address().port}/formResponse`;
+    const deliveryReport = { bbxx: 'BBXX 9RM2K7C 15144 99372 70764 41/// /1205 10253 40132=', lat: testData.lat, lon: testData.lon };
+
+    let delivery = await sendSignalkData(deliveryReport, false, testData.stationId, { url: formUrl });
+    assert.strictEqual(delivery.status, 'accepted');
+    assert.strictEqual(delivery.delivered, true);
+    assert.strictEqual(delivery.httpStatus, 200);
+    assert.strictEqual(formPosts[0].get('entry.354542700'), deliveryReport.bbxx, 'Report posted as a form field');
+    assert.strictEqual(formPosts[0].get('ship'), testData.stationId);
+
+    formReply = { status: 302, body: '', headers: { Location: 'https://accounts.google.com/ServiceLogin' } };
+    delivery = await sendSignalkData(deliveryReport, false, testData.stationId, { url: formUrl });
+    assert.strictEqual(delivery.status, 'rejected', 'Redirect not followed');
+    assert.strictEqual(delivery.reason, 'sign_in_required');
+
+    formReply = { status: 500, body: 'Internal Server Error', headers: {} };
+    delivery = await sendSignalkData(deliveryReport, false, testData.stationId, { url: formUrl });
+    assert.strictEqual(delivery.status, 'transport_error');
+    assert.strictEqual(delivery.delivered, false);
+
+    await new Promise(resolve => formServer.close(resolve));
+    delivery = await sendSignalkData(deliveryReport, false, testData.stationId, { url: formUrl, timeout: 2000 });
+    assert.strictEqual(delivery.status, 'transport_error', 'Connection refused');
+    assert.strictEqual(delivery.httpStatus, null);
+
+    delivery = await sendSignalkData(deliveryReport, true, testData.stationId);
+    assert.strictEqual(delivery.status, 'test');
+    assert.strictEqual(delivery.delivered, false, 'Test mode never counts as delivered');
+    console.log(`Form responses classified: ${classified.filter(r => r.delivered).length} accepted, ${classified.filter(r => r.status === 'rejected').length} rejected, ${classified.filter(r => r.status === 'transport_error').length} transport errors`);
+
+    console.log('\n27. Testing Windy Upload:');
+    const windyData = {
+        utc_time: new Date('2024-01-15T14:00:00Z'),
+        lat: testData.lat,
+        lon: testData.lon,
+        true_wind_dir: 270.4,
+        true_wind_speed: 15.2,
+        gust: { speed: 22.4 },
+        air_temp: 25.3,
+        dew_point: 18.7,
+        humidity: 0.67,
+        pressure_hpa: 1013.2
+    };
+    assert.deepStrictEqual(mapObservation(windyData, 12), {
+        station: 12,
+        dateutc: '2024-01-15 14:00:00',
+        wind: 7.8,
+        gust: 11.5,
+        winddir: 270,
+        temp: 25.3,
+        dewpoint: 18.7,
+        humidity: 67,
+        pressure: 101320
+    }, 'Knots to m/s, humidity ratio to %, hPa to Pa');
+    assert.strictEqual(mapObservation({ ...windyData, humidity: null }, 12).humidity, undefined, 'Missing humidity left out');
+    assert.deepStrictEqual(
+        [200, 400, 401, 409, 503].map(code => `${code} ${classifyWindyResponse(code, '').status}:${classifyWindyResponse(code, '').reason}`),
+        ['200 accepted:confirmed', '400 rejected:invalid_data', '401 rejected:invalid_api_key', '409 rejected:too_frequent', '503 transport_error:server_error']
+    );
+
+    // A local stand-in for stations.windy.com
+    let windyReply = { status: 200, body: 'SUCCESS' };
+    const windyPosts = [];
+    const windyServer = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            windyPosts.push({ url: req.url, body: JSON.parse(body) });
+            res.writeHead(windyReply.status, { 'Content-Type': 'text/plain' });
+            res.end(windyReply.body);
+        });
+    });
+    await new Promise(resolve => windyServer.listen(0, '127.0.0.1', resolve));
+    const windyUrl = `http://127.0.0.1:${windyServer.address().port}/pws/update`;
+    const windyUploader = createWindyUploader(
+        { stationId: '12', apiKey: 'test-key', stationName: 'Test Vessel', testMode: false, anemometerHeight: 18 },
+        { url: windyUrl }
+    );
+
+    let windyDelivery = await windyUploader.upload(windyData);
+    assert.strictEqual(windyDelivery.status, 'accepted');
+    assert.strictEqual(windyDelivery.delivered, true);
+    assert.strictEqual(windyDelivery.positionUpdated, true, 'Position sent with the first upload');
+    assert.strictEqual(windyPosts[0].url, '/pws/update/test-key');
+    assert.deepStrictEqual(windyPosts[0].body.stations, [{ station: 12, lat: 28.144, lon: -112.742, elevation: 0, name: 'Test Vessel', windheight: 18 }]);
+    assert.strictEqual(windyPosts[0].body.observations[0].wind, 7.8);
+
+    windyDelivery = await windyUploader.upload({ ...windyData, lat: testData.lat + 0.001 });
+    assert.strictEqual(windyDelivery.positionUpdated, false, 'Under 500 m from the last position');
+    assert.strictEqual(windyPosts[1].body.stations, undefined);
+
+    windyReply = { status: 409, body: 'Measurement sent too soon' };
+    windyDelivery = await windyUploader.upload({ ...windyData, lat: testData.lat + 0.1 });
+    assert.strictEqual(windyDelivery.status, 'rejected');
+    assert.strictEqual(windyDelivery.reason, 'too_frequent');
+    assert.strictEqual(windyDelivery.positionUpdated, false);
+    assert.strictEqual(windyUploader.getStatus().lastPosition.lat, 28.144, 'Position kept until Windy accepts the move');
+
+    windyReply = { status: 200, body: 'SUCCESS' };
+    windyDelivery = await windyUploader.upload({ ...windyData, lat: testData.lat + 0.1 });
+    assert.strictEqual(windyDelivery.positionUpdated, true, 'Moved 11 km');
+    assert.strictEqual(windyUploader.getStatus().lastPosition.lat, 28.244);
+    await new Promise(resolve => windyServer.close(resolve));
+
+    const windyTestPosts = windyPosts.length;
+    windyDelivery = await createWindyUploader({ stationId: '12', apiKey: 'test-key' }, { url: windyUrl }).upload(windyData);
+    assert.strictEqual(windyDelivery.status, 'test', 'Windy test mode on by default');
+    assert.strictEqual(windyPosts.length, windyTestPosts);
+    windyDelivery = await createWindyUploader({ stationId: '12', testMode: false }, { url: windyUrl }).upload(windyData);
+    assert.strictEqual(windyDelivery.reason, 'not_configured');
+    console.log(`Windy: ${windyPosts.length} uploads to the stand-in, ${windyPosts.filter(p => p.body.stations).length} with a position update`);
+
+    console.log('\n28. Testing CWOP / APRS-IS:');
+    assert.strictEqual(formatAprsLatitude(28.144), '2808.64N');
+    assert.strictEqual(formatAprsLongitude(-112.742), '11244.52W');
+    assert.strictEqual(formatAprsLatitude(-5.9999999), '0600.00S', 'Minutes rounded up into the next degree');
+    assert.strictEqual(formatAprsLongitude(3.5), '00330.00E');
+    const aprsPacket = formatWeatherPacket(windyData, 'N0CALL-13');
+    assert.strictEqual(aprsPacket, 'N0CALL-13>APRS,TCPIP*:@151400z2808.64N/11244.52W_270/017g026t078h67b10132');
+    assert.strictEqual(
+        formatWeatherPacket({ ...windyData, true_wind_dir: null, true_wind_speed: null, gust: null, air_temp: -20.5, humidity: 1, pressure_hpa: null }, 'EW1234'),
+        'EW1234>APRS,TCPIP*:@151400z2808.64N/11244.52W_.../...g...t-05h00b.....',
+        'Missing values as dots, below 0 °F and 100 % humidity'
+    );
+    assert.ok(formatWeatherPacket({ ...windyData, humidity: 0.004 }, 'EW1234').includes('h01b'), 'Humidity below 1 % sent as 1 %');
+
+    // A local stand-in for an APRS-IS server
+    const aprsLines = [];
+    let aprsVerified = true;
+    const aprsServer = net.createServer((socket) => {
+        let received = '';
+        socket.write('# aprsc 2.1.14 test\r\n');
+        socket.on('data', (chunk) => {
+            received += chunk.toString();
+            let newline;
+            while ((newline = received.indexOf('\n')) >= 0) {
+                const line = received.slice(0, newline).trim();
+                received = received.slice(newline + 1);
+                aprsLines.push(line);
+                if (line.startsWith('user ')) {
+                    socket.write(`# logresp ${line.split(' ')[1]} ${aprsVerified ? 'verified' : 'unverified'}, server TEST\r\n`);
+                }
+            }
+        });
+        socket.on('error', () => {});
+    });
+    await new Promise(resolve => aprsServer.listen(0, '127.0.0.1', resolve));
+    const aprsPort = aprsServer.address().port;
+    const aprsNow = new Date('2024-01-15T14:00:30Z').getTime();
+    const aprsSender = createAprsSender({ callsign: 'n0call-13', passcode: 12345, server: '127.0.0.1', port: aprsPort, testMode: false });
+
+    let aprsDelivery = await aprsSender.send(windyData, aprsNow);
+    assert.strictEqual(aprsDelivery.status, 'accepted');
+    assert.strictEqual(aprsDelivery.delivered, true);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.ok(/^user N0CALL-13 pass 12345 vers signalk-noaa-weather-report \S+$/.test(aprsLines[0]), 'Logs in with the passcode');
+    assert.strictEqual(aprsLines[1], aprsPacket);
+
+    aprsDelivery = await aprsSender.send(windyData, aprsNow + 2 * 60 * 1000);
+    assert.strictEqual(aprsDelivery.status, 'skipped', 'CWOP rate limit');
+    assert.strictEqual(aprsDelivery.reason, 'rate_limited');
+    assert.strictEqual(aprsLines.length, 2);
+
+    aprsVerified = false;
+    aprsDelivery = await aprsSender.send(windyData, aprsNow + 6 * 60 * 1000);
+    assert.strictEqual(aprsDelivery.status, 'rejected');
+    assert.strictEqual(aprsDelivery.reason, 'invalid_passcode');
+    aprsDelivery = await createAprsSender({ callsign: 'EW1234', server: '127.0.0.1', port: aprsPort, testMode: false }).send(windyData, aprsNow);
+    assert.strictEqual(aprsDelivery.status, 'accepted', 'Unverified login is fine for a CWOP ID');
+    await new Promise(resolve => aprsServer.close(resolve));
+
+    aprsDelivery = await createAprsSender({ callsign: 'EW1234', server: '127.0.0.1', port: aprsPort, testMode: false }, { timeout: 2000 }).send(windyData, aprsNow);
+    assert.strictEqual(aprsDelivery.status, 'transport_error', 'Server down');
+    aprsDelivery = await createAprsSender({ callsign: 'EW1234' }).send(windyData, aprsNow);
+    assert.strictEqual(aprsDelivery.status, 'test', 'APRS test mode on by default');
+    assert.ok(aprsDelivery.packet.startsWith('EW1234>APRS,TCPIP*:@151400z'));
+    console.log(`APRS packet: ${aprsPacket}`);
+
+    console.log('\n29. Testing Email and Radio Mail Transports:');
+    const mailDate = new Date('2024-01-15T14:05:00Z');
+    const emailMessage = buildEmailMessage({ from: 'ship@example.com', to: 'obs@example.gov', subject: 'BBXX 9RM2K7C', body: '.BBXX 9RM2K7C=\n.', date: mailDate, messageId: 'test@example.com' });
+    assert.ok(emailMessage.startsWith('From: ship@example.com\r\nTo: obs@example.gov\r\nSubject: BBXX 9RM2K7C\r\nDate: Mon, 15 Jan 2024 14:05:00 +0000\r\n'));
+    assert.ok(emailMessage.endsWith('\r\n\r\n.BBXX 9RM2K7C=\r\n.\r\n'));
+
+    // A local stand-in for an SMTP server
+    const smtpMessages = [];
+    const smtpServer = net.createServer((socket) => {
+        let received = '';
+        let inData = false;
+        let dataLines = [];
+        const reply = (text) => socket.write(`${text}\r\n`);
+        reply('220 test ESMTP');
+        socket.on('data', (chunk) => {
+            received += chunk.toString();
+            let newline;
+            while ((newline = received.indexOf('\r\n')) >= 0) {
+                const line = received.slice(0, newline);
+                received = received.slice(newline + 2);
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        smtpMessages.push(dataLines.join('\r\n'));
+                        reply('250 2.0.0 Ok: queued as ABC123');
+                    } else {
+                        dataLines.push(line);
+                    }
+                } else if (line.startsWith('EHLO')) {
+                    reply('250-test');
+                    reply('250 AUTH PLAIN');
+                } else if (line.startsWith('AUTH PLAIN')) {
+                    reply(Buffer.from(line.slice(11), 'base64').toString() === '\u0000skipper\u0000secret' ? '235 2.7.0 Authentication successful' : '535 5.7.8 Authentication failed');
+                } else if (line.startsWith('MAIL FROM:')) {
+                    reply('250 2.1.0 Ok');
+                } else if (line.startsWith('RCPT TO:')) {
+                    reply(line.includes('unknown') ? '550 5.1.1 User unknown' : line.includes('busy') ? '451 4.3.0 Try again later' : '250 2.1.5 Ok');
+                } else if (line === 'DATA') {
+                    inData = true;
+                    dataLines = [];
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                } else if (line === 'QUIT') {
+                    reply('221 2.0.0 Bye');
+                    socket.end();
+                }
+            }
+        });
+        socket.on('error', () => {});
+    });
+    await new Promise(resolve => smtpServer.listen(0, '127.0.0.1', resolve));
+    const smtpSettings = { host: '127.0.0.1', port: smtpServer.address().port, security: 'none', username: 'skipper', password: 'secret' };
+
+    let mailDelivery = await sendMail(emailMessage, { from: 'ship@example.com', to: 'obs@example.gov' }, smtpSettings);
+    assert.strictEqual(mailDelivery.status, 'sent');
+    assert.strictEqual(mailDelivery.delivered, false, 'A mail server taking the message is no confirmation from NOAA');
+    assert.ok(mailDelivery.message.includes('queued as ABC123'));
+    assert.ok(smtpMessages[0].endsWith('\r\n\r\n..BBXX 9RM2K7C=\r\n..'), 'Lines starting with a dot are dot-stuffed');
+
+    mailDelivery = await sendMail(emailMessage, { from: 'ship@example.com', to: 'unknown@example.gov' }, smtpSettings);
+    assert.strictEqual(`${mailDelivery.status}:${mailDelivery.reason}`, 'rejected:smtp_550');
+    mailDelivery = await sendMail(emailMessage, { from: 'ship@example.com', to: 'busy@example.gov' }, smtpSettings);
+    assert.strictEqual(`${mailDelivery.status}:${mailDelivery.reason}`, 'transport_error:smtp_451', 'Temporary failure is retried');
+    mailDelivery = await sendMail(emailMessage, { from: 'ship@example.com', to: 'obs@example.gov' }, { ...smtpSettings, password: 'wrong' });
+    assert.strictEqual(`${mailDelivery.status}:${mailDelivery.reason}`, 'rejected:auth_failed');
+    assert.ok(!mailDelivery.message.includes(Buffer.from('\u0000skipper\u0000wrong').toString('base64')), 'Credentials never logged');
+    mailDelivery = await sendMail(emailMessage, { from: 'ship@example.com', to: 'obs@example.gov' }, { ...smtpSettings, security: 'starttls' });
+    assert.strictEqual(mailDelivery.reason, 'starttls_unavailable', 'Never falls back to plain text when STARTTLS is configured');
+
+    mailDelivery = await sendSignalkData(deliveryReport, false, testData.stationId, {
+        transport: 'email',
+        email: { ...smtpSettings, from: 'ship@example.com', to: 'obs@example.gov' }
+    });
+    assert.strictEqual(mailDelivery.status, 'sent');
+    const mailOutbox = createOutbox(null, async () => mailDelivery);
+    mailOutbox.enqueue(queuedReport(14), 'offline', outboxNow);
+    assert.strictEqual((await mailOutbox.retry(null, outboxNow + 90 * 1000)).sent.length, 1, 'A report the mail server took leaves the outbox');
+    const reportMail = smtpMessages[smtpMessages.length - 1];
+    assert.ok(reportMail.includes('\r\nSubject: BBXX 9RM2K7C\r\n'));
+    assert.ok(reportMail.endsWith(`\r\n\r\n${deliveryReport.bbxx}`), 'BBXX report as the message body');
+    await new Promise(resolve => smtpServer.close(resolve));
+
+    const b2f = buildB2fMessage({ mid: 'ABCDEFGHIJKL', from: 'n0call', to: 'obs@example.gov', subject: 'BBXX 9RM2K7C', body: deliveryReport.bbxx, date: mailDate });
+    const [b2fHeaders, b2fBody] = b2f.split('\r\n\r\n');
+    assert.ok(b2fHeaders.startsWith('Mid: ABCDEFGHIJKL\r\n'));
+    assert.ok(b2fHeaders.includes('\r\nDate: 2024/01/15 14:05\r\n'));
+    assert.ok(b2fHeaders.includes('\r\nFrom: N0CALL\r\n'));
+    assert.ok(b2fHeaders.includes('\r\nTo: SMTP:obs@example.gov\r\n'));
+    assert.strictEqual(Number(b2fHeaders.match(/Body: (\d+)/)[1]), Buffer.byteLength(b2fBody), 'Body length in bytes');
+
+    const radioDir = fs.mkdtempSync(path.join(os.tmpdir(), 'radio-outbox-'));
+    const radioDelivery = await sendSignalkData(deliveryReport, false, testData.stationId, {
+        transport: 'radio',
+        radioMail: { directory: radioDir, format: 'b2f', from: 'N0CALL', to: 'obs@example.gov' }
+    });
+    assert.strictEqual(radioDelivery.status, 'pending');
+    assert.strictEqual(radioDelivery.delivered, false, 'Not delivered until the radio session');
+    const radioFiles = fs.readdirSync(radioDir);
+    assert.strictEqual(radioFiles.length, 1, 'No temporary file left behind');
+    assert.ok(/^[A-Z0-9]{12}\.b2f$/.test(radioFiles[0]));
+    assert.ok(fs.readFileSync(path.join(radioDir, radioFiles[0]), 'latin1').endsWith(`\r\n\r\n${deliveryReport.bbxx}\r\n`));
+
+    const airmailDelivery = await sendSignalkData(deliveryReport, false, testData.stationId, {
+        transport: 'radio',
+        radioMail: { directory: radioDir, format: 'rfc822', from: 'N0CALL@winlink.org', to: 'obs@example.gov' }
+    });
+    assert.ok(airmailDelivery.file.endsWith('.msg'));
+    assert.ok(fs.readFileSync(airmailDelivery.file, 'latin1').startsWith('From: N0CALL@winlink.org\r\nTo: obs@example.gov\r\n'));
+    fs.rmSync(radioDir, { recursive: true });
+
+    const missingDir = await sendSignalkData(deliveryReport, false, testData.stationId, {
+        transport: 'radio',
+        radioMail: { directory: radioDir, from: 'N0CALL', to: 'obs@example.gov' }
+    });
+    assert.strictEqual(`${missingDir.status}:${missingDir.reason}`, 'transport_error:write_failed', 'Retried from the outbox');
+    console.log(`Email: ${smtpMessages.length} messages taken by the SMTP stand-in; radio mail: ${radioFiles[0]}`);
+
+    console.log('\n✅ All tests completed successfully!');
+    console.log('\nTo run this plugin:');
+    console.log('1. npm run build');
+    console.log('2. npm install');
+    console.log('3. npm link (for development)');
+    console.log('4. Install in SignalK server');
+})().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
+
+ 
\ No newline at end of file